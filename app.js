@@ -1,39 +1,117 @@
 // Main App Controller - Orchestrates the entire trading bot
 
 import { CONFIG } from './config.js';
-import { BybitAPI } from './bybitAPI.js';
+import { createExchange } from './exchanges.js';
 import { TradingBot } from './tradingBot.js';
 import { MarketData } from './marketData.js';
 import { OrderExecutor } from './orderExecutor.js';
-import { UI } from './ui.js';
+import { PaperExchange } from './paperExchange.js';
+import { Backtester } from './backtester.js';
+import { StateStore } from './stateStore.js';
+import { PositionReconciler } from './reconciler.js';
+import { InstrumentRegistry } from './instruments.js';
+import { LeverageManager } from './leverage.js';
+import { RiskManager } from './riskManager.js';
+import { EventBus } from './eventBus.js';
 
 export class App {
-    constructor() {
-        this.bybitAPI = new BybitAPI();
-        this.tradingBot = new TradingBot(CONFIG.TRADING);
-        this.marketData = new MarketData(this.bybitAPI);
-        this.orderExecutor = new OrderExecutor(this.bybitAPI, this.tradingBot);
-        this.ui = new UI(this);
+    // stateStore persists the bot state (IndexedDB in the browser, files headless)
+    // Views (UI in the browser, ConsoleView headless) and plugins subscribe to events (see eventBus.js)
+    constructor(stateStore = new StateStore()) {
+        this.events = new EventBus();
+        this.plugins = new Map(); // id -> plugin registered with use()
+        this.exchangeId = CONFIG.EXCHANGE;
+        this.profileId = CONFIG.PROFILE;
+        this.profile = CONFIG.PROFILES[this.profileId];
+        this.exchange = createExchange(this.exchangeId, this.profile.ENVIRONMENT);
+        this.tradingBot = new TradingBot(CONFIG.TRADING, this.events);
+        this.marketData = new MarketData(this.exchange, this.events);
+        this.instruments = new InstrumentRegistry(this.exchange);
+        this.leverage = new LeverageManager(this.exchange, this.tradingBot, this.instruments);
+        this.orderExecutor = new OrderExecutor(this.exchange, this.tradingBot, this.instruments, this.leverage, this.events);
+        this.riskManager = new RiskManager(this.tradingBot);
+        this.reconciler = new PositionReconciler(this.exchange, this.tradingBot, this.marketData, this.orderExecutor);
+        this.stateStore = stateStore;
         
+        this.persistenceEnabled = false; // Enabled once saved state has been restored or discarded
+        this.saveTimeout = null;
         this.isRunning = false;
         this.isPaused = false;
+        this.updating = false; // An update() is running
         this.updateInterval = null;
         this.topGainersInterval = null;
+        this.reconcileInterval = null;
+        this.instrumentsInterval = null;
+        this.positionReconcileTimeout = null;
+
+        this.tradingBot.onChange = () => this.scheduleSave();
+    }
+
+    // Register a plugin: { id, setup(app) }, setup subscribes to this.events
+    use(plugin) {
+        if (this.plugins.has(plugin.id)) {
+            throw new Error(`Plugin already registered: ${plugin.id}`);
+        }
+
+        plugin.setup(this);
+        this.plugins.set(plugin.id, plugin);
+        console.log(`Plugin registered: ${plugin.id}`);
+    }
+
+    // Show a status message in the views
+    showStatus(message, type = 'info') {
+        this.events.emit('status', { message, type });
     }
 
-    // Initialize the application
-    async initialize(apiKey, apiSecret) {
+    // Apply the limits of the current profile to sizing and leverage
+    applyProfileLimits() {
+        this.orderExecutor.maxOrderNotional = this.profile.MAX_ORDER_NOTIONAL;
+        this.orderExecutor.dryRunUntil = 0; // Starts with the first start()
+        this.leverage.maxLeverage = this.profile.MAX_LEVERAGE;
+        this.events.emit('profile', { profile: this.profile, dryRunUntil: this.orderExecutor.dryRunUntil });
+    }
+
+    // Switch the exchange used for balance, market data and orders
+    useExchange(exchange) {
+        this.exchange = exchange;
+        this.marketData.exchange = exchange;
+        this.instruments.exchange = exchange;
+        this.leverage.exchange = exchange;
+        this.orderExecutor.exchange = exchange;
+        this.reconciler.exchange = exchange;
+    }
+
+    // Initialize the application with a profile from CONFIG.PROFILES on an exchange from EXCHANGES
+    // Profiles with a CONFIRMATION phrase only start when it was typed at setup (confirmation)
+    async initialize(apiKey, apiSecret, profileId = CONFIG.PROFILE, exchangeId = CONFIG.EXCHANGE, confirmation = '') {
         try {
-            this.ui.showStatus('Initializing...', 'info');
-            
-            // Set API credentials
-            this.bybitAPI.setCredentials(apiKey, apiSecret);
-            CONFIG.BYBIT.API_KEY = apiKey;
-            CONFIG.BYBIT.API_SECRET = apiSecret;
+            this.showStatus('Initializing...', 'info');
+
+            const profile = CONFIG.PROFILES[profileId];
+            if (!profile) {
+                throw new Error(`Unknown profile: ${profileId}`);
+            }
+            if (profile.CONFIRMATION && confirmation !== profile.CONFIRMATION) {
+                throw new Error(`${profile.LABEL} needs the confirmation "${profile.CONFIRMATION}"`);
+            }
+
+            this.profileId = profileId;
+            this.profile = profile;
+            this.exchangeId = exchangeId;
+
+            if (profile.PAPER) {
+                // Paper trading fills orders locally, public market data needs no keys
+                this.useExchange(new PaperExchange(createExchange(exchangeId, profile.ENVIRONMENT)));
+            } else {
+                // Set API credentials
+                this.useExchange(createExchange(exchangeId, profile.ENVIRONMENT));
+                this.exchange.setCredentials(apiKey, apiSecret);
+            }
+            this.applyProfileLimits();
 
             // Test API connection by getting balance
-            this.ui.showStatus('Testing API connection...', 'info');
-            const balance = await this.bybitAPI.getBalance();
+            this.showStatus(profile.PAPER ? 'Starting paper account...' : 'Testing API connection...', 'info');
+            const balance = await this.exchange.getBalance();
             
             if (balance.total === 0 && balance.available === 0) {
                 throw new Error('Could not retrieve balance. Check API credentials.');
@@ -45,22 +123,41 @@ export class App {
             this.tradingBot.initialBalance = balance.available;
 
             // Initialize market data
-            this.ui.showStatus('Fetching market data...', 'info');
+            this.showStatus('Fetching market data...', 'info');
             await this.marketData.initialize();
 
+            // Load lot size and order limits
+            await this.instruments.load();
+
+            // Restore state from a previous session
+            await this.restoreState();
+
+            // Compare local positions with the exchange
+            this.showStatus('Reconciling positions...', 'info');
+            await this.reconcilePositions();
+
             // Initialize WebSocket for real-time prices
-            this.ui.showStatus('Connecting to price feed...', 'info');
-            const symbols = this.marketData.getMonitoredSymbols();
-            this.bybitAPI.initWebSocket(symbols, (symbol, price) => {
-                this.marketData.updatePrice(symbol, price);
-            });
+            this.showStatus('Connecting to price feed...', 'info');
+            this.exchange.initWebSocket([], (symbol, price, ticker) => {
+                this.marketData.updatePrice(symbol, price, ticker);
+            }, state => this.events.emit('connection', { stream: 'price', state }));
+            this.marketData.startSubscriptions();
 
-            this.ui.showStatus('Bot initialized successfully!', 'success');
-            this.ui.updateBalance(balance.available);
+            // Initialize private stream for orders, fills, positions and wallet
+            this.exchange.initPrivateWebSocket({
+                order: orders => this.orderExecutor.handleOrderUpdates(orders),
+                execution: executions => this.orderExecutor.handleExecutions(executions),
+                position: positions => this.handlePositionUpdates(positions),
+                wallet: balance => this.handleWalletUpdate(balance),
+            }, state => this.events.emit('connection', { stream: 'private', state }));
+
+            this.showStatus(profile.PAPER ? 'Paper trading initialized successfully!' : `Bot initialized on ${profile.LABEL}!`, 'success');
+            this.events.emit('balance', { balance: this.tradingBot.balance });
+            this.publishState();
             
             return true;
         } catch (error) {
-            this.ui.showStatus(`Initialization failed: ${error.message}`, 'error');
+            this.showStatus(`Initialization failed: ${error.message}`, 'error');
             console.error('Initialization error:', error);
             return false;
         }
@@ -73,10 +170,16 @@ export class App {
             return;
         }
 
+        // The first start on a profile with a dry run only logs entries for a while
+        if (this.profile.DRY_RUN_MINUTES > 0 && !this.orderExecutor.dryRunUntil) {
+            this.orderExecutor.dryRunUntil = Date.now() + this.profile.DRY_RUN_MINUTES * 60 * 1000;
+            console.log(`🧪 Dry run until ${new Date(this.orderExecutor.dryRunUntil).toLocaleTimeString()}, entries are logged, not sent`);
+        }
+
         this.isRunning = true;
         this.isPaused = false;
-        this.ui.updateBotStatus('running');
-        this.ui.showStatus('Bot started', 'success');
+        this.events.emit('bot:status', { status: 'running' });
+        this.showStatus('Bot started', 'success');
 
         // Start main update loop
         this.updateInterval = setInterval(() => {
@@ -89,23 +192,41 @@ export class App {
         this.topGainersInterval = setInterval(async () => {
             if (!this.isPaused && this.marketData.shouldRefreshTopGainers()) {
                 await this.marketData.refreshTopGainers();
-                this.ui.showStatus('Top gainers refreshed', 'info');
+                this.showStatus('Top gainers refreshed', 'info');
             }
         }, CONFIG.TOP_GAINERS.REFRESH_INTERVAL);
+
+        // Start position reconciliation loop
+        this.reconcileInterval = setInterval(() => {
+            if (!this.isPaused) {
+                this.reconcilePositions();
+            }
+        }, CONFIG.RECONCILE.INTERVAL);
+
+        // Start instrument specs refresh loop
+        this.instrumentsInterval = setInterval(() => {
+            if (this.instruments.shouldRefresh()) {
+                this.instruments.load();
+            }
+        }, CONFIG.INSTRUMENTS.REFRESH_INTERVAL);
     }
 
     // Pause the trading bot
     pause() {
         this.isPaused = true;
-        this.ui.updateBotStatus('paused');
-        this.ui.showStatus('Bot paused', 'warning');
+        this.events.emit('bot:status', { status: 'paused' });
+        this.showStatus('Bot paused', 'warning');
     }
 
     // Resume the trading bot
     resume() {
+        // Resuming accepts a tripped risk limit
+        this.riskManager.acknowledge(this.marketData.getAllTokensData());
+        this.events.emit('risk', { reason: null });
+
         this.isPaused = false;
-        this.ui.updateBotStatus('running');
-        this.ui.showStatus('Bot resumed', 'success');
+        this.events.emit('bot:status', { status: 'running' });
+        this.showStatus('Bot resumed', 'success');
     }
 
     // Stop the trading bot
@@ -123,67 +244,268 @@ export class App {
             this.topGainersInterval = null;
         }
 
-        this.ui.updateBotStatus('stopped');
-        this.ui.showStatus('Bot stopped', 'info');
+        if (this.reconcileInterval) {
+            clearInterval(this.reconcileInterval);
+            this.reconcileInterval = null;
+        }
+
+        if (this.instrumentsInterval) {
+            clearInterval(this.instrumentsInterval);
+            this.instrumentsInterval = null;
+        }
+
+        this.events.emit('bot:status', { status: 'stopped' });
+        this.showStatus('Bot stopped', 'info');
+    }
+
+    // Stop the bot, write pending state and close the streams (before the process exits)
+    async shutdown() {
+        this.stop();
+
+        clearTimeout(this.positionReconcileTimeout);
+        this.positionReconcileTimeout = null;
+
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+            await this.saveState();
+        }
+
+        this.exchange.closeWebSocket();
+        this.marketData.stopSubscriptions();
+        this.exchange.closePrivateWebSocket();
     }
 
     // Main update loop
+    // Entries can take many seconds (limit, replace, market fallback), a tick that finds the previous one
+    // still running is skipped, so no entry is checked against positions and balance before earlier ones booked
     async update() {
+        if (this.updating) return;
+        this.updating = true;
+
         try {
             // Get all monitored tokens with current prices
             const tokensData = this.marketData.getAllTokensData();
+            this.events.emit('tick', { tokens: tokensData, time: Date.now() });
+
+            // Pause when a circuit breaker trips
+            const breach = this.riskManager.checkBreakers(tokensData);
+            if (breach) {
+                this.pause();
+                this.events.emit('risk', { reason: breach.reason });
+                this.showStatus(`Bot paused: ${breach.reason}`, 'error');
+                this.publishState();
+                return;
+            }
             
             // Update monitoring and get trade signals
             const signals = this.tradingBot.updateMonitoring(tokensData);
 
-            // Execute trade signals
+            // Execute trade signals that pass the risk limits and the plugins' signal hooks
             if (signals.length > 0) {
                 for (const signal of signals) {
                     console.log(`Signal detected: ${signal.type.toUpperCase()} ${signal.token.symbol} - ${signal.reason}`);
+                    this.events.emit('signal', { signal });
+
+                    const check = this.riskManager.checkSignal(signal, tokensData);
+                    if (!check.allowed) {
+                        console.warn(`Signal blocked by risk limits: ${check.reason}`);
+                        this.events.emit('signal:blocked', { signal, reason: check.reason, source: 'risk' });
+                        this.events.emit('risk', { reason: check.reason });
+                        continue;
+                    }
+
+                    this.events.emit('risk', { reason: null });
+
+                    const veto = await this.events.runHooks('signal', { signal, tokens: tokensData });
+                    if (veto) {
+                        console.warn(`Signal vetoed: ${veto}`);
+                        this.events.emit('signal:blocked', { signal, reason: veto, source: 'plugin' });
+                        continue;
+                    }
+
                     await this.orderExecutor.executeSignal(signal);
                 }
             }
 
-            // Update UI
-            this.ui.updatePositions(this.tradingBot.getPositionsWithValue(tokensData));
-            this.ui.updateTokensList(this.marketData.getFormattedTokenList());
-            this.ui.updateStats(this.tradingBot, tokensData);
-            this.ui.updateTradeHistory(this.tradingBot.tradeHistory);
+            // Move exchange-side stops up with the position peaks
+            await this.orderExecutor.updateProtection();
+
+            // Update views
+            this.publishState();
             
         } catch (error) {
             console.error('Update error:', error);
+        } finally {
+            this.updating = false;
+        }
+    }
+
+    // Publish positions, orders, tokens, stats and trade history for the views
+    publishState() {
+        const tokensData = this.marketData.getAllTokensData();
+
+        this.events.emit('state', {
+            positions: this.tradingBot.getPositionsWithValue(tokensData),
+            orders: this.orderExecutor.orderTracker.getOpenOrders(),
+            tokenList: this.marketData.getFormattedTokenList(),
+            bot: this.tradingBot,
+            tokens: tokensData,
+            trades: this.tradingBot.tradeHistory,
+            profile: this.profile,
+            dryRunUntil: this.orderExecutor.dryRunUntil,
+        });
+    }
+
+    // Reconcile local positions with the exchange and report differences
+    async reconcilePositions() {
+        try {
+            const differences = await this.reconciler.reconcile();
+
+            if (differences.length > 0) {
+                this.showStatus(`Reconciliation: ${differences.length} difference(s) with exchange positions`, 'warning');
+                this.events.emit('reconciliation', { differences, history: this.reconciler.history });
+                this.publishState();
+            }
+
+            return differences;
+        } catch (error) {
+            console.error('Reconciliation error:', error);
+            return [];
+        }
+    }
+
+    // Exchange positions changed - reconcile soon unless an order of ours is in flight
+    handlePositionUpdates(positions) {
+        const external = positions.some(position =>
+            !this.orderExecutor.executingOrders.has(position.symbol)
+        );
+
+        if (!external || this.positionReconcileTimeout) return;
+
+        this.positionReconcileTimeout = setTimeout(() => {
+            this.positionReconcileTimeout = null;
+            this.reconcilePositions();
+        }, CONFIG.RECONCILE.PUSH_DELAY);
+    }
+
+    // Wallet balance changed on the exchange
+    handleWalletUpdate(balance) {
+        this.tradingBot.setExchangeBalance(balance);
+        this.events.emit('wallet', { balance });
+    }
+
+    // Resume a saved session unless a resume hook vetoes it (the UI asks), otherwise discard it
+    async restoreState() {
+        try {
+            const saved = await this.stateStore.load(this.getStorageKey());
+            const hasState = saved && (saved.bot.positions.length > 0 || saved.bot.tradeHistory.length > 0);
+            const veto = hasState ? await this.events.runHooks('resume', { saved }) : null;
+
+            if (hasState && !veto) {
+                this.tradingBot.restore(saved.bot);
+
+                if (this.profile.PAPER && saved.paper) {
+                    this.exchange.restore(saved.paper);
+                }
+
+                if (saved.risk) {
+                    this.riskManager.restore(saved.risk);
+                }
+
+                // Keep receiving prices for restored positions
+                await this.marketData.addTokens(saved.bot.positions.map(position => position.symbol));
+
+                console.log(`Restored state from ${new Date(saved.savedAt).toLocaleString()}`);
+                this.showStatus(`Resumed ${saved.bot.positions.length} open position(s)`, 'success');
+            } else if (saved) {
+                if (veto) {
+                    console.log(`Discarding saved state: ${veto}`);
+                }
+                await this.stateStore.clear(this.getStorageKey());
+            }
+        } catch (error) {
+            console.error('Error restoring state:', error);
+        }
+
+        this.persistenceEnabled = true;
+        this.scheduleSave();
+    }
+
+    // Save state soon, coalescing bursts of changes
+    scheduleSave() {
+        if (!this.persistenceEnabled || this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.saveState();
+        }, CONFIG.STORAGE.SAVE_DEBOUNCE);
+    }
+
+    // Saved state key, every exchange and profile keeps its own state
+    getStorageKey() {
+        return `${this.exchangeId}:${this.profileId}`;
+    }
+
+    // Save bot state (and the paper account) for this exchange and profile
+    async saveState() {
+        try {
+            await this.stateStore.save(this.getStorageKey(), {
+                bot: this.tradingBot.serialize(),
+                paper: this.profile.PAPER ? this.exchange.serialize() : null,
+                risk: this.riskManager.serialize(),
+            });
+        } catch (error) {
+            console.error('Error saving state:', error);
         }
     }
 
     // Update trading configuration
     updateConfig(config) {
         this.tradingBot.updateConfig(config);
-        this.ui.showStatus('Configuration updated', 'success');
+        this.showStatus('Configuration updated', 'success');
     }
 
     // Emergency stop - close all positions
     async emergencyStop() {
-        this.ui.showStatus('Emergency stop initiated!', 'warning');
+        this.showStatus('Emergency stop initiated!', 'warning');
         this.pause();
         
         const tokensData = this.marketData.getAllTokensData();
         await this.orderExecutor.closeAllPositions(tokensData);
         
         this.stop();
-        this.ui.showStatus('All positions closed', 'success');
+        this.showStatus('All positions closed', 'success');
     }
 
     // Reset the bot
     reset() {
         this.stop();
         this.tradingBot.reset();
-        this.ui.reset();
-        this.ui.showStatus('Bot reset', 'info');
+        this.riskManager.reset();
+        this.events.emit('reset');
+        this.showStatus('Bot reset', 'info');
+    }
+
+    // Backtest the current trading config (or an override) on historical klines
+    // e.g. runBacktest({ symbols: ['BTC', 'ETH'], start: '2024-01-01', end: '2024-02-01', interval: '15' })
+    async runBacktest(options) {
+        const backtester = new Backtester(this.exchange);
+        const result = await backtester.run({
+            config: this.tradingBot.config,
+            ...options,
+        });
+
+        console.log(`Backtest finished: ${result.trades.length} trades, final equity $${result.finalEquity.toFixed(2)}, ROI ${result.roi.toFixed(2)}%`);
+        return result;
     }
 
     // Get current bot state
     getState() {
         return {
+            exchange: this.exchangeId,
+            profile: this.profileId,
+            dryRunUntil: this.orderExecutor.dryRunUntil || null,
             isRunning: this.isRunning,
             isPaused: this.isPaused,
             balance: this.tradingBot.balance,
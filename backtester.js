@@ -0,0 +1,286 @@
+// Backtester - Replays historical klines through the TradingBot on a simulated clock
+
+import { CONFIG, getFullSymbol } from './config.js';
+import { TradingBot } from './tradingBot.js';
+import { IndicatorSet } from './indicators.js';
+import { getSizingModel } from './sizing.js';
+
+// Kline interval -> candle length in ms
+const INTERVAL_MS = {
+    '1': 60 * 1000,
+    '3': 3 * 60 * 1000,
+    '5': 5 * 60 * 1000,
+    '15': 15 * 60 * 1000,
+    '30': 30 * 60 * 1000,
+    '60': 60 * 60 * 1000,
+    '120': 2 * 60 * 60 * 1000,
+    '240': 4 * 60 * 60 * 1000,
+    '360': 6 * 60 * 60 * 1000,
+    '720': 12 * 60 * 60 * 1000,
+    'D': 24 * 60 * 60 * 1000,
+    'W': 7 * 24 * 60 * 60 * 1000,
+};
+
+// Kline cache - localStorage when available, in-memory otherwise
+export class KlineCache {
+    constructor(prefix = CONFIG.BACKTEST.CACHE_PREFIX) {
+        this.prefix = prefix;
+        this.memory = new Map();
+        this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    // Cache key for a symbol/interval/range
+    key(symbol, interval, start, end) {
+        return `${this.prefix}${symbol}:${interval}:${start}:${end}`;
+    }
+
+    // Get cached klines, or null if not cached
+    get(symbol, interval, start, end) {
+        const key = this.key(symbol, interval, start, end);
+
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+
+        try {
+            const stored = this.storage?.getItem(key);
+            if (stored) {
+                const klines = JSON.parse(stored);
+                this.memory.set(key, klines);
+                return klines;
+            }
+        } catch (error) {
+            console.error('Error reading kline cache:', error);
+        }
+
+        return null;
+    }
+
+    // Store klines for a range
+    set(symbol, interval, start, end, klines) {
+        const key = this.key(symbol, interval, start, end);
+        this.memory.set(key, klines);
+
+        try {
+            this.storage?.setItem(key, JSON.stringify(klines));
+        } catch (error) {
+            // Storage quota exceeded - keep the in-memory copy only
+            console.warn('Kline cache not persisted:', error.message);
+        }
+    }
+
+    // Remove all cached klines
+    clear() {
+        this.memory.clear();
+
+        if (!this.storage) return;
+        Object.keys(this.storage)
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => this.storage.removeItem(key));
+    }
+}
+
+export class Backtester {
+    constructor(exchange, cache = new KlineCache()) {
+        this.exchange = exchange;
+        this.cache = cache;
+        this.currentTime = 0; // Simulated clock (ms)
+    }
+
+    // Fetch all klines in [start, end] oldest first, paging past the per-request limit
+    async fetchKlines(symbol, interval, start, end) {
+        const cached = this.cache.get(symbol, interval, start, end);
+        if (cached) {
+            return cached;
+        }
+
+        const pageSize = CONFIG.BACKTEST.KLINE_PAGE_SIZE;
+        const byStartTime = new Map();
+        let cursor = end;
+        let complete = false; // Paged back to start (or the symbol's first candle) without an empty or failed page
+
+        // Each page holds the newest candles up to the cursor, so page backwards from the end
+        while (cursor >= start) {
+            const page = await this.exchange.getKlines(symbol, interval, pageSize, start, cursor);
+
+            // getKlines returns [] on a request error too, so an empty page leaves the history incomplete
+            if (page.length === 0) break;
+
+            page.forEach(candle => byStartTime.set(candle.time, candle));
+
+            const oldest = page[0].time;
+            if (page.length < pageSize || oldest <= start) {
+                complete = true;
+                break;
+            }
+
+            cursor = oldest - 1;
+        }
+
+        const klines = Array.from(byStartTime.values())
+            .filter(candle => candle.time >= start && candle.time <= end)
+            .sort((a, b) => a.time - b.time);
+
+        // Only cache complete, fully closed history, the last candle of a live range can still change
+        const intervalMs = INTERVAL_MS[interval] || 0;
+        if (complete && end + intervalMs <= Date.now()) {
+            this.cache.set(symbol, interval, start, end, klines);
+        }
+
+        return klines;
+    }
+
+    // Price path through a candle: open -> nearer extreme -> other extreme -> close
+    getPricePath(candle) {
+        return candle.close >= candle.open
+            ? [candle.open, candle.low, candle.high, candle.close]
+            : [candle.open, candle.high, candle.low, candle.close];
+    }
+
+    // Run a backtest
+    // options: { symbols: ['BTC', ...], start, end, interval: '15', config: TradingBot config }
+    async run({ symbols, start, end, interval = CONFIG.BACKTEST.DEFAULT_INTERVAL, config = CONFIG.TRADING }) {
+        const startTime = new Date(start).getTime();
+        const endTime = new Date(end).getTime();
+
+        if (!symbols || symbols.length === 0) {
+            throw new Error('At least one symbol is required');
+        }
+        if (!INTERVAL_MS[interval]) {
+            throw new Error(`Unsupported interval: ${interval}`);
+        }
+        if (!(startTime < endTime)) {
+            throw new Error('Start date must be before end date');
+        }
+
+        // Load history for every symbol, with as many candles before start as the live bot loads at startup
+        // to warm up the indicators (computed from the replayed interval's candles)
+        const warmupStart = startTime - CONFIG.CANDLES.HISTORY_LIMIT * INTERVAL_MS[interval];
+        const candlesBySymbol = new Map();
+        const indicatorsBySymbol = new Map(); // token -> IndicatorSet fed with the closed candles
+        for (const token of symbols) {
+            const klines = await this.fetchKlines(getFullSymbol(token), interval, warmupStart, endTime);
+            const replayed = klines.filter(candle => candle.time >= startTime);
+            console.log(`Backtest: loaded ${replayed.length} candles for ${token}`);
+            if (replayed.length === 0) continue;
+
+            const indicators = new IndicatorSet();
+            klines.filter(candle => candle.time < startTime).forEach(candle => indicators.update(candle));
+            if (indicators.getValues().atr === null) {
+                console.warn(`Backtest: not enough history before start for the ATR of ${token}, ATR rules apply once ${CONFIG.INDICATORS.ATR_PERIOD} candles closed`);
+            }
+
+            candlesBySymbol.set(token, new Map(replayed.map(candle => [candle.time, candle])));
+            indicatorsBySymbol.set(token, indicators);
+        }
+
+        // Simulated bot
+        const bot = new TradingBot({
+            buyThreshold: config.buyThreshold ?? config.BUY_THRESHOLD,
+            sellThreshold: config.sellThreshold ?? config.SELL_THRESHOLD,
+            tradeAmountPercent: config.tradeAmountPercent ?? config.TRADE_AMOUNT_PERCENT,
+            sizingModel: config.sizingModel,
+            fixedTradeAmount: config.fixedTradeAmount,
+            riskPerTradePercent: config.riskPerTradePercent,
+            kellyFraction: config.kellyFraction,
+            kellyMinTrades: config.kellyMinTrades,
+            minTradeAmount: config.minTradeAmount ?? config.MIN_TRADE_AMOUNT,
+            maxPositions: config.maxPositions ?? config.MAX_POSITIONS,
+            allowShorts: config.allowShorts ?? config.ALLOW_SHORTS,
+            leverage: config.leverage,
+            symbolLeverage: config.symbolLeverage,
+            marginMode: config.marginMode,
+            initialBalance: config.initialBalance ?? config.INITIAL_BALANCE,
+            strategy: config.strategy ?? config.STRATEGY,
+            strategyParams: config.strategyParams ?? config.STRATEGY_PARAMS,
+            stopLossPercent: config.stopLossPercent ?? config.STOP_LOSS_PERCENT,
+            takeProfitPercent: config.takeProfitPercent ?? config.TAKE_PROFIT_PERCENT,
+            maxHoldingMinutes: config.maxHoldingMinutes ?? config.MAX_HOLDING_MINUTES,
+            atrTrailingMultiplier: config.atrTrailingMultiplier ?? config.ATR_TRAILING_MULTIPLIER,
+        });
+        bot.clock = () => this.currentTime;
+
+        // Sizing models that size from the ATR fall back to % of balance without one (see sizing.js),
+        // so a run that cannot give them an ATR from the start would not test the configured sizing
+        const { sizingModel, stopLossPercent, atrTrailingMultiplier } = bot.config;
+        getSizingModel(sizingModel); // Throws on an unknown model before anything is replayed
+        const sizingNeedsAtr = sizingModel === 'atrNormalized' ||
+            (sizingModel === 'riskPerTrade' && !(stopLossPercent > 0) && atrTrailingMultiplier > 0);
+        const withoutAtr = Array.from(indicatorsBySymbol)
+            .filter(([, indicators]) => indicators.getValues().atr === null)
+            .map(([token]) => token);
+
+        if (sizingNeedsAtr && withoutAtr.length > 0) {
+            throw new Error(`${sizingModel} sizing needs the ATR, not enough history before start for ${withoutAtr.join(', ')}`);
+        }
+
+        // Token data objects, same shape as MarketData produces
+        const tokens = new Map();
+        const equityCurve = [];
+
+        const timeline = Array.from(new Set(
+            Array.from(candlesBySymbol.values()).flatMap(candles => Array.from(candles.keys()))
+        )).sort((a, b) => a - b);
+
+        for (const time of timeline) {
+            this.currentTime = time;
+
+            for (const [token, candles] of candlesBySymbol) {
+                const candle = candles.get(time);
+                if (!candle) continue;
+
+                for (const price of this.getPricePath(candle)) {
+                    if (!tokens.has(token)) {
+                        tokens.set(token, {
+                            symbol: token,
+                            fullSymbol: getFullSymbol(token),
+                            currentPrice: price,
+                            highestPrice: price,
+                            lowestPrice: price,
+                            change30m: 0,
+                            indicators: indicatorsBySymbol.get(token).getValues(),
+                            lastUpdate: new Date(time),
+                        });
+                    }
+
+                    const tokenData = tokens.get(token);
+                    tokenData.currentPrice = price;
+                    tokenData.lastUpdate = new Date(time);
+                    tokenData.highestPrice = Math.max(tokenData.highestPrice, price);
+                    tokenData.lowestPrice = Math.min(tokenData.lowestPrice, price);
+
+                    const signals = bot.updateMonitoring(Array.from(tokens.values()));
+                    signals.forEach(signal => {
+                        if (signal.type === 'buy' || signal.type === 'short') {
+                            bot.open(signal.token, signal.type === 'short' ? 'short' : 'long', signal.reason);
+                        } else if (signal.type === 'sell' || signal.type === 'cover') {
+                            bot.close(signal.token, signal.reason, {}, signal.exitRule);
+                        }
+                    });
+                }
+
+                // The candle has closed, like MarketData the indicators move on with it
+                tokens.get(token).indicators = indicatorsBySymbol.get(token).update(candle);
+            }
+
+            equityCurve.push({
+                time: new Date(time),
+                equity: bot.getTotalValue(Array.from(tokens.values())),
+            });
+        }
+
+        const tokensData = Array.from(tokens.values());
+
+        return {
+            trades: bot.tradeHistory.slice().reverse(), // Oldest first
+            openPositions: bot.getPositionsWithValue(tokensData),
+            initialBalance: bot.initialBalance,
+            finalBalance: bot.balance,
+            finalEquity: bot.getTotalValue(tokensData),
+            roi: bot.getROI(tokensData),
+            winRate: bot.getWinRate(),
+            stats: { ...bot.stats },
+            equityCurve,
+        };
+    }
+}
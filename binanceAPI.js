@@ -0,0 +1,725 @@
+// Binance API integration - Exchange adapter for Binance USDⓈ-M futures (REST and WebSocket)
+
+import { CONFIG } from './config.js';
+import { WebSocketManager } from './wsManager.js';
+import { RequestScheduler } from './requestScheduler.js';
+import { ORDER_STATES } from './orderTracker.js';
+import { Exchange, failure, toNumber, hmacSHA256 } from './exchange.js';
+
+// Error codes after which a request may or may not have been carried out (unknown, disconnected, timeout, busy)
+const TRANSIENT_ERROR_CODES = [-1000, -1001, -1007, -1008];
+
+// Error code for a newClientOrderId that was used before
+const DUPLICATE_CLIENT_ORDER_ID = -4116;
+
+// Error code when the margin type already has the requested value
+const MARGIN_TYPE_NOT_MODIFIED = -4046;
+
+// Error codes of an order that does not exist (query) or is already final (cancel)
+const UNKNOWN_ORDER = -2013;
+const CANCEL_REJECTED = -2011;
+
+// Leverage cap assumed when the leverage brackets cannot be read (they need an API key)
+const DEFAULT_MAX_LEVERAGE = 20;
+
+// Bot margin mode -> Binance margin type
+const MARGIN_TYPES = { cross: 'CROSSED', isolated: 'ISOLATED' };
+
+// Time in force -> Binance timeInForce (GTX is post-only)
+const TIME_IN_FORCE = { GTC: 'GTC', PostOnly: 'GTX', IOC: 'IOC' };
+
+// Protection trigger -> Binance workingType
+const WORKING_TYPES = { LastPrice: 'CONTRACT_PRICE', MarkPrice: 'MARK_PRICE', IndexPrice: 'MARK_PRICE' };
+
+// Protective price -> close-position order type
+const STOP_ORDER_TYPES = { stopLoss: 'STOP_MARKET', takeProfit: 'TAKE_PROFIT_MARKET' };
+
+// Kline interval (minutes, or D/W) -> Binance interval
+const INTERVALS = {
+    '1': '1m',
+    '3': '3m',
+    '5': '5m',
+    '15': '15m',
+    '30': '30m',
+    '60': '1h',
+    '120': '2h',
+    '240': '4h',
+    '360': '6h',
+    '720': '12h',
+    'D': '1d',
+    'W': '1w',
+};
+
+// Binance order status -> normalized order status
+const ORDER_STATUSES = {
+    NEW: ORDER_STATES.SUBMITTED,
+    PARTIALLY_FILLED: ORDER_STATES.PARTIALLY_FILLED,
+    FILLED: ORDER_STATES.FILLED,
+    CANCELED: ORDER_STATES.CANCELLED,
+    EXPIRED: ORDER_STATES.CANCELLED, // Unfilled IOC and refused post-only orders expire
+    EXPIRED_IN_MATCH: ORDER_STATES.CANCELLED,
+    REJECTED: ORDER_STATES.REJECTED,
+};
+
+// Binance combined stream messages (see BYBIT_PROTOCOL)
+const BINANCE_PROTOCOL = {
+    subscription: (op, topics) => ({
+        method: op === 'subscribe' ? 'SUBSCRIBE' : 'UNSUBSCRIBE',
+        params: topics,
+        id: Date.now(),
+    }),
+    // Every request is answered, listing the subscriptions is the cheapest one
+    ping: () => ({ method: 'LIST_SUBSCRIPTIONS', id: Date.now() }),
+    parse(message) {
+        if (message.stream) {
+            return { type: 'data', topic: message.stream, data: message.data };
+        }
+        if (message.e) {
+            return { type: 'data', topic: message.e, data: message }; // User data stream event
+        }
+        if (message.error) {
+            return { type: 'ack', op: 'request', success: false, error: message.error.msg };
+        }
+        if (message.id !== undefined) {
+            return { type: 'pong' };
+        }
+        return null;
+    },
+};
+
+// The user data stream is authenticated by its URL and only pushes events
+const BINANCE_USER_PROTOCOL = { ...BINANCE_PROTOCOL, ping: null };
+
+// Binance side -> normalized order side
+function toSide(side) {
+    return side === 'BUY' ? 'Buy' : 'Sell';
+}
+
+// Normalize a ticker from 24h statistics, best bid/ask and premium index (any of them may be empty)
+function normalizeTicker(symbol, stats = {}, book = {}, premium = {}) {
+    return {
+        symbol,
+        lastPrice: toNumber(stats.lastPrice),
+        bidPrice: toNumber(book.bidPrice),
+        askPrice: toNumber(book.askPrice),
+        prevPrice1h: undefined, // Not provided
+        change24hPercent: toNumber(stats.priceChangePercent),
+        volume24h: toNumber(stats.volume),
+        turnover24h: toNumber(stats.quoteVolume),
+        fundingRate: toNumber(premium.lastFundingRate),
+        nextFundingTime: toNumber(premium.nextFundingTime) || undefined,
+    };
+}
+
+// Normalize a kline array [openTime, open, high, low, close, volume, closeTime, quoteVolume, ...]
+function normalizeCandle(kline) {
+    return {
+        time: kline[0],
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4]),
+        volume: parseFloat(kline[5]),
+    };
+}
+
+// Normalize an /fapi/v1/exchangeInfo symbol
+function normalizeInstrument(info, maxLeverage) {
+    const filters = Object.fromEntries((info.filters || []).map(filter => [filter.filterType, filter]));
+    const lot = filters.LOT_SIZE || {};
+    const marketLot = filters.MARKET_LOT_SIZE || {};
+
+    return {
+        symbol: info.symbol,
+        status: info.status,
+        trading: info.status === 'TRADING',
+        qtyStep: lot.stepSize || '0.001',
+        minOrderQty: parseFloat(lot.minQty || 0),
+        maxOrderQty: parseFloat(lot.maxQty || Infinity),
+        maxMktOrderQty: parseFloat(marketLot.maxQty || lot.maxQty || Infinity),
+        minNotionalValue: parseFloat(filters.MIN_NOTIONAL?.notional || 0),
+        tickSize: filters.PRICE_FILTER?.tickSize || '0.0001',
+        minLeverage: 1,
+        maxLeverage: maxLeverage || DEFAULT_MAX_LEVERAGE,
+    };
+}
+
+// Normalize an /fapi/v2/positionRisk entry, stops are the adapter's close-position orders
+function normalizePosition(position, stops = {}) {
+    const amount = parseFloat(position.positionAmt || 0);
+    const leverage = toNumber(position.leverage);
+    const notional = toNumber(position.notional);
+    let margin = toNumber(position.isolatedMargin);
+
+    // Cross positions report no margin of their own (stream updates carry no notional either)
+    if (position.marginType !== 'isolated') {
+        margin = notional === undefined ? undefined : Math.abs(notional) / (leverage || 1);
+    }
+
+    return {
+        symbol: position.symbol,
+        side: amount > 0 ? 'long' : amount < 0 ? 'short' : null,
+        size: Math.abs(amount),
+        avgPrice: toNumber(position.entryPrice),
+        markPrice: toNumber(position.markPrice),
+        unrealisedPnl: toNumber(position.unRealizedProfit),
+        leverage,
+        margin,
+        liqPrice: toNumber(position.liquidationPrice) || null, // '0' when there is no liquidation price
+        stopLoss: stops.stopLoss?.price || 0,
+        takeProfit: stops.takeProfit?.price || 0,
+    };
+}
+
+// Normalize an /fapi/v1/order response (fees are only reported per trade)
+function normalizeOrder(order, fee = 0) {
+    return {
+        orderId: String(order.orderId),
+        orderLinkId: order.clientOrderId || '',
+        symbol: order.symbol,
+        side: toSide(order.side),
+        orderType: order.type === 'MARKET' ? 'Market' : 'Limit',
+        price: toNumber(order.price) || 0,
+        qty: toNumber(order.origQty),
+        status: ORDER_STATUSES[order.status] || ORDER_STATES.SUBMITTED,
+        filledQty: toNumber(order.executedQty) || 0,
+        avgPrice: toNumber(order.avgPrice) || 0,
+        fee,
+    };
+}
+
+// Normalize an /fapi/v1/userTrades entry
+function normalizeExecution(trade) {
+    const qty = parseFloat(trade.qty);
+    const price = parseFloat(trade.price);
+
+    return {
+        orderId: String(trade.orderId),
+        symbol: trade.symbol,
+        side: toSide(trade.side),
+        price,
+        qty,
+        value: toNumber(trade.quoteQty) || qty * price,
+        fee: toNumber(trade.commission) || 0,
+    };
+}
+
+export class BinanceAPI extends Exchange {
+    static id = 'binance';
+    static label = 'Binance USDⓈ-M';
+
+    constructor(environment = 'testnet') {
+        super(CONFIG.BINANCE.ENVIRONMENTS, environment);
+        this.apiKey = CONFIG.BINANCE.API_KEY;
+        this.apiSecret = CONFIG.BINANCE.API_SECRET;
+        this.marginModeScope = 'symbol'; // Margin type is set per symbol
+        this.scheduler = new RequestScheduler(); // Rate limits every REST call
+        this.tradingStops = new Map(); // symbol -> { stopLoss, takeProfit } as { orderId, price } of close-position orders
+        this.streamFunding = new Map(); // symbol -> latest premium index from the markPrice stream
+        this.orderFees = new Map(); // orderId -> fees of the pushed trades so far
+        this.userStream = null; // { handlers, onStateChange } of the private stream
+        this.userStreamSession = 0; // Bumped on close, so a slow listen key request cannot reopen the stream
+        this.listenKeyTimer = null;
+    }
+
+    // Make a REST API request, signed unless options.signed is false
+    // Signed requests carry timestamp, recvWindow and the HMAC of the query string
+    // Errors carry transient / duplicate flags for the normalized Result
+    async request(endpoint, method = 'GET', params = {}, { signed = true } = {}) {
+        const baseUrl = this.urls.BASE_URL + endpoint;
+
+        // Signed per attempt, so retries after a rate limit use a fresh timestamp
+        const buildOptions = async () => {
+            const query = new URLSearchParams(params);
+
+            if (signed) {
+                query.append('timestamp', Date.now().toString());
+                query.append('recvWindow', CONFIG.BINANCE.RECV_WINDOW.toString());
+                query.append('signature', await hmacSHA256(query.toString(), this.apiSecret));
+            }
+
+            const queryString = query.toString();
+            return {
+                url: queryString ? `${baseUrl}?${queryString}` : baseUrl,
+                method,
+                headers: this.apiKey ? { 'X-MBX-APIKEY': this.apiKey } : {},
+            };
+        };
+
+        let data;
+        try {
+            data = await this.scheduler.fetchJSON(baseUrl, buildOptions);
+        } catch (error) {
+            // The request itself failed (network, timeout), it may still have arrived
+            console.error('API Request Error:', error);
+            error.transient = true;
+            throw error;
+        }
+
+        // Errors are { code, msg } with a negative code
+        if (data?.code < 0) {
+            const error = new Error(`API Error: ${data.msg}`);
+            error.code = data.code;
+            error.transient = TRANSIENT_ERROR_CODES.includes(data.code);
+            error.duplicate = data.code === DUPLICATE_CLIENT_ORDER_ID;
+            console.error('API Request Error:', error);
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Make a public REST request
+    async publicRequest(endpoint, params = {}) {
+        return this.request(endpoint, 'GET', params, { signed: false });
+    }
+
+    // Get account balance
+    async getBalance() {
+        try {
+            const balances = await this.request('/fapi/v2/balance');
+            const usdt = balances.find(balance => balance.asset === 'USDT');
+
+            return {
+                total: parseFloat(usdt?.balance || 0),
+                available: parseFloat(usdt?.availableBalance || 0),
+            };
+        } catch (error) {
+            console.error('Error getting balance:', error);
+            return { total: 0, available: 0 };
+        }
+    }
+
+    // Get ticker data for all symbols (24h statistics, best bid/ask and funding in one)
+    async getTickers() {
+        try {
+            const [stats, books, premiums] = await Promise.all([
+                this.publicRequest('/fapi/v1/ticker/24hr'),
+                this.publicRequest('/fapi/v1/ticker/bookTicker'),
+                this.publicRequest('/fapi/v1/premiumIndex'),
+            ]);
+
+            const booksBySymbol = new Map(books.map(book => [book.symbol, book]));
+            const premiumsBySymbol = new Map(premiums.map(premium => [premium.symbol, premium]));
+
+            return stats.map(stat => normalizeTicker(
+                stat.symbol, stat, booksBySymbol.get(stat.symbol), premiumsBySymbol.get(stat.symbol)
+            ));
+        } catch (error) {
+            console.error('Error getting tickers:', error);
+            return [];
+        }
+    }
+
+    // Get the ticker of one symbol, null if the request failed
+    async getTicker(symbol) {
+        try {
+            const [stats, book, premium] = await Promise.all([
+                this.publicRequest('/fapi/v1/ticker/24hr', { symbol }),
+                this.publicRequest('/fapi/v1/ticker/bookTicker', { symbol }),
+                this.publicRequest('/fapi/v1/premiumIndex', { symbol }),
+            ]);
+
+            return normalizeTicker(symbol, stats, book, premium);
+        } catch (error) {
+            console.error(`Error getting ticker for ${symbol}:`, error);
+            return null;
+        }
+    }
+
+    // Get the maximum leverage per symbol from the leverage brackets (empty without an API key)
+    async getMaxLeverages() {
+        if (!this.apiKey) return new Map();
+
+        try {
+            const brackets = await this.request('/fapi/v1/leverageBracket');
+            return new Map(brackets.map(entry => [entry.symbol, entry.brackets[0]?.initialLeverage]));
+        } catch (error) {
+            console.warn('Leverage brackets not loaded, assuming default max leverage:', error.message);
+            return new Map();
+        }
+    }
+
+    // Get instrument specs (lot size, min/max order size, notional) for all USDT perpetuals
+    async getInstruments() {
+        try {
+            const info = await this.publicRequest('/fapi/v1/exchangeInfo');
+            const maxLeverages = await this.getMaxLeverages();
+
+            return info.symbols
+                .filter(symbol => symbol.contractType === 'PERPETUAL')
+                .map(symbol => normalizeInstrument(symbol, maxLeverages.get(symbol.symbol)));
+        } catch (error) {
+            console.error('Error getting instruments:', error);
+            return [];
+        }
+    }
+
+    // Get candles (oldest first), optionally bounded by start/end timestamps in ms
+    // Asked for the candles up to end, so the newest ones in the range come back, like on Bybit
+    async getKlines(symbol, interval = '30', limit = 2, start = null, end = null) {
+        try {
+            const params = { symbol, interval: INTERVALS[interval], limit };
+            if (end !== null) params.endTime = end;
+
+            const klines = await this.publicRequest('/fapi/v1/klines', params);
+            return klines
+                .map(normalizeCandle)
+                .filter(candle => start === null || candle.time >= start);
+        } catch (error) {
+            console.error('Error getting klines:', error);
+            return [];
+        }
+    }
+
+    // Place an order, a market order unless options say otherwise
+    async placeOrder(symbol, side, quantity, options = {}) {
+        try {
+            const params = {
+                symbol: symbol,
+                side: side === 'Buy' ? 'BUY' : 'SELL',
+                type: options.orderType === 'Limit' ? 'LIMIT' : 'MARKET',
+                quantity: quantity.toString(),
+                newOrderRespType: 'RESULT',
+            };
+
+            if (params.type === 'LIMIT') {
+                params.price = options.price.toString();
+                params.timeInForce = TIME_IN_FORCE[options.timeInForce || 'GTC'];
+            }
+
+            // Closing orders must only reduce the position
+            if (options.reduceOnly) {
+                params.reduceOnly = 'true';
+            }
+
+            // Client order ID, Binance refuses a second open order with the same one
+            if (options.orderLinkId) {
+                params.newClientOrderId = options.orderLinkId;
+            }
+
+            const order = await this.request('/fapi/v1/order', 'POST', params);
+
+            return {
+                success: true,
+                orderId: String(order.orderId),
+            };
+        } catch (error) {
+            console.error('Error placing order:', error);
+            return failure(error);
+        }
+    }
+
+    // Cancel an open order
+    async cancelOrder(symbol, orderId) {
+        try {
+            await this.request('/fapi/v1/order', 'DELETE', { symbol, orderId });
+            return { success: true };
+        } catch (error) {
+            console.error('Error cancelling order:', error);
+            return failure(error);
+        }
+    }
+
+    // Set a symbol's leverage
+    async setLeverage(symbol, leverage) {
+        try {
+            await this.request('/fapi/v1/leverage', 'POST', { symbol, leverage });
+            return { success: true };
+        } catch (error) {
+            console.error('Error setting leverage:', error);
+            return failure(error);
+        }
+    }
+
+    // Set a symbol's margin type ('cross' or 'isolated')
+    async setMarginMode(marginMode, symbol) {
+        try {
+            await this.request('/fapi/v1/marginType', 'POST', { symbol, marginType: MARGIN_TYPES[marginMode] });
+            return { success: true };
+        } catch (error) {
+            if (error.code === MARGIN_TYPE_NOT_MODIFIED) {
+                return { success: true };
+            }
+
+            console.error('Error setting margin mode:', error);
+            return failure(error);
+        }
+    }
+
+    // Cancel a close-position order, one that already triggered or was cancelled counts as cancelled
+    async cancelStopOrder(symbol, orderId) {
+        try {
+            await this.request('/fapi/v1/order', 'DELETE', { symbol, orderId });
+        } catch (error) {
+            if (error.code !== CANCEL_REJECTED && error.code !== UNKNOWN_ORDER) {
+                throw error;
+            }
+        }
+    }
+
+    // Set exchange-side stop-loss / take-profit of a position, '0' cancels a price
+    // Binance has no position stops, so each price is a closePosition STOP_MARKET / TAKE_PROFIT_MARKET
+    // order that is cancelled and placed again when the price changes
+    async setTradingStop(symbol, stops) {
+        const current = this.tradingStops.get(symbol) || {};
+
+        try {
+            let closingSide = null;
+
+            for (const [kind, type] of Object.entries(STOP_ORDER_TYPES)) {
+                const price = stops[kind];
+                if (price === undefined) continue;
+
+                if (current[kind]) {
+                    await this.cancelStopOrder(symbol, current[kind].orderId);
+                    delete current[kind];
+                }
+
+                if (!(parseFloat(price) > 0)) continue;
+
+                if (!closingSide) {
+                    const [position] = await this.request('/fapi/v2/positionRisk', 'GET', { symbol });
+                    const amount = parseFloat(position?.positionAmt || 0);
+
+                    if (amount === 0) {
+                        throw new Error('Cannot set trading stop for zero position');
+                    }
+                    closingSide = amount > 0 ? 'SELL' : 'BUY';
+                }
+
+                const order = await this.request('/fapi/v1/order', 'POST', {
+                    symbol,
+                    side: closingSide,
+                    type,
+                    stopPrice: price,
+                    closePosition: 'true',
+                    workingType: WORKING_TYPES[CONFIG.PROTECTION.TRIGGER_BY] || 'CONTRACT_PRICE',
+                });
+                current[kind] = { orderId: String(order.orderId), price: parseFloat(price) };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error setting trading stop:', error);
+            return failure(error);
+        } finally {
+            if (current.stopLoss || current.takeProfit) {
+                this.tradingStops.set(symbol, current);
+            } else {
+                this.tradingStops.delete(symbol);
+            }
+        }
+    }
+
+    // Get an order (null if not found or the request failed)
+    async getOrder(symbol, orderId) {
+        try {
+            const order = await this.request('/fapi/v1/order', 'GET', { symbol, orderId });
+            return normalizeOrder(order, this.orderFees.get(String(order.orderId)));
+        } catch (error) {
+            if (error.code !== UNKNOWN_ORDER) {
+                console.error('Error getting order:', error);
+            }
+            return null;
+        }
+    }
+
+    // Get an order by its client order ID (null if not found or the request failed)
+    async getOrderByLinkId(symbol, orderLinkId) {
+        try {
+            const order = await this.request('/fapi/v1/order', 'GET', { symbol, origClientOrderId: orderLinkId });
+            return normalizeOrder(order, this.orderFees.get(String(order.orderId)));
+        } catch (error) {
+            if (error.code !== UNKNOWN_ORDER) {
+                console.error('Error getting order by link ID:', error);
+            }
+            return null;
+        }
+    }
+
+    // Get the trades (fills) of an order (null if the request failed)
+    async getExecutions(symbol, orderId) {
+        try {
+            const trades = await this.request('/fapi/v1/userTrades', 'GET', { symbol, orderId });
+            return trades.map(normalizeExecution);
+        } catch (error) {
+            console.error('Error getting executions:', error);
+            return null;
+        }
+    }
+
+    // Get current positions (null if the request failed, so callers can tell it from "no positions")
+    async getPositions() {
+        try {
+            const positions = await this.request('/fapi/v2/positionRisk');
+
+            return positions
+                .map(position => normalizePosition(position, this.tradingStops.get(position.symbol)))
+                .filter(position => position.size > 0);
+        } catch (error) {
+            console.error('Error getting positions:', error);
+            return null;
+        }
+    }
+
+    // Handle a public stream message: mark price updates carry funding, ticker updates the price
+    handlePublicMessage(message, onPriceUpdate) {
+        const { data } = message;
+
+        if (data?.e === 'markPriceUpdate') {
+            this.streamFunding.set(data.s, { lastFundingRate: data.r, nextFundingTime: data.T });
+        } else if (data?.e === '24hrTicker') {
+            const ticker = normalizeTicker(
+                data.s,
+                { lastPrice: data.c, priceChangePercent: data.P, volume: data.v, quoteVolume: data.q },
+                {},
+                this.streamFunding.get(data.s)
+            );
+
+            if (ticker.lastPrice) {
+                onPriceUpdate(ticker.symbol, ticker.lastPrice, ticker);
+            }
+        }
+    }
+
+    // Handle a user data stream event, calling the handlers with normalized data
+    handlePrivateMessage(message, handlers) {
+        const event = message.data;
+
+        if (event.e === 'ORDER_TRADE_UPDATE') {
+            const update = event.o;
+            const orderId = String(update.i);
+
+            // Fees are pushed per trade, the order carries their running total
+            if (update.x === 'TRADE') {
+                const qty = parseFloat(update.l);
+                const price = parseFloat(update.L);
+                const fee = parseFloat(update.n || 0);
+
+                this.orderFees.set(orderId, (this.orderFees.get(orderId) || 0) + fee);
+                handlers.execution?.([{
+                    orderId,
+                    symbol: update.s,
+                    side: toSide(update.S),
+                    price,
+                    qty,
+                    value: qty * price,
+                    fee,
+                }]);
+            }
+
+            const order = normalizeOrder({
+                orderId,
+                clientOrderId: update.c,
+                symbol: update.s,
+                side: update.S,
+                type: update.o,
+                price: update.p,
+                origQty: update.q,
+                status: update.X,
+                executedQty: update.z,
+                avgPrice: update.ap,
+            }, this.orderFees.get(orderId) || 0);
+
+            if (order.status !== ORDER_STATES.SUBMITTED && order.status !== ORDER_STATES.PARTIALLY_FILLED) {
+                this.orderFees.delete(orderId);
+            }
+            handlers.order?.([order]);
+        } else if (event.e === 'ACCOUNT_UPDATE') {
+            const usdt = (event.a.B || []).find(balance => balance.a === 'USDT');
+            const positions = (event.a.P || []).map(position => normalizePosition({
+                symbol: position.s,
+                positionAmt: position.pa,
+                entryPrice: position.ep,
+                unRealizedProfit: position.up,
+                marginType: position.mt,
+                isolatedMargin: position.iw,
+            }, this.tradingStops.get(position.s)));
+
+            if (positions.length > 0) {
+                handlers.position?.(positions);
+            }
+            if (usdt) {
+                // The cross wallet balance stands in for the available balance, which is not pushed
+                handlers.wallet?.({ total: parseFloat(usdt.wb), available: parseFloat(usdt.cw) });
+            }
+        } else if (event.e === 'listenKeyExpired') {
+            console.warn('Listen key expired, restarting the user data stream');
+            this.initPrivateWebSocket(this.userStream.handlers, this.userStream.onStateChange);
+        }
+    }
+
+    // Initialize WebSocket connection for real-time price updates (ticker and mark price streams)
+    // onStateChange is called with the connection state ('connecting', 'connected', 'reconnecting', 'disconnected')
+    initWebSocket(symbols, onPriceUpdate, onStateChange = () => {}) {
+        this.closeWebSocket();
+
+        this.publicStream = new WebSocketManager(this.urls.WS_URL, {
+            name: 'Price',
+            protocol: BINANCE_PROTOCOL,
+            onStateChange,
+            onMessage: (message) => this.handlePublicMessage(message, onPriceUpdate),
+        });
+
+        this.subscribeSymbols(symbols);
+        this.publicStream.connect();
+    }
+
+    // Ticker and mark price stream names of symbols
+    getStreams(symbols) {
+        return symbols.flatMap(symbol => [`${symbol.toLowerCase()}@ticker`, `${symbol.toLowerCase()}@markPrice`]);
+    }
+
+    // Subscribe to ticker streams for more symbols
+    subscribeSymbols(symbols) {
+        this.publicStream?.subscribe(this.getStreams(symbols));
+    }
+
+    // Unsubscribe from ticker streams
+    unsubscribeSymbols(symbols) {
+        this.publicStream?.unsubscribe(this.getStreams(symbols));
+    }
+
+    // Initialize the user data stream for order, trade, position and wallet updates
+    // It needs a listen key first, which is kept alive while the stream is open
+    initPrivateWebSocket(handlers, onStateChange = () => {}) {
+        this.closePrivateWebSocket();
+        this.userStream = { handlers, onStateChange };
+        this.startUserStream(this.userStreamSession);
+    }
+
+    // Get a listen key and connect the user data stream
+    async startUserStream(session) {
+        const { handlers, onStateChange } = this.userStream;
+
+        try {
+            const { listenKey } = await this.request('/fapi/v1/listenKey', 'POST', {}, { signed: false });
+            if (session !== this.userStreamSession) return;
+
+            this.privateStream = new WebSocketManager(`${this.urls.PRIVATE_WS_URL}/${listenKey}`, {
+                name: 'Private',
+                protocol: BINANCE_USER_PROTOCOL,
+                onStateChange,
+                onMessage: (message) => this.handlePrivateMessage(message, handlers),
+            });
+            this.privateStream.connect();
+
+            this.listenKeyTimer = setInterval(() => {
+                this.request('/fapi/v1/listenKey', 'PUT', {}, { signed: false })
+                    .catch(error => console.error('Listen key keepalive failed:', error));
+            }, CONFIG.BINANCE.LISTEN_KEY_KEEPALIVE);
+        } catch (error) {
+            console.error('Could not start the user data stream:', error);
+            onStateChange('disconnected');
+        }
+    }
+
+    // Close the user data stream and stop the listen key keepalive
+    closePrivateWebSocket() {
+        this.userStreamSession++;
+        clearInterval(this.listenKeyTimer);
+        this.listenKeyTimer = null;
+        super.closePrivateWebSocket();
+    }
+}
@@ -0,0 +1,204 @@
+// Bot Checks - Scenario checks of the bot's components trading on the PaperExchange
+// Market data comes from a small in-memory market, so no network or API keys are needed.
+// Run in Node with: node --input-type=module -e "import('./botChecks.js').then(m => m.runBotChecks())"
+
+import { CONFIG } from './config.js';
+import { PaperExchange } from './paperExchange.js';
+import { TradingBot } from './tradingBot.js';
+import { MarketData } from './marketData.js';
+import { InstrumentRegistry } from './instruments.js';
+import { LeverageManager } from './leverage.js';
+import { OrderExecutor } from './orderExecutor.js';
+import { RiskManager } from './riskManager.js';
+import { PositionReconciler } from './reconciler.js';
+
+// Token traded in the scenarios and its starting price
+const TOKEN = 'BTC';
+const SYMBOL = 'BTCUSDT';
+const START_PRICE = 100;
+
+// Public market data for the PaperExchange: fixed prices, one instrument, no klines
+class StaticMarket {
+    constructor(prices) {
+        this.prices = new Map(Object.entries(prices));
+        this.subscribed = new Set(); // Symbols with a ticker subscription
+    }
+
+    async getTickers() {
+        return Array.from(this.prices, ([symbol, lastPrice]) => ({ symbol, lastPrice }));
+    }
+
+    async getInstruments() {
+        return Array.from(this.prices.keys(), symbol => ({
+            symbol, status: 'Trading', trading: true, qtyStep: '0.001', minOrderQty: 0.001, maxOrderQty: 1000,
+            maxMktOrderQty: 1000, minNotionalValue: 5, tickSize: '0.01', minLeverage: 1, maxLeverage: 100,
+        }));
+    }
+
+    async getKlines() {
+        return [];
+    }
+
+    async get30MinChange() {
+        return 0;
+    }
+
+    initWebSocket() {}
+
+    subscribeSymbols(symbols) {
+        symbols.forEach(symbol => this.subscribed.add(symbol));
+    }
+
+    unsubscribeSymbols(symbols) {
+        symbols.forEach(symbol => this.subscribed.delete(symbol));
+    }
+
+    closeWebSocket() {}
+}
+
+// Wire the components like App does, on a PaperExchange without slippage
+// config: TradingBot config, riskLimits: RiskManager limits
+async function createBot(config = {}, riskLimits = CONFIG.RISK) {
+    const market = new StaticMarket({ [SYMBOL]: START_PRICE });
+    const exchange = new PaperExchange(market, { initialBalance: 10000, slippagePercent: 0 });
+    exchange.setPrice(SYMBOL, START_PRICE);
+
+    const tradingBot = new TradingBot({ initialBalance: 10000, ...config });
+    const marketData = new MarketData(exchange);
+    const instruments = new InstrumentRegistry(exchange);
+    const leverage = new LeverageManager(exchange, tradingBot, instruments);
+    const orderExecutor = new OrderExecutor(exchange, tradingBot, instruments, leverage);
+    const riskManager = new RiskManager(tradingBot, riskLimits);
+    const reconciler = new PositionReconciler(exchange, tradingBot, marketData, orderExecutor);
+
+    await instruments.load();
+    exchange.initPrivateWebSocket({
+        order: orders => orderExecutor.handleOrderUpdates(orders),
+        execution: executions => orderExecutor.handleExecutions(executions),
+        position: () => {},
+        wallet: () => {},
+    });
+
+    return { market, exchange, tradingBot, marketData, orderExecutor, riskManager, reconciler };
+}
+
+// Let pushed paper updates arrive
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Checks: name -> async () => list of problems
+const CHECKS = {
+    // A stop-loss fired on the exchange is booked as a losing trade that the risk limits see
+    async exchangeStopBooked() {
+        const { exchange, tradingBot, orderExecutor, riskManager, reconciler } = await createBot(
+            { stopLossPercent: 2, tradeAmountPercent: 25 },
+            { ...CONFIG.RISK, DAILY_LOSS_LIMIT_PERCENT: 0.5 }
+        );
+
+        const opened = await orderExecutor.executeOpen({ symbol: TOKEN, currentPrice: START_PRICE }, 'long', 'Check entry');
+        if (!opened.success) {
+            return [`entry failed: ${opened.message}`];
+        }
+        if (!(orderExecutor.protection.get(SYMBOL)?.stopLoss > 0)) {
+            return ['no stop-loss was set on the exchange'];
+        }
+
+        const balanceBefore = tradingBot.balance + tradingBot.positions.get(TOKEN).margin;
+        const stopPrice = START_PRICE * 0.95;
+        exchange.setPrice(SYMBOL, stopPrice);
+        await settle();
+        await reconciler.reconcile();
+
+        const problems = [];
+        const trade = tradingBot.tradeHistory[0];
+
+        if (tradingBot.positions.has(TOKEN)) {
+            problems.push('position still open after the stop fired');
+        }
+        if (trade?.exitRule !== 'exchangeStop' || trade.price !== stopPrice || !(trade.profit < 0)) {
+            problems.push(`closing trade is ${JSON.stringify(trade)}, expected an exchangeStop loss at $${stopPrice}`);
+        }
+        if (!(tradingBot.balance < balanceBefore)) {
+            problems.push(`balance ${tradingBot.balance} did not fall from ${balanceBefore}`);
+        }
+        if (Math.abs(tradingBot.balance - exchange.cash) > 1e-6) {
+            problems.push(`bot balance ${tradingBot.balance} differs from paper cash ${exchange.cash}`);
+        }
+        if (tradingBot.stats.losingTrades !== 1) {
+            problems.push(`stats count ${tradingBot.stats.losingTrades} losing trades, expected 1`);
+        }
+        if (riskManager.getLossStreak().count !== 1 || riskManager.getDailyPnl() !== trade?.profit) {
+            problems.push(`risk manager sees a loss streak of ${riskManager.getLossStreak().count} and daily P/L ${riskManager.getDailyPnl()}`);
+        }
+
+        const breach = riskManager.checkBreakers([{ symbol: TOKEN, currentPrice: stopPrice }]);
+        if (breach?.breaker !== 'dailyLoss') {
+            problems.push(`daily loss breaker did not trip: ${JSON.stringify(breach)}`);
+        }
+
+        return problems;
+    },
+
+    // Tokens added while running (adopted or restored positions) get a ticker stream at once
+    async addedTokenSubscribed() {
+        const { market, marketData } = await createBot();
+        market.prices.set('ETHUSDT', 50);
+
+        const problems = [];
+
+        await marketData.addTokens([TOKEN]);
+        if (market.subscribed.size > 0) {
+            problems.push(`subscribed ${Array.from(market.subscribed)} before the price stream was up`);
+        }
+
+        marketData.startSubscriptions();
+        if (!market.subscribed.has(SYMBOL)) {
+            problems.push(`${SYMBOL} added before the price stream was up is not subscribed`);
+        }
+
+        await marketData.addTokens(['ETH']);
+        if (!market.subscribed.has('ETHUSDT')) {
+            problems.push('ETHUSDT added while streaming is not subscribed');
+        }
+
+        return problems;
+    },
+};
+
+// Run all checks, returns { passed: [names], failed: [{ name, problems }] }
+export async function checkBot() {
+    const result = { passed: [], failed: [] };
+
+    for (const [name, check] of Object.entries(CHECKS)) {
+        let problems;
+        try {
+            problems = await check();
+        } catch (error) {
+            problems = [`threw ${error.message}`];
+        }
+
+        if (problems.length === 0) {
+            result.passed.push(name);
+        } else {
+            result.failed.push({ name, problems });
+        }
+    }
+
+    return result;
+}
+
+// Run all checks and log a summary, true when all pass
+export async function runBotChecks() {
+    const { passed, failed } = await checkBot();
+
+    console.log(`${failed.length === 0 ? '✅' : '❌'} Bot: ${passed.length}/${passed.length + failed.length} checks passed`);
+    failed.forEach(({ name, problems }) => {
+        problems.forEach(problem => console.log(`   ${name}: ${problem}`));
+    });
+
+    // Let scripts fail on broken checks
+    if (failed.length > 0 && globalThis.process) {
+        globalThis.process.exitCode = 1;
+    }
+
+    return failed.length === 0;
+}
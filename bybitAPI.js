@@ -1,94 +1,238 @@
-// Bybit API integration - handles REST API calls and WebSocket connections
+// Bybit API integration - Exchange adapter for Bybit v5 linear perpetuals (REST and WebSocket)
 
 import { CONFIG } from './config.js';
+import { WebSocketManager, BYBIT_PROTOCOL } from './wsManager.js';
+import { RequestScheduler } from './requestScheduler.js';
+import { ORDER_STATES } from './orderTracker.js';
+import { Exchange, failure, toNumber, hmacSHA256 } from './exchange.js';
+
+// retCodes after which a request may or may not have been carried out (server timeout, server error)
+const TRANSIENT_RET_CODES = [10000, 10016];
+
+// retCode for an orderLinkId that was used before
+const DUPLICATE_LINK_ID = 110072;
+
+// retCode when the leverage already has the requested value
+const LEVERAGE_NOT_MODIFIED = 110043;
+
+// Bot margin mode -> unified account margin mode
+const MARGIN_MODES = { cross: 'REGULAR_MARGIN', isolated: 'ISOLATED_MARGIN' };
+
+// Bybit orderStatus -> normalized order status
+const ORDER_STATUSES = {
+    Created: ORDER_STATES.SUBMITTED,
+    New: ORDER_STATES.SUBMITTED,
+    Untriggered: ORDER_STATES.SUBMITTED,
+    Triggered: ORDER_STATES.SUBMITTED,
+    PartiallyFilled: ORDER_STATES.PARTIALLY_FILLED,
+    Filled: ORDER_STATES.FILLED,
+    Cancelled: ORDER_STATES.CANCELLED,
+    PartiallyFilledCanceled: ORDER_STATES.CANCELLED,
+    Deactivated: ORDER_STATES.CANCELLED,
+    Rejected: ORDER_STATES.REJECTED,
+};
+
+// Position side ('Buy' / 'Sell', '' when flat) -> bot position side
+const POSITION_SIDES = { Buy: 'long', Sell: 'short' };
+
+// Normalize a /v5/market/tickers entry or a tickers.* stream update
+function normalizeTicker(ticker) {
+    const change24h = toNumber(ticker.price24hPcnt);
+
+    return {
+        symbol: ticker.symbol,
+        lastPrice: toNumber(ticker.lastPrice),
+        bidPrice: toNumber(ticker.bid1Price),
+        askPrice: toNumber(ticker.ask1Price),
+        prevPrice1h: toNumber(ticker.prevPrice1h),
+        change24hPercent: change24h === undefined ? undefined : change24h * 100,
+        volume24h: toNumber(ticker.volume24h),
+        turnover24h: toNumber(ticker.turnover24h),
+        fundingRate: toNumber(ticker.fundingRate),
+        nextFundingTime: toNumber(ticker.nextFundingTime) || undefined, // 0 when the symbol has no funding
+    };
+}
+
+// Normalize a kline array [startTime, open, high, low, close, volume, turnover]
+function normalizeCandle(kline) {
+    return {
+        time: parseInt(kline[0], 10),
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4]),
+        volume: parseFloat(kline[5]),
+    };
+}
+
+// Normalize a /v5/market/instruments-info entry
+function normalizeInstrument(instrument) {
+    const lot = instrument.lotSizeFilter || {};
+    const price = instrument.priceFilter || {};
+    const leverage = instrument.leverageFilter || {};
+
+    return {
+        symbol: instrument.symbol,
+        status: instrument.status,
+        trading: instrument.status === 'Trading',
+        qtyStep: lot.qtyStep || '0.0001',
+        minOrderQty: parseFloat(lot.minOrderQty || 0),
+        maxOrderQty: parseFloat(lot.maxOrderQty || Infinity),
+        maxMktOrderQty: parseFloat(lot.maxMktOrderQty || lot.maxOrderQty || Infinity),
+        minNotionalValue: parseFloat(lot.minNotionalValue || 0),
+        tickSize: price.tickSize || '0.0001',
+        minLeverage: parseFloat(leverage.minLeverage || 1),
+        maxLeverage: parseFloat(leverage.maxLeverage || 1),
+    };
+}
 
-export class BybitAPI {
-    constructor() {
+// Normalize a /v5/position/list entry or a position stream update
+function normalizePosition(position) {
+    return {
+        symbol: position.symbol,
+        side: POSITION_SIDES[position.side] || null,
+        size: parseFloat(position.size || 0),
+        avgPrice: toNumber(position.avgPrice),
+        markPrice: toNumber(position.markPrice),
+        unrealisedPnl: toNumber(position.unrealisedPnl),
+        leverage: toNumber(position.leverage),
+        margin: toNumber(position.positionIM),
+        liqPrice: toNumber(position.liqPrice) || null, // '' when there is no liquidation price
+        stopLoss: toNumber(position.stopLoss) || 0,
+        takeProfit: toNumber(position.takeProfit) || 0,
+    };
+}
+
+// Normalize a /v5/order/realtime entry or an order stream update
+function normalizeOrder(order) {
+    return {
+        orderId: order.orderId,
+        orderLinkId: order.orderLinkId || '',
+        symbol: order.symbol,
+        side: order.side,
+        orderType: order.orderType,
+        price: toNumber(order.price) || 0,
+        qty: toNumber(order.qty),
+        status: ORDER_STATUSES[order.orderStatus] || ORDER_STATES.SUBMITTED,
+        filledQty: toNumber(order.cumExecQty) || 0,
+        avgPrice: toNumber(order.avgPrice) || 0,
+        fee: toNumber(order.cumExecFee) || 0,
+    };
+}
+
+// Normalize a /v5/execution/list entry or an execution stream update
+function normalizeExecution(execution) {
+    const qty = parseFloat(execution.execQty);
+    const price = parseFloat(execution.execPrice);
+
+    return {
+        orderId: execution.orderId,
+        symbol: execution.symbol,
+        side: execution.side,
+        price,
+        qty,
+        value: toNumber(execution.execValue) || qty * price,
+        fee: toNumber(execution.execFee) || 0,
+    };
+}
+
+// Normalize the USDT coin of a wallet stream update
+function normalizeWallet(wallets) {
+    const coins = wallets.flatMap(wallet => wallet.coin || []);
+    const usdt = coins.find(coin => coin.coin === 'USDT');
+
+    if (!usdt) return null;
+
+    return {
+        total: parseFloat(usdt.walletBalance || 0),
+        available: parseFloat(usdt.availableToWithdraw || 0),
+    };
+}
+
+export class BybitAPI extends Exchange {
+    static id = 'bybit';
+    static label = 'Bybit';
+
+    constructor(environment = 'testnet') {
+        super(CONFIG.BYBIT.ENVIRONMENTS, environment);
         this.apiKey = CONFIG.BYBIT.API_KEY;
         this.apiSecret = CONFIG.BYBIT.API_SECRET;
-        this.ws = null;
-        this.priceCallbacks = new Map();
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-    }
-
-    // Set API credentials
-    setCredentials(apiKey, apiSecret) {
-        this.apiKey = apiKey;
-        this.apiSecret = apiSecret;
+        this.marginModeScope = 'account'; // Unified accounts apply the margin mode to the whole account
+        this.scheduler = new RequestScheduler(); // Rate limits every REST call
     }
 
     // Generate signature for authenticated requests
     generateSignature(params, timestamp) {
-        const crypto = window.crypto || window.msCrypto;
         const paramStr = timestamp + this.apiKey + '5000' + new URLSearchParams(params).toString();
-        
-        return this.hmacSHA256(paramStr, this.apiSecret);
-    }
 
-    // HMAC SHA256 implementation
-    async hmacSHA256(message, secret) {
-        const encoder = new TextEncoder();
-        const keyData = encoder.encode(secret);
-        const messageData = encoder.encode(message);
-        
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        );
-        
-        const signature = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
-        
-        return Array.from(new Uint8Array(signature))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+        return hmacSHA256(paramStr, this.apiSecret);
     }
 
     // Make authenticated REST API request
+    // Errors carry transient / duplicate flags for the normalized Result
     async request(endpoint, method = 'GET', params = {}) {
-        const timestamp = Date.now().toString();
-        const url = new URL(CONFIG.BYBIT.BASE_URL + endpoint);
-
-        let headers = {
-            'Content-Type': 'application/json',
-            'X-BAPI-API-KEY': this.apiKey,
-            'X-BAPI-TIMESTAMP': timestamp,
-            'X-BAPI-RECV-WINDOW': '5000',
-        };
-
-        let body = null;
+        const url = new URL(this.urls.BASE_URL + endpoint);
 
         if (method === 'GET') {
             Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
-            const signature = await this.generateSignature(params, timestamp);
-            headers['X-BAPI-SIGN'] = signature;
-        } else {
-            body = JSON.stringify(params);
-            const signature = await this.generateSignature(params, timestamp);
-            headers['X-BAPI-SIGN'] = signature;
         }
 
-        try {
-            const response = await fetch(url, {
-                method,
-                headers,
-                body,
-            });
+        // Signed per attempt, so retries after a rate limit use a fresh timestamp
+        const buildOptions = async () => {
+            const timestamp = Date.now().toString();
 
-            const data = await response.json();
-            
-            if (data.retCode !== 0) {
-                throw new Error(`API Error: ${data.retMsg}`);
+            let headers = {
+                'Content-Type': 'application/json',
+                'X-BAPI-API-KEY': this.apiKey,
+                'X-BAPI-TIMESTAMP': timestamp,
+                'X-BAPI-RECV-WINDOW': '5000',
+            };
+
+            let body = null;
+
+            if (method !== 'GET') {
+                body = JSON.stringify(params);
             }
 
-            return data;
+            headers['X-BAPI-SIGN'] = await this.generateSignature(params, timestamp);
+
+            return { method, headers, body };
+        };
+
+        let data;
+        try {
+            data = await this.scheduler.fetchJSON(url.toString(), buildOptions);
         } catch (error) {
+            // The request itself failed (network, timeout), it may still have arrived
             console.error('API Request Error:', error);
+            error.transient = true;
             throw error;
         }
+
+        if (data.retCode !== 0) {
+            const error = new Error(`API Error: ${data.retMsg}`);
+            error.retCode = data.retCode;
+            error.transient = TRANSIENT_RET_CODES.includes(data.retCode);
+            error.duplicate = data.retCode === DUPLICATE_LINK_ID;
+            console.error('API Request Error:', error);
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Make a public REST request, returns the result
+    async publicRequest(endpoint, params = {}) {
+        const url = new URL(this.urls.BASE_URL + endpoint);
+        Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
+
+        const data = await this.scheduler.fetchJSON(url.toString());
+
+        if (data.retCode !== 0) {
+            throw new Error(`API Error: ${data.retMsg}`);
+        }
+
+        return data.result;
     }
 
     // Get account balance
@@ -98,13 +242,7 @@ export class BybitAPI {
                 accountType: 'UNIFIED'
             });
 
-            const coins = response.result.list[0]?.coin || [];
-            const usdtBalance = coins.find(c => c.coin === 'USDT');
-            
-            return {
-                total: parseFloat(usdtBalance?.walletBalance || 0),
-                available: parseFloat(usdtBalance?.availableToWithdraw || 0),
-            };
+            return normalizeWallet(response.result.list) || { total: 0, available: 0 };
         } catch (error) {
             console.error('Error getting balance:', error);
             return { total: 0, available: 0 };
@@ -114,150 +252,305 @@ export class BybitAPI {
     // Get ticker data for all symbols
     async getTickers() {
         try {
-            const response = await fetch(
-                `${CONFIG.BYBIT.BASE_URL}/v5/market/tickers?category=linear`
-            );
-            const data = await response.json();
-            
-            if (data.retCode !== 0) {
-                throw new Error(`API Error: ${data.retMsg}`);
-            }
-
-            return data.result.list;
+            const result = await this.publicRequest('/v5/market/tickers', { category: 'linear' });
+            return result.list.map(normalizeTicker);
         } catch (error) {
             console.error('Error getting tickers:', error);
             return [];
         }
     }
 
-    // Get kline data for calculating percentage change
-    async getKlines(symbol, interval = '30', limit = 2) {
+    // Get the ticker of one symbol, null if the request failed
+    async getTicker(symbol) {
         try {
-            const response = await fetch(
-                `${CONFIG.BYBIT.BASE_URL}/v5/market/kline?category=linear&symbol=${symbol}&interval=${interval}&limit=${limit}`
-            );
-            const data = await response.json();
-            
-            if (data.retCode !== 0) {
-                throw new Error(`API Error: ${data.retMsg}`);
-            }
+            const result = await this.publicRequest('/v5/market/tickers', { category: 'linear', symbol });
+            return result.list[0] ? normalizeTicker(result.list[0]) : null;
+        } catch (error) {
+            console.error(`Error getting ticker for ${symbol}:`, error);
+            return null;
+        }
+    }
+
+    // Get instrument specs (lot size, min/max order size, notional) for all linear symbols
+    async getInstruments() {
+        try {
+            const instruments = [];
+            let cursor = '';
+
+            // Results are paginated with a cursor
+            do {
+                const params = { category: 'linear', limit: 1000 };
+                if (cursor) params.cursor = cursor;
 
-            return data.result.list;
+                const result = await this.publicRequest('/v5/market/instruments-info', params);
+
+                instruments.push(...result.list.map(normalizeInstrument));
+                cursor = result.nextPageCursor;
+            } while (cursor);
+
+            return instruments;
         } catch (error) {
-            console.error('Error getting klines:', error);
+            console.error('Error getting instruments:', error);
             return [];
         }
     }
 
-    // Calculate 30min percentage change for a symbol
-    async get30MinChange(symbol) {
+    // Get candles (oldest first), optionally bounded by start/end timestamps in ms
+    async getKlines(symbol, interval = '30', limit = 2, start = null, end = null) {
         try {
-            const klines = await this.getKlines(symbol, '30', 2);
-            
-            if (klines.length < 2) return 0;
-
-            const currentPrice = parseFloat(klines[0][4]); // Close price of current candle
-            const previousPrice = parseFloat(klines[1][4]); // Close price of previous candle
-            
-            return ((currentPrice - previousPrice) / previousPrice) * 100;
+            const params = { category: 'linear', symbol, interval, limit };
+            if (start !== null) params.start = start;
+            if (end !== null) params.end = end;
+
+            // Klines come newest first
+            const result = await this.publicRequest('/v5/market/kline', params);
+            return result.list.map(normalizeCandle).reverse();
         } catch (error) {
-            console.error(`Error calculating change for ${symbol}:`, error);
-            return 0;
+            console.error('Error getting klines:', error);
+            return [];
         }
     }
 
-    // Place market order
-    async placeOrder(symbol, side, quantity) {
+    // Place an order, a market order unless options say otherwise
+    async placeOrder(symbol, side, quantity, options = {}) {
         try {
             const params = {
-                category: 'linear',
+                category: CONFIG.ORDER.CATEGORY,
                 symbol: symbol,
                 side: side, // 'Buy' or 'Sell'
-                orderType: 'Market',
+                orderType: options.orderType || 'Market',
                 qty: quantity.toString(),
             };
 
+            if (params.orderType === 'Limit') {
+                params.price = options.price.toString();
+                params.timeInForce = options.timeInForce || 'GTC';
+            }
+
+            // Closing orders must only reduce the position
+            if (options.reduceOnly) {
+                params.reduceOnly = true;
+            }
+
+            // Client order ID, Bybit refuses a second order with the same one
+            if (options.orderLinkId) {
+                params.orderLinkId = options.orderLinkId;
+            }
+
             const response = await this.request('/v5/order/create', 'POST', params);
-            
+
             return {
                 success: true,
                 orderId: response.result.orderId,
-                data: response.result,
             };
         } catch (error) {
             console.error('Error placing order:', error);
-            return {
-                success: false,
-                error: error.message,
-            };
+            return failure(error);
         }
     }
 
-    // Initialize WebSocket connection for real-time price updates
-    initWebSocket(symbols, onPriceUpdate) {
-        if (this.ws) {
-            this.ws.close();
+    // Cancel an open order
+    async cancelOrder(symbol, orderId) {
+        try {
+            await this.request('/v5/order/cancel', 'POST', {
+                category: CONFIG.ORDER.CATEGORY,
+                symbol: symbol,
+                orderId: orderId,
+            });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error cancelling order:', error);
+            return failure(error);
         }
+    }
+
+    // Set a symbol's leverage (same for both sides in one-way mode)
+    async setLeverage(symbol, leverage) {
+        try {
+            await this.request('/v5/position/set-leverage', 'POST', {
+                category: 'linear',
+                symbol: symbol,
+                buyLeverage: leverage.toString(),
+                sellLeverage: leverage.toString(),
+            });
 
-        this.ws = new WebSocket(CONFIG.BYBIT.WS_URL);
+            return { success: true };
+        } catch (error) {
+            if (error.retCode === LEVERAGE_NOT_MODIFIED) {
+                return { success: true };
+            }
 
-        this.ws.onopen = () => {
-            console.log('WebSocket connected');
-            this.reconnectAttempts = 0;
-            
-            // Subscribe to ticker streams for all symbols
-            const subscribeMsg = {
-                op: 'subscribe',
-                args: symbols.map(symbol => `tickers.${symbol}`)
+            console.error('Error setting leverage:', error);
+            return failure(error);
+        }
+    }
+
+    // Set the unified account margin mode ('cross' or 'isolated'), the symbol is not needed
+    async setMarginMode(marginMode) {
+        try {
+            await this.request('/v5/account/set-margin-mode', 'POST', {
+                setMarginMode: MARGIN_MODES[marginMode],
+            });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error setting margin mode:', error);
+            return failure(error);
+        }
+    }
+
+    // Set exchange-side stop-loss / take-profit of a position, '0' cancels a price
+    // stops: { stopLoss, takeProfit } as price strings
+    async setTradingStop(symbol, stops) {
+        try {
+            const params = {
+                category: 'linear',
+                symbol: symbol,
+                tpslMode: 'Full',
+                positionIdx: 0, // One-way mode
+                stopLoss: stops.stopLoss,
+                takeProfit: stops.takeProfit,
+                slTriggerBy: CONFIG.PROTECTION.TRIGGER_BY,
+                tpTriggerBy: CONFIG.PROTECTION.TRIGGER_BY,
             };
-            
-            this.ws.send(JSON.stringify(subscribeMsg));
-        };
 
-        this.ws.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                
-                if (data.topic && data.topic.startsWith('tickers.')) {
-                    const symbol = data.topic.replace('tickers.', '');
-                    const tickerData = data.data;
-                    
-                    if (tickerData && tickerData.lastPrice) {
-                        onPriceUpdate(symbol, parseFloat(tickerData.lastPrice));
-                    }
-                }
-            } catch (error) {
-                console.error('WebSocket message error:', error);
-            }
-        };
+            await this.request('/v5/position/trading-stop', 'POST', params);
 
-        this.ws.onerror = (error) => {
-            console.error('WebSocket error:', error);
-        };
+            return { success: true };
+        } catch (error) {
+            console.error('Error setting trading stop:', error);
+            return failure(error);
+        }
+    }
 
-        this.ws.onclose = () => {
-            console.log('WebSocket closed');
-            
-            // Attempt to reconnect
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                this.reconnectAttempts++;
-                console.log(`Reconnecting... Attempt ${this.reconnectAttempts}`);
-                setTimeout(() => {
-                    this.initWebSocket(symbols, onPriceUpdate);
-                }, 5000);
-            }
-        };
+    // Get an order's status and cumulative fill (null if the request failed)
+    async getOrder(symbol, orderId) {
+        try {
+            const response = await this.request('/v5/order/realtime', 'GET', {
+                category: 'linear',
+                symbol: symbol,
+                orderId: orderId,
+            });
+
+            const order = response.result.list[0];
+            return order ? normalizeOrder(order) : null;
+        } catch (error) {
+            console.error('Error getting order:', error);
+            return null;
+        }
     }
 
-    // Close WebSocket connection
-    closeWebSocket() {
-        if (this.ws) {
-            this.ws.close();
-            this.ws = null;
+    // Get an order by its client orderLinkId (null if not found or the request failed)
+    async getOrderByLinkId(symbol, orderLinkId) {
+        try {
+            const response = await this.request('/v5/order/realtime', 'GET', {
+                category: 'linear',
+                symbol: symbol,
+                orderLinkId: orderLinkId,
+            });
+
+            const order = response.result.list[0];
+            return order ? normalizeOrder(order) : null;
+        } catch (error) {
+            console.error('Error getting order by link ID:', error);
+            return null;
         }
     }
 
-    // Get current positions
+    // Get the executions (fills) of an order (null if the request failed)
+    async getExecutions(symbol, orderId) {
+        try {
+            const response = await this.request('/v5/execution/list', 'GET', {
+                category: 'linear',
+                symbol: symbol,
+                orderId: orderId,
+            });
+
+            return (response.result.list || []).map(normalizeExecution);
+        } catch (error) {
+            console.error('Error getting executions:', error);
+            return null;
+        }
+    }
+
+    // Handle a public stream message, calling onPriceUpdate for ticker updates with a price
+    handlePublicMessage(message, onPriceUpdate) {
+        if (!message.topic.startsWith('tickers.') || !message.data) return;
+
+        const ticker = normalizeTicker({ ...message.data, symbol: message.topic.replace('tickers.', '') });
+
+        if (ticker.lastPrice) {
+            onPriceUpdate(ticker.symbol, ticker.lastPrice, ticker);
+        }
+    }
+
+    // Handle a private stream message, calling the handler of its topic with normalized data
+    handlePrivateMessage(message, handlers) {
+        const { topic, data } = message;
+
+        if (topic === 'order') {
+            handlers.order?.(data.map(normalizeOrder));
+        } else if (topic === 'execution') {
+            handlers.execution?.(data.map(normalizeExecution));
+        } else if (topic === 'position') {
+            handlers.position?.(data.map(normalizePosition));
+        } else if (topic === 'wallet') {
+            const balance = normalizeWallet(data);
+            if (balance) {
+                handlers.wallet?.(balance);
+            }
+        }
+    }
+
+    // Initialize WebSocket connection for real-time price updates
+    // onStateChange is called with the connection state ('connecting', 'connected', 'reconnecting', 'disconnected')
+    initWebSocket(symbols, onPriceUpdate, onStateChange = () => {}) {
+        this.closeWebSocket();
+
+        this.publicStream = new WebSocketManager(this.urls.WS_URL, {
+            name: 'Price',
+            protocol: BYBIT_PROTOCOL,
+            onStateChange,
+            onMessage: (message) => this.handlePublicMessage(message, onPriceUpdate),
+        });
+
+        this.subscribeSymbols(symbols);
+        this.publicStream.connect();
+    }
+
+    // Subscribe to ticker streams for more symbols
+    subscribeSymbols(symbols) {
+        this.publicStream?.subscribe(symbols.map(symbol => `tickers.${symbol}`));
+    }
+
+    // Unsubscribe from ticker streams
+    unsubscribeSymbols(symbols) {
+        this.publicStream?.unsubscribe(symbols.map(symbol => `tickers.${symbol}`));
+    }
+
+    // Initialize authenticated WebSocket for order, execution, position and wallet updates
+    initPrivateWebSocket(handlers, onStateChange = () => {}) {
+        this.closePrivateWebSocket();
+
+        this.privateStream = new WebSocketManager(this.urls.PRIVATE_WS_URL, {
+            name: 'Private',
+            protocol: BYBIT_PROTOCOL,
+            onStateChange,
+            // Signature of "GET/realtime" + expires
+            getAuthArgs: async () => {
+                const expires = Date.now() + 10000;
+                const signature = await hmacSHA256(`GET/realtime${expires}`, this.apiSecret);
+                return [this.apiKey, expires, signature];
+            },
+            onMessage: (message) => this.handlePrivateMessage(message, handlers),
+        });
+
+        this.privateStream.subscribe(['order', 'execution', 'position', 'wallet']);
+        this.privateStream.connect();
+    }
+
+    // Get current positions (null if the request failed, so callers can tell it from "no positions")
     async getPositions() {
         try {
             const response = await this.request('/v5/position/list', 'GET', {
@@ -265,12 +558,12 @@ export class BybitAPI {
                 settleCoin: 'USDT'
             });
 
-            return response.result.list || [];
+            return (response.result.list || [])
+                .map(normalizePosition)
+                .filter(position => position.size > 0);
         } catch (error) {
             console.error('Error getting positions:', error);
-            return [];
+            return null;
         }
     }
 }
-
-
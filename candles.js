@@ -0,0 +1,188 @@
+// Candles - Multi-timeframe OHLCV candles built from price ticks, kept in fixed-size ring buffers
+
+import { CONFIG } from './config.js';
+
+// Fixed-size buffer that overwrites the oldest item when full
+export class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    // Append an item, dropping the oldest when full
+    push(item) {
+        const index = (this.start + this.length) % this.capacity;
+        this.items[index] = item;
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    // Get the most recent item
+    last() {
+        if (this.length === 0) return undefined;
+        return this.items[(this.start + this.length - 1) % this.capacity];
+    }
+
+    // Get the last n items, oldest first
+    lastN(n = this.length) {
+        const count = Math.min(n, this.length);
+        const result = [];
+
+        for (let i = this.length - count; i < this.length; i++) {
+            result.push(this.items[(this.start + i) % this.capacity]);
+        }
+
+        return result;
+    }
+
+    // Remove all items
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+// Candles of one symbol and one interval
+export class CandleSeries {
+    constructor(intervalMs, capacity = CONFIG.CANDLES.BUFFER_SIZE) {
+        this.intervalMs = intervalMs;
+        this.closed = new RingBuffer(capacity); // Finished candles
+        this.current = null; // Candle still forming
+    }
+
+    // Start time of the candle containing a timestamp
+    bucketStart(time) {
+        return Math.floor(time / this.intervalMs) * this.intervalMs;
+    }
+
+    // Fill with history (oldest first), the last candle is treated as still forming
+    seed(candles) {
+        this.closed.clear();
+        this.current = null;
+
+        candles.forEach((candle, index) => {
+            if (index === candles.length - 1) {
+                this.current = { ...candle };
+            } else {
+                this.closed.push({ ...candle });
+            }
+        });
+    }
+
+    // Apply a price tick, returns the candles that closed because of it (oldest first)
+    update(price, time, volume = 0) {
+        const start = this.bucketStart(time);
+        const closedCandles = [];
+
+        if (this.current && start > this.current.time) {
+            // Close the current candle and fill skipped intervals with flat candles
+            closedCandles.push(this.current);
+            this.closed.push(this.current);
+
+            const lastClose = this.current.close;
+            const gaps = Math.min((start - this.current.time) / this.intervalMs - 1, this.closed.capacity);
+            for (let i = gaps; i >= 1; i--) {
+                const flat = {
+                    time: start - i * this.intervalMs,
+                    open: lastClose,
+                    high: lastClose,
+                    low: lastClose,
+                    close: lastClose,
+                    volume: 0,
+                };
+                closedCandles.push(flat);
+                this.closed.push(flat);
+            }
+
+            this.current = null;
+        }
+
+        if (!this.current) {
+            this.current = { time: start, open: price, high: price, low: price, close: price, volume: 0 };
+        } else if (start < this.current.time) {
+            // Late tick for an already closed candle
+            return closedCandles;
+        }
+
+        this.current.high = Math.max(this.current.high, price);
+        this.current.low = Math.min(this.current.low, price);
+        this.current.close = price;
+        this.current.volume += volume;
+
+        return closedCandles;
+    }
+
+    // Get the last n closed candles, oldest first
+    getClosed(n) {
+        return this.closed.lastN(n);
+    }
+}
+
+// Candle series for every symbol and configured interval
+export class CandleBuilder {
+    constructor(intervals = CONFIG.CANDLES.INTERVALS) {
+        this.intervals = intervals; // e.g. { '1m': 1, '5m': 5 } in minutes
+        this.series = new Map(); // token -> Map(interval -> CandleSeries)
+        this.listeners = []; // Called with (token, interval, candle) on every candle close
+    }
+
+    // Get (or create) the series of a token and interval
+    getSeries(token, interval) {
+        if (!this.intervals[interval]) {
+            throw new Error(`Unknown candle interval: ${interval}`);
+        }
+
+        if (!this.series.has(token)) {
+            this.series.set(token, new Map());
+        }
+
+        const byInterval = this.series.get(token);
+        if (!byInterval.has(interval)) {
+            byInterval.set(interval, new CandleSeries(this.intervals[interval] * 60 * 1000));
+        }
+
+        return byInterval.get(interval);
+    }
+
+    // Register a listener for closed candles
+    onCandleClose(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Fill a series with history (oldest first)
+    seed(token, interval, candles) {
+        this.getSeries(token, interval).seed(candles);
+    }
+
+    // Apply a price tick to every interval of a token
+    update(token, price, time = Date.now(), volume = 0) {
+        Object.keys(this.intervals).forEach(interval => {
+            const closedCandles = this.getSeries(token, interval).update(price, time, volume);
+
+            closedCandles.forEach(candle => {
+                this.listeners.forEach(listener => listener(token, interval, candle));
+            });
+        });
+    }
+
+    // Get the last n closed candles of a token, oldest first
+    getCandles(token, interval, n) {
+        return this.getSeries(token, interval).getClosed(n);
+    }
+
+    // Get the candle still forming
+    getCurrentCandle(token, interval) {
+        return this.getSeries(token, interval).current;
+    }
+
+    // Stop tracking a token
+    remove(token) {
+        this.series.delete(token);
+    }
+}
@@ -0,0 +1,156 @@
+// Headless entry point - Runs the trading bot on Node.js (22 or newer) and sends it commands
+//
+//   node cli.js run [--config bot.json] [--no-start]   Run the bot, logging to the terminal
+//   node cli.js <command> [args] [--config bot.json]   Send a command to the running bot
+//
+// The config file is JSON with the CONFIG sections to override, e.g.
+//   { "EXCHANGE": "binance", "PROFILE": "testnet", "BINANCE": { "API_KEY": "...", "API_SECRET": "..." },
+//     "TRADING": { "MAX_POSITIONS": 3 } }
+// Environment variables override the file, see ENVIRONMENT_VARIABLES.
+
+import { readFile } from 'node:fs/promises';
+import { CONFIG } from './config.js';
+import { Logger, LOG_LEVELS } from './logger.js';
+import { HeadlessRunner, COMMANDS, sendCommand } from './headless.js';
+
+// Environment variables and where they go in CONFIG (API credentials go to the section of the exchange)
+const ENVIRONMENT_VARIABLES = {
+    PROBEBOT_EXCHANGE: config => ['EXCHANGE', config],
+    PROBEBOT_PROFILE: config => ['PROFILE', config],
+    PROBEBOT_API_KEY: config => ['API_KEY', config[config.EXCHANGE.toUpperCase()]],
+    PROBEBOT_API_SECRET: config => ['API_SECRET', config[config.EXCHANGE.toUpperCase()]],
+    PROBEBOT_CONFIRMATION: config => ['CONFIRMATION', config.HEADLESS],
+    PROBEBOT_LOG_LEVEL: config => ['LOG_LEVEL', config.HEADLESS],
+    PROBEBOT_LOG_FORMAT: config => ['LOG_FORMAT', config.HEADLESS],
+    PROBEBOT_STATE_DIR: config => ['STATE_DIR', config.HEADLESS],
+    PROBEBOT_SOCKET: config => ['CONTROL_SOCKET', config.HEADLESS],
+};
+
+// Merge overrides into a config section, nested sections are merged, other values replaced
+function mergeConfig(target, overrides, root = true) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (root && !(key in target)) {
+            throw new Error(`Unknown config section: ${key}`);
+        }
+
+        const current = target[key];
+        if (current && typeof current === 'object' && !Array.isArray(current) && value && typeof value === 'object') {
+            mergeConfig(current, value, false);
+        } else {
+            target[key] = value;
+        }
+    });
+}
+
+// Apply the config file (--config or PROBEBOT_CONFIG) and environment variables to CONFIG
+async function loadConfig(file, env) {
+    if (file) {
+        mergeConfig(CONFIG, JSON.parse(await readFile(file, 'utf8')));
+    }
+
+    Object.entries(ENVIRONMENT_VARIABLES).forEach(([name, target]) => {
+        if (env[name] === undefined || env[name] === '') return;
+
+        const [key, section] = target(CONFIG);
+        if (!section) {
+            throw new Error(`${name}: unknown exchange ${CONFIG.EXCHANGE}`);
+        }
+        section[key] = env[name];
+    });
+
+    if (!LOG_LEVELS[CONFIG.HEADLESS.LOG_LEVEL]) {
+        throw new Error(`Unknown log level: ${CONFIG.HEADLESS.LOG_LEVEL}`);
+    }
+}
+
+// Split arguments into the command, its arguments and --flags (--config takes a value)
+function parseArguments(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') {
+            flags.config = argv[++i];
+        } else if (argv[i].startsWith('--')) {
+            flags[argv[i].slice(2)] = true;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    return { command: positional[0] || 'help', args: positional.slice(1), flags };
+}
+
+// Print usage
+function printHelp() {
+    const commands = Object.entries(COMMANDS)
+        .map(([command, description]) => `  ${command.padEnd(12)} ${description}`)
+        .join('\n');
+    const variables = ['PROBEBOT_CONFIG', ...Object.keys(ENVIRONMENT_VARIABLES)].join(', ');
+
+    process.stdout.write(
+        'Usage:\n' +
+        '  node cli.js run [--config bot.json] [--no-start]   Run the bot\n' +
+        '  node cli.js <command> [args] [--config bot.json]   Send a command to the running bot\n\n' +
+        `Commands:\n${commands}\n\n` +
+        `Environment: ${variables}\n`
+    );
+}
+
+// Run the bot until a shutdown command or signal
+async function run(flags) {
+    const logger = new Logger();
+    logger.captureConsole();
+
+    const runner = new HeadlessRunner(logger);
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => runner.shutdown(signal));
+    });
+    process.on('unhandledRejection', error => {
+        logger.error(`Unhandled rejection: ${error?.stack || error}`);
+    });
+
+    try {
+        if (!await runner.run(!flags['no-start'])) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error(error.message);
+        await runner.shutdown('startup failed');
+        process.exit(1);
+    }
+
+    await runner.closed;
+    process.exit(0);
+}
+
+// Send a command and print the reply as JSON
+async function send(command, args) {
+    try {
+        const reply = await sendCommand(CONFIG.HEADLESS.CONTROL_SOCKET, command, args);
+        process.stdout.write(`${JSON.stringify(reply.success ? reply.data : reply, null, 2)}\n`);
+        process.exitCode = reply.success ? 0 : 1;
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+const { command, args, flags } = parseArguments(process.argv.slice(2));
+
+try {
+    await loadConfig(flags.config || process.env.PROBEBOT_CONFIG, process.env);
+} catch (error) {
+    process.stderr.write(`Invalid configuration: ${error.message}\n`);
+    process.exit(1);
+}
+
+if (command === 'run') {
+    await run(flags);
+} else if (COMMANDS[command]) {
+    await send(command, args);
+} else {
+    printHelp();
+    process.exitCode = command === 'help' || flags.help ? 0 : 1;
+}
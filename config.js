@@ -1,12 +1,104 @@
 // Configuration file for the trading bot
 
 export const CONFIG = {
-    // Bybit Testnet API
+    // Exchange adapter for market data and orders (see exchanges.js): 'bybit' or 'binance'
+    EXCHANGE: 'bybit',
+
+    // Environment profile chosen at setup, one of PROFILES
+    PROFILE: 'testnet',
+
+    // Environment profiles, each with its own saved state and limits (0 disables a limit)
+    //   ENVIRONMENT:        endpoints of the exchange adapter (ENVIRONMENTS of BYBIT / BINANCE)
+    //   PAPER:              fill orders locally, the environment only provides market data
+    //   REAL_FUNDS:         orders move real money
+    //   CONFIRMATION:       phrase that must be typed at setup (null = none)
+    //   MAX_ORDER_NOTIONAL: largest entry in USDT notional, bigger entries are scaled down
+    //   MAX_LEVERAGE:       leverage cap on top of the instrument's limit
+    //   DRY_RUN_MINUTES:    after the first start, entries are only logged for this long
+    PROFILES: {
+        testnet: {
+            LABEL: 'Testnet',
+            ENVIRONMENT: 'testnet',
+            PAPER: false,
+            REAL_FUNDS: false,
+            CONFIRMATION: null,
+            MAX_ORDER_NOTIONAL: 0,
+            MAX_LEVERAGE: 0,
+            DRY_RUN_MINUTES: 0,
+        },
+        demo: {
+            LABEL: 'Demo trading',
+            ENVIRONMENT: 'demo',
+            PAPER: false,
+            REAL_FUNDS: false,
+            CONFIRMATION: null,
+            MAX_ORDER_NOTIONAL: 0,
+            MAX_LEVERAGE: 0,
+            DRY_RUN_MINUTES: 0,
+        },
+        mainnet: {
+            LABEL: 'Mainnet (real funds)',
+            ENVIRONMENT: 'mainnet',
+            PAPER: false,
+            REAL_FUNDS: true,
+            CONFIRMATION: 'TRADE REAL FUNDS',
+            MAX_ORDER_NOTIONAL: 100,
+            MAX_LEVERAGE: 3,
+            DRY_RUN_MINUTES: 60,
+        },
+        paper: {
+            LABEL: 'Paper trading (no API keys)',
+            ENVIRONMENT: 'testnet',
+            PAPER: true,
+            REAL_FUNDS: false,
+            CONFIRMATION: null,
+            MAX_ORDER_NOTIONAL: 0,
+            MAX_LEVERAGE: 0,
+            DRY_RUN_MINUTES: 0,
+        },
+    },
+
+    // Bybit API
     BYBIT: {
-        BASE_URL: 'https://api-testnet.bybit.com',
-        WS_URL: 'wss://stream-testnet.bybit.com/v5/public/linear',
+        ENVIRONMENTS: {
+            testnet: {
+                BASE_URL: 'https://api-testnet.bybit.com',
+                WS_URL: 'wss://stream-testnet.bybit.com/v5/public/linear',
+                PRIVATE_WS_URL: 'wss://stream-testnet.bybit.com/v5/private',
+            },
+            demo: {
+                BASE_URL: 'https://api-demo.bybit.com',
+                WS_URL: 'wss://stream.bybit.com/v5/public/linear', // Demo trading uses mainnet market data
+                PRIVATE_WS_URL: 'wss://stream-demo.bybit.com/v5/private',
+            },
+            mainnet: {
+                BASE_URL: 'https://api.bybit.com',
+                WS_URL: 'wss://stream.bybit.com/v5/public/linear',
+                PRIVATE_WS_URL: 'wss://stream.bybit.com/v5/private',
+            },
+        },
+        API_KEY: '', // User will input this
+        API_SECRET: '', // User will input this
+    },
+
+    // Binance USDⓈ-M futures API (no demo environment)
+    BINANCE: {
+        ENVIRONMENTS: {
+            testnet: {
+                BASE_URL: 'https://testnet.binancefuture.com',
+                WS_URL: 'wss://stream.binancefuture.com/stream', // Combined streams
+                PRIVATE_WS_URL: 'wss://stream.binancefuture.com/ws', // User data stream, followed by the listen key
+            },
+            mainnet: {
+                BASE_URL: 'https://fapi.binance.com',
+                WS_URL: 'wss://fstream.binance.com/stream',
+                PRIVATE_WS_URL: 'wss://fstream.binance.com/ws',
+            },
+        },
         API_KEY: '', // User will input this
         API_SECRET: '', // User will input this
+        RECV_WINDOW: 5000, // ms a signed request stays valid
+        LISTEN_KEY_KEEPALIVE: 30 * 60 * 1000, // Listen keys expire after 60 minutes without a keepalive
     },
 
     // Default trading parameters (user can modify)
@@ -17,6 +109,22 @@ export const CONFIG = {
         TRADE_AMOUNT_PERCENT: 25, // % of balance per trade
         MIN_TRADE_AMOUNT: 1, // Minimum $1 trade
         MAX_POSITIONS: 4, // Maximum concurrent positions
+        ALLOW_SHORTS: false, // Open shorts on mirrored signals (linear perpetuals)
+        STRATEGY: 'peakTrailing', // Entry/exit strategy (see strategies.js)
+        STRATEGY_PARAMS: {}, // Strategy specific parameters (defaults when empty)
+        STOP_LOSS_PERCENT: 5, // % below buy price to sell (0 = off)
+        TAKE_PROFIT_PERCENT: 0, // % above buy price to sell (0 = off)
+        MAX_HOLDING_MINUTES: 0, // Minutes after which a position is sold (0 = off)
+        ATR_TRAILING_MULTIPLIER: 0, // ATRs below peak to sell (0 = off)
+    },
+
+    // Position sizing models (see sizing.js)
+    SIZING: {
+        MODEL: 'percentBalance', // percentBalance, fixedUsd, percentEquity, riskPerTrade, atrNormalized, kelly
+        FIXED_AMOUNT: 100, // USD margin per trade (fixedUsd)
+        RISK_PER_TRADE_PERCENT: 1, // % of equity lost at the stop (riskPerTrade) or per ATR move (atrNormalized)
+        KELLY_FRACTION: 0.5, // Share of the full Kelly size (kelly)
+        KELLY_MIN_TRADES: 10, // Closed trades needed before Kelly sizing applies
     },
 
     // Static tokens (always monitored)
@@ -27,6 +135,30 @@ export const CONFIG = {
         COUNT: 10, // Number of top gainers to monitor
         REFRESH_INTERVAL: 30 * 60 * 1000, // 30 minutes in milliseconds
         TIMEFRAME: '30m', // 30 minutes percentage change
+        CANDIDATE_COUNT: 40, // Pairs shortlisted from tickers before fetching klines
+        MIN_TURNOVER_24H: 1000000, // Minimum 24h turnover (USDT) to be a candidate
+        MIN_CHANGE_24H: 0, // Minimum 24h % change to be a candidate
+    },
+
+    // OHLCV candles built from the ticker stream
+    CANDLES: {
+        INTERVALS: { '1m': 1, '5m': 5, '15m': 15, '1h': 60 }, // Name -> minutes (kline interval)
+        BUFFER_SIZE: 500, // Closed candles kept per symbol and interval
+        HISTORY_LIMIT: 200, // Candles loaded from klines at startup
+    },
+
+    // Technical indicators, updated on every closed candle of one interval
+    INDICATORS: {
+        INTERVAL: '5m', // One of CANDLES.INTERVALS
+        SMA_PERIOD: 20,
+        EMA_PERIOD: 20,
+        RSI_PERIOD: 14,
+        ATR_PERIOD: 14,
+        MACD_FAST: 12,
+        MACD_SLOW: 26,
+        MACD_SIGNAL: 9,
+        BOLLINGER_PERIOD: 20,
+        BOLLINGER_STD_DEV: 2,
     },
 
     // Update intervals
@@ -36,13 +168,134 @@ export const CONFIG = {
         TOP_GAINERS_REFRESH: 30 * 60 * 1000, // 30 minutes
     },
 
+    // REST request scheduling (exchange rate limits)
+    RATE_LIMIT: {
+        CONCURRENCY: 5, // Requests in flight at once
+        REQUESTS_PER_SECOND: 10, // Token bucket refill rate
+        BURST: 20, // Token bucket size
+        MAX_RETRIES: 4, // Retries after HTTP 429 or retCode 10006
+        RETRY_BASE_DELAY: 1000, // First retry delay (ms) when no reset time is known, doubled each retry
+        REQUEST_TIMEOUT: 10000, // ms before a request is aborted
+    },
+
+    // WebSocket connection management
+    WEBSOCKET: {
+        PING_INTERVAL: 20 * 1000, // Bybit drops connections without a ping every 20s
+        PONG_TIMEOUT: 10 * 1000, // Reconnect if nothing arrives this long after a ping
+        BACKOFF_BASE: 1000, // First reconnect delay (ms), doubled on every failed attempt
+        BACKOFF_MAX: 60 * 1000, // Longest reconnect delay (ms)
+        SUBSCRIBE_BATCH: 10, // Topics per subscribe request
+    },
+
     // Trading pair base (all tokens trade against USDT)
     QUOTE_CURRENCY: 'USDT',
 
     // Order settings
+    // Entry orders (closing orders are always reduce-only market orders)
     ORDER: {
-        TYPE: 'Market', // Market orders for guaranteed execution
+        TYPE: 'Market', // 'Market', 'Limit', 'PostOnly' or 'IOC'
         CATEGORY: 'linear', // Linear perpetual contracts
+        LIMIT_OFFSET_PERCENT: 0.05, // Limit/PostOnly: % behind best bid/ask; IOC: % through best ask/bid
+        LIMIT_TIMEOUT: 15000, // ms a resting limit order may wait for a fill
+        MAX_REPLACES: 2, // Times an unfilled limit order is cancelled and re-placed at a fresh price
+        MARKET_FALLBACK: true, // Send the unfilled rest as a market order after the last replace
+        MAX_SLIPPAGE_PERCENT: 1, // Abort a market entry when the price moved this % against the signal (0 = off)
+        LINK_ID_PREFIX: 'tb', // Prefix of the client orderLinkId of every bot order
+        SUBMIT_RETRIES: 3, // Retries of an order whose submission failed transiently (same orderLinkId)
+        SUBMIT_RETRY_DELAY: 1000, // First retry delay (ms), doubled each retry
+    },
+
+    // Portfolio risk limits (0 disables a limit)
+    RISK: {
+        DAILY_LOSS_LIMIT_PERCENT: 5, // Pause after losing this % of the initial balance in a UTC day
+        MAX_DRAWDOWN_PERCENT: 15, // Pause when equity falls this % below its high-water mark
+        MAX_EXPOSURE_PERCENT: 300, // Total position notional as % of equity
+        MAX_SYMBOL_PERCENT: 100, // Notional of one new position as % of equity
+        MAX_CONSECUTIVE_LOSSES: 3, // Losing trades in a row before a cooldown
+        COOLDOWN_MINUTES: 30, // No new entries for this long after the loss streak
+    },
+
+    // Leverage and margin mode, applied per symbol before its first order
+    LEVERAGE: {
+        DEFAULT: 1, // Leverage for all symbols
+        SYMBOLS: {}, // Per token overrides, e.g. { BTC: 5, ETH: 3 }
+        MARGIN_MODE: 'cross', // 'cross' or 'isolated' (account wide on Bybit unified accounts, per symbol on Binance)
+        MAINTENANCE_MARGIN_PERCENT: 0.5, // Used to estimate liquidation prices
+    },
+
+    // Exchange-side protective orders (position trading stop on Bybit, close-position stop orders on Binance)
+    PROTECTION: {
+        ENABLED: true,
+        TRAILING_PERCENT: 3, // Stop-loss follows peakPrice at this distance (0 = fixed stop-loss only)
+        AMEND_MIN_CHANGE_PERCENT: 0.2, // Amend only when the stop moves up by at least this much
+        TRIGGER_BY: 'LastPrice', // LastPrice, MarkPrice or IndexPrice (Binance has no IndexPrice trigger)
+    },
+
+    // Paper trading (simulated fills, no API keys needed)
+    PAPER: {
+        INITIAL_BALANCE: 10000, // Starting paper USDT balance
+        SLIPPAGE_PERCENT: 0.05, // % worse than last price on every fill
+        FEE_PERCENT: 0.055, // Taker fee % charged on fill notional
+        MAKER_FEE_PERCENT: 0.02, // Maker fee % charged when a resting limit order fills
+    },
+
+    // Trading fees used when a fill does not report its actual fee (backtests, unconfirmed fills)
+    FEES: {
+        TIER: 'VIP0', // Account fee tier, one of TIERS
+        TIERS: { // % of notional per fill, check the exchange's current fee schedule
+            VIP0: { TAKER: 0.055, MAKER: 0.02 },
+            VIP1: { TAKER: 0.04, MAKER: 0.018 },
+            VIP2: { TAKER: 0.0375, MAKER: 0.016 },
+            VIP3: { TAKER: 0.035, MAKER: 0.014 },
+        },
+    },
+
+    // Fill confirmation after an order is placed
+    FILLS: {
+        POLL_ATTEMPTS: 5, // Times to query the order before using the signal price
+        POLL_DELAY: 500, // ms between queries
+        PUSH_TIMEOUT: 3000, // ms to wait for the private stream before polling
+    },
+
+    // Instrument metadata (lot size and order limits)
+    INSTRUMENTS: {
+        REFRESH_INTERVAL: 60 * 60 * 1000, // Reload instrument specs every hour
+    },
+
+    // Position reconciliation with the exchange
+    RECONCILE: {
+        INTERVAL: 60 * 1000, // Reconcile every minute while running
+        PUSH_DELAY: 2000, // ms after a pushed position change before reconciling
+        SIZE_TOLERANCE_PERCENT: 0.5, // Size differences below this % are rounding, not drift
+        HISTORY_LIMIT: 50, // Differences kept for display
+    },
+
+    // Persistent bot state (IndexedDB)
+    STORAGE: {
+        DB_NAME: 'probebot',
+        STORE_NAME: 'botState',
+        SCHEMA_VERSION: 1, // Bump when the saved state shape changes
+        SAVE_DEBOUNCE: 500, // ms to coalesce frequent changes into one write
+    },
+
+    // Backtesting
+    BACKTEST: {
+        DEFAULT_INTERVAL: '15', // Kline interval (minutes, or D/W)
+        KLINE_PAGE_SIZE: 1000, // Klines per request (Bybit allows 1000, Binance 1500)
+        CACHE_PREFIX: 'probebot:klines:', // localStorage key prefix for cached klines
+    },
+
+    // Headless Node.js runner (cli.js), overridden by a config file or PROBEBOT_* environment variables
+    HEADLESS: {
+        STATE_DIR: '.probebot', // Saved state, one JSON file per exchange and profile
+        CONTROL_SOCKET: '.probebot/control.sock', // Unix socket the CLI commands talk to
+        LOG_LEVEL: 'info', // 'debug', 'info', 'warn' or 'error'
+        LOG_FORMAT: 'json', // 'json' (one object per line) or 'text'
+        CONFIRMATION: '', // Phrase for a profile with a CONFIRMATION (what the browser asks for at setup)
+        AUTO_START: true, // Start trading once initialized
+        RESUME_SAVED_STATE: true, // Keep managing positions saved by a previous run
+        HISTORY_LIMIT: 20, // Trades returned by the history command
+        PLUGINS: [], // Module paths whose default export is a plugin { id, setup(app) } (see eventBus.js)
     },
 };
 
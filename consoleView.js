@@ -0,0 +1,125 @@
+// Console View - Headless counterpart of UI, reports the app's events as log entries
+
+import { CONFIG } from './config.js';
+
+// Log levels of the UI status message types
+const STATUS_LEVELS = {
+    info: 'info',
+    success: 'info',
+    warning: 'warn',
+    error: 'error',
+};
+
+export class ConsoleView {
+    constructor(app, logger) {
+        this.app = app;
+        this.logger = logger;
+        this.botStatus = 'stopped';
+        this.connectionStates = { price: 'disconnected', private: 'disconnected' };
+        this.riskStatus = null;
+        this.profileStatus = null;
+        this.subscribe(app.events);
+    }
+
+    // Log the app's events (see eventBus.js), and resume or discard saved sessions as configured
+    subscribe(events) {
+        events.on('status', ({ message, type }) => this.showStatus(message, type));
+        events.on('bot:status', ({ status }) => this.updateBotStatus(status));
+        events.on('connection', ({ stream, state }) => this.updateConnectionState(stream, state));
+        events.on('profile', ({ profile, dryRunUntil }) => this.updateProfile(profile, dryRunUntil));
+        events.on('state', ({ profile, dryRunUntil }) => this.updateProfile(profile, dryRunUntil));
+        events.on('balance', ({ balance }) => this.logger.info('Balance', { balance }));
+        events.on('wallet', ({ balance }) => this.logger.debug('Exchange balance', { total: balance.total, available: balance.available }));
+        events.on('risk', ({ reason }) => this.updateRiskStatus(reason));
+        events.on('signal:blocked', ({ signal, reason, source }) => this.logBlockedSignal(signal, reason, source));
+        events.on('position:opened', ({ trade }) => this.logTrade(trade));
+        events.on('position:closed', ({ trade }) => this.logTrade(trade));
+        events.on('reconciliation', ({ differences }) => this.logDifferences(differences));
+        events.on('reset', () => this.reset());
+        events.hook('resume', ({ saved }) => this.confirmResume(saved) ? null : 'RESUME_SAVED_STATE is off');
+    }
+
+    // Show status message
+    showStatus(message, type = 'info') {
+        this.logger.log(STATUS_LEVELS[type] || 'info', message);
+    }
+
+    // Saved sessions are resumed or discarded as configured, nobody is there to ask
+    confirmResume(saved) {
+        this.logger.info('Found saved state', {
+            savedAt: new Date(saved.savedAt).toISOString(),
+            positions: saved.bot.positions.map(position => position.symbol),
+            trades: saved.bot.tradeHistory.length,
+        });
+
+        return CONFIG.HEADLESS.RESUME_SAVED_STATE;
+    }
+
+    // Update bot status (reported by the start/stop status messages)
+    updateBotStatus(status) {
+        this.botStatus = status;
+    }
+
+    // Update WebSocket connection state (the stream logs its own changes)
+    updateConnectionState(stream, state) {
+        this.connectionStates[stream] = state;
+    }
+
+    // Report why the risk manager paused the bot or blocked an entry (null clears it)
+    updateRiskStatus(reason) {
+        if (reason && reason !== this.riskStatus) {
+            this.logger.warn(`Risk limit: ${reason}`);
+        }
+        this.riskStatus = reason;
+    }
+
+    // Report the profile and its dry run when they change
+    updateProfile(profile, dryRunUntil) {
+        const status = `${profile.LABEL}:${dryRunUntil || 0}`;
+        if (status === this.profileStatus) return;
+        this.profileStatus = status;
+
+        this.logger.info(`Profile: ${profile.LABEL}`, {
+            realFunds: profile.REAL_FUNDS,
+            maxOrderNotional: profile.MAX_ORDER_NOTIONAL,
+            maxLeverage: profile.MAX_LEVERAGE,
+            dryRunUntil: dryRunUntil ? new Date(dryRunUntil).toISOString() : null,
+        });
+    }
+
+    // Report a signal vetoed by a plugin (risk limit blocks are reported by updateRiskStatus)
+    logBlockedSignal(signal, reason, source) {
+        if (source !== 'plugin') return;
+
+        this.logger.info(`Signal vetoed: ${signal.type.toUpperCase()} ${signal.token.symbol}`, { reason });
+    }
+
+    // Report a booked trade
+    logTrade(trade) {
+        this.logger.info(`Trade: ${trade.type.toUpperCase()} ${trade.symbol}`, {
+            side: trade.side || 'long',
+            price: trade.price,
+            amount: trade.amount,
+            total: trade.total,
+            profit: trade.profit ?? null,
+            exitRule: trade.exitRule || null,
+            reason: trade.reason,
+        });
+    }
+
+    // Report new reconciliation differences
+    logDifferences(differences) {
+        differences.forEach(difference => {
+            this.logger.warn(`Reconciliation: ${difference.message}`, {
+                symbol: difference.symbol,
+                type: difference.type,
+            });
+        });
+    }
+
+    // Reset view state
+    reset() {
+        this.updateRiskStatus(null);
+        this.updateBotStatus('stopped');
+    }
+}
@@ -0,0 +1,166 @@
+// Event Bus - Typed events of the trading loop and veto hooks for plugins
+//
+// Events are emitted after the fact, listeners get the payload and cannot change the outcome:
+//   status              { message, type }               App status message, type 'info' | 'success' | 'warning' | 'error'
+//   bot:status          { status }                      App 'running' | 'paused' | 'stopped'
+//   connection          { stream, state }               App stream 'price' | 'private', state as in WebSocketManager
+//   profile             { profile, dryRunUntil }        App profile from CONFIG.PROFILES, dry run end (ms, 0 = none)
+//   balance             { balance }                     App bot balance after initializing
+//   wallet              { balance }                     App exchange Balance pushed by the private stream
+//   risk                { reason }                      App why the risk limits paused or blocked (null clears)
+//   tick                { tokens, time }                App start of a trading loop update, tokens from MarketData
+//   signal              { signal }                      App signal of the strategy, before any check
+//   signal:blocked      { signal, reason, source }      App signal not executed, source 'risk' | 'plugin'
+//   state               { positions, orders, tokenList, bot, tokens, trades, profile, dryRunUntil }
+//                                                       App snapshot for views after an update
+//   reconciliation      { differences, history }        App new differences with exchange positions, all kept ones
+//   reset               {}                              App bot reset
+//   gainers:refreshed   { gainers, added }              MarketData top gainers, tokens newly monitored
+//   order:submitted     { order }                       OrderExecutor tracked order accepted by the exchange
+//   order:filled        { order, fill }                 OrderExecutor new (partial) fill { amount, price, fee } booked
+//   order:rejected      { order, error }                OrderExecutor order refused or failed after retries
+//   position:opened     { position, trade }             TradingBot position opened by an entry fill
+//   position:closed     { position, trade, remaining }  TradingBot close fill booked, remaining > 0 for a partial close
+//
+// Hooks run before the fact, a hook vetoes by returning a reason (or false), anything else allows:
+//   signal              { signal, tokens }              App signal that passed the risk limits, before its order
+//   resume              { saved }                       App saved state found at startup (a veto discards it)
+//
+// Plugins are { id, setup(app) } objects registered with app.use(); setup subscribes with app.events, e.g.
+//   app.use({
+//       id: 'noMemecoins',
+//       setup: app => app.events.hook('signal', ({ signal }) =>
+//           ['DOGE', 'PEPE'].includes(signal.token.symbol) ? 'No memecoins' : null),
+//   });
+
+// Payload fields of every event
+export const EVENTS = {
+    'status': ['message', 'type'],
+    'bot:status': ['status'],
+    'connection': ['stream', 'state'],
+    'profile': ['profile', 'dryRunUntil'],
+    'balance': ['balance'],
+    'wallet': ['balance'],
+    'risk': ['reason'],
+    'tick': ['tokens', 'time'],
+    'signal': ['signal'],
+    'signal:blocked': ['signal', 'reason', 'source'],
+    'state': ['positions', 'orders', 'tokenList', 'bot', 'tokens', 'trades', 'profile', 'dryRunUntil'],
+    'reconciliation': ['differences', 'history'],
+    'reset': [],
+    'gainers:refreshed': ['gainers', 'added'],
+    'order:submitted': ['order'],
+    'order:filled': ['order', 'fill'],
+    'order:rejected': ['order', 'error'],
+    'position:opened': ['position', 'trade'],
+    'position:closed': ['position', 'trade', 'remaining'],
+};
+
+// Payload fields of every hook
+export const HOOKS = {
+    'signal': ['signal', 'tokens'],
+    'resume': ['saved'],
+};
+
+// Throw on an unknown name or a payload without the declared fields (a bug in the emitting code)
+function checkPayload(types, kind, name, payload) {
+    const fields = types[name];
+
+    if (!fields) {
+        throw new Error(`Unknown ${kind}: ${name}`);
+    }
+
+    const missing = fields.filter(field => !(field in payload));
+    if (missing.length > 0) {
+        throw new Error(`${kind} ${name} is missing ${missing.join(', ')}`);
+    }
+}
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // event -> listeners, in subscription order
+        this.hooks = new Map(); // hook name -> hooks, in registration order
+    }
+
+    // Subscribe to an event, returns a function that unsubscribes
+    on(event, listener) {
+        if (!EVENTS[event]) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    // Unsubscribe a listener
+    off(event, listener) {
+        const listeners = this.listeners.get(event) || [];
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    // Call the listeners of an event, a failing listener is logged and does not stop the others
+    emit(event, payload = {}) {
+        checkPayload(EVENTS, 'event', event, payload);
+
+        (this.listeners.get(event) || []).slice().forEach(listener => {
+            try {
+                const result = listener(payload);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(error => console.error(`Listener of ${event} failed:`, error));
+                }
+            } catch (error) {
+                console.error(`Listener of ${event} failed:`, error);
+            }
+        });
+    }
+
+    // Register a veto hook, returns a function that removes it
+    hook(name, hook) {
+        if (!HOOKS[name]) {
+            throw new Error(`Unknown hook: ${name}`);
+        }
+
+        if (!this.hooks.has(name)) {
+            this.hooks.set(name, []);
+        }
+        this.hooks.get(name).push(hook);
+
+        return () => {
+            const hooks = this.hooks.get(name);
+            const index = hooks.indexOf(hook);
+            if (index !== -1) {
+                hooks.splice(index, 1);
+            }
+        };
+    }
+
+    // Run the hooks of a name in order (they may be async), returns the first veto reason or null
+    // A failing hook is logged and does not veto
+    async runHooks(name, payload) {
+        checkPayload(HOOKS, 'hook', name, payload);
+
+        for (const hook of (this.hooks.get(name) || []).slice()) {
+            try {
+                const result = await hook(payload);
+
+                if (result === false) {
+                    return `Vetoed by a ${name} hook`;
+                }
+                if (typeof result === 'string' && result) {
+                    return result;
+                }
+            } catch (error) {
+                console.error(`Hook ${name} failed:`, error);
+            }
+        }
+
+        return null;
+    }
+}
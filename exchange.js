@@ -0,0 +1,160 @@
+// Exchange - Normalized interface implemented by every exchange adapter
+//
+// Adapters turn exchange-specific requests and responses into the shapes below, so the rest of the
+// bot never sees retCodes, result lists or kline arrays. Symbols are 'BTCUSDT' style, prices and
+// sizes are numbers, times are ms timestamps. Fields an exchange does not provide are undefined
+// (stream updates may only carry the fields that changed).
+//
+//   Ticker     { symbol, lastPrice, bidPrice, askPrice, prevPrice1h, change24hPercent, volume24h,
+//                turnover24h, fundingRate, nextFundingTime }
+//   Candle     { time, open, high, low, close, volume }, lists are oldest first
+//   Instrument { symbol, status, trading, qtyStep, minOrderQty, maxOrderQty, maxMktOrderQty,
+//                minNotionalValue, tickSize, minLeverage, maxLeverage }
+//                qtyStep and tickSize stay strings, their decimals drive rounding
+//   Balance    { total, available } in USDT
+//   Position   { symbol, side: 'long' | 'short', size, avgPrice, markPrice, unrealisedPnl, leverage,
+//                margin, liqPrice, stopLoss, takeProfit }, size 0 (side null) in pushed updates of a closed position
+//   Order      { orderId, orderLinkId, symbol, side: 'Buy' | 'Sell', orderType, price, qty, status,
+//                filledQty, avgPrice, fee }, status is one of ORDER_STATES except pending
+//   Execution  { orderId, symbol, side, price, qty, value, fee }
+//   Result     { success: true, ... } or { success: false, error, transient, duplicate }
+//              transient: the request may or may not have reached the exchange (network, timeout, server error)
+//              duplicate: the orderLinkId was used before, so an earlier attempt went through
+//
+// Adapters are created for an environment, one of the ENVIRONMENTS of their CONFIG section
+// ('testnet', 'demo', 'mainnet'), which sets their REST and stream URLs.
+//
+// Methods, async unless marked sync:
+//   setCredentials(apiKey, apiSecret)                  sync
+//   getBalance()                                       Balance, { total: 0, available: 0 } on failure
+//   getTickers()                                       Ticker[] ([] on failure)
+//   getTicker(symbol)                                  Ticker or null
+//   getInstruments()                                   Instrument[] of tradable linear perpetuals ([] on failure)
+//   getKlines(symbol, interval, limit, start, end)     Candle[], the newest `limit` candles in [start, end]
+//                                                      interval in minutes as a string, or 'D' / 'W'
+//   get30MinChange(symbol)                             % change of the last 30m close, null if unavailable
+//   getPositions()                                     open Position[], null on failure
+//   placeOrder(symbol, side, quantity, options)        Result with orderId
+//       options: { reduceOnly, orderType: 'Market' | 'Limit', price, timeInForce: 'GTC' | 'PostOnly' | 'IOC', orderLinkId }
+//   cancelOrder(symbol, orderId)                       Result
+//   getOrder(symbol, orderId)                          Order or null
+//   getOrderByLinkId(symbol, orderLinkId)              Order or null
+//   getExecutions(symbol, orderId)                     Execution[], null on failure
+//   setLeverage(symbol, leverage)                      Result, also successful when nothing changed
+//   setMarginMode(mode, symbol)                        Result for 'cross' | 'isolated', see marginModeScope
+//   setTradingStop(symbol, { stopLoss, takeProfit })   Result, prices as strings, '0' cancels, undefined keeps
+//   initWebSocket(symbols, onPriceUpdate(symbol, price, Ticker), onStateChange)    sync
+//   subscribeSymbols(symbols) / unsubscribeSymbols(symbols) / closeWebSocket()     sync
+//   initPrivateWebSocket(handlers, onStateChange)      sync, handlers: { order(Order[]),
+//                                                      execution(Execution[]), position(Position[]), wallet(Balance) }
+//   closePrivateWebSocket()                            sync
+//   privateConnected                                   true once the private stream is usable
+//   marginModeScope                                    'account' or 'symbol', what setMarginMode applies to
+
+// Base class for all exchange adapters
+export class Exchange {
+    static id = '';
+    static label = '';
+
+    // environments: URLs per environment ({ BASE_URL, WS_URL, PRIVATE_WS_URL })
+    constructor(environments = {}, environment = 'testnet') {
+        if (!environments[environment]) {
+            throw new Error(`${this.constructor.label} has no ${environment} environment`);
+        }
+
+        this.environment = environment;
+        this.urls = environments[environment];
+        this.apiKey = '';
+        this.apiSecret = '';
+        this.marginModeScope = 'account';
+        this.publicStream = null; // WebSocketManager for tickers
+        this.privateStream = null; // WebSocketManager for orders, executions, positions and wallet
+    }
+
+    // Set API credentials
+    setCredentials(apiKey, apiSecret) {
+        this.apiKey = apiKey;
+        this.apiSecret = apiSecret;
+    }
+
+    // Get the ticker of one symbol from all tickers (adapters with a single-symbol endpoint override this)
+    async getTicker(symbol) {
+        const tickers = await this.getTickers();
+        return tickers.find(ticker => ticker.symbol === symbol) || null;
+    }
+
+    // Calculate 30min percentage change for a symbol (null if klines are unavailable)
+    async get30MinChange(symbol) {
+        try {
+            const candles = await this.getKlines(symbol, '30', 2);
+
+            if (candles.length < 2) return null;
+
+            const previousPrice = candles[0].close;
+            const currentPrice = candles[1].close; // Close of the candle still forming
+
+            return ((currentPrice - previousPrice) / previousPrice) * 100;
+        } catch (error) {
+            console.error(`Error calculating change for ${symbol}:`, error);
+            return null;
+        }
+    }
+
+    // Close the ticker stream
+    closeWebSocket() {
+        if (this.publicStream) {
+            this.publicStream.close();
+            this.publicStream = null;
+        }
+    }
+
+    // Close the private stream
+    closePrivateWebSocket() {
+        if (this.privateStream) {
+            this.privateStream.close();
+            this.privateStream = null;
+        }
+    }
+
+    // True once the private stream is authenticated and subscribed
+    get privateConnected() {
+        return this.privateStream?.isConnected() || false;
+    }
+}
+
+// Failed Result from an adapter error, flags come from the error (see the adapters' request())
+export function failure(error) {
+    return {
+        success: false,
+        error: error.message,
+        transient: !!error.transient,
+        duplicate: !!error.duplicate,
+    };
+}
+
+// Parse a numeric API field, undefined when missing or empty
+export function toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return parseFloat(value);
+}
+
+// HMAC SHA256 of a message as hex, used to sign private requests
+export async function hmacSHA256(message, secret) {
+    const encoder = new TextEncoder();
+    const keyData = encoder.encode(secret);
+    const messageData = encoder.encode(message);
+
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        keyData,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
+
+    return Array.from(new Uint8Array(signature))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
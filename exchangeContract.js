@@ -0,0 +1,338 @@
+// Exchange Contract - Checks that every adapter returns the normalized shapes of exchange.js
+// REST calls and stream messages come from recorded fixtures, so no network or API keys are needed.
+// Run in Node with: node --input-type=module -e "import('./exchangeContract.js').then(m => m.runContractChecks())"
+
+import { EXCHANGES, createExchange } from './exchanges.js';
+import { ORDER_STATES } from './orderTracker.js';
+import { BYBIT_FIXTURES } from './fixtures/bybit.js';
+import { BINANCE_FIXTURES } from './fixtures/binance.js';
+
+// Recorded fixtures per exchange id
+const FIXTURES = {
+    bybit: BYBIT_FIXTURES,
+    binance: BINANCE_FIXTURES,
+};
+
+// Field types of the normalized shapes, '?' allows undefined / null
+const SHAPES = {
+    ticker: {
+        symbol: 'string', lastPrice: 'number?', bidPrice: 'number?', askPrice: 'number?', prevPrice1h: 'number?',
+        change24hPercent: 'number?', volume24h: 'number?', turnover24h: 'number?', fundingRate: 'number?',
+        nextFundingTime: 'number?',
+    },
+    candle: { time: 'number', open: 'number', high: 'number', low: 'number', close: 'number', volume: 'number' },
+    instrument: {
+        symbol: 'string', status: 'string', trading: 'boolean', qtyStep: 'string', minOrderQty: 'number',
+        maxOrderQty: 'number', maxMktOrderQty: 'number', minNotionalValue: 'number', tickSize: 'string',
+        minLeverage: 'number', maxLeverage: 'number',
+    },
+    balance: { total: 'number', available: 'number' },
+    position: {
+        symbol: 'string', side: 'positionSide', size: 'number', avgPrice: 'number?', markPrice: 'number?',
+        unrealisedPnl: 'number?', leverage: 'number?', margin: 'number?', liqPrice: 'number?', stopLoss: 'number',
+        takeProfit: 'number',
+    },
+    order: {
+        orderId: 'string', orderLinkId: 'string', symbol: 'string', side: 'orderSide', orderType: 'string',
+        price: 'number', qty: 'number', status: 'orderStatus', filledQty: 'number', avgPrice: 'number', fee: 'number',
+    },
+    execution: {
+        orderId: 'string', symbol: 'string', side: 'orderSide', price: 'number', qty: 'number', value: 'number',
+        fee: 'number',
+    },
+    failure: { success: 'boolean', error: 'string', transient: 'boolean', duplicate: 'boolean' },
+};
+
+// Checks of the special field types
+const TYPES = {
+    number: value => typeof value === 'number' && !Number.isNaN(value),
+    positionSide: value => value === 'long' || value === 'short' || value === null,
+    orderSide: value => value === 'Buy' || value === 'Sell',
+    orderStatus: value => Object.values(ORDER_STATES).includes(value) && value !== ORDER_STATES.PENDING,
+};
+
+// Fake scheduler answering REST calls from fixtures, keyed by 'METHOD path'
+export class FixtureScheduler {
+    constructor(responses) {
+        this.responses = responses;
+        this.requests = []; // 'METHOD path' of every request, in order
+    }
+
+    // Same interface as RequestScheduler.fetchJSON, responses are copies so adapters may change them
+    async fetchJSON(url, options = {}) {
+        const { url: requestUrl = url, method = 'GET', body = null } = typeof options === 'function' ? await options() : options;
+        const parsedUrl = new URL(requestUrl);
+        const key = `${method} ${parsedUrl.pathname}`;
+        const response = this.responses[key];
+
+        this.requests.push(key);
+
+        if (response === undefined) {
+            throw new Error(`No fixture for ${key}`);
+        }
+
+        const data = typeof response === 'function'
+            ? response({ url: parsedUrl, method, body: body ? JSON.parse(body) : null })
+            : response;
+
+        return structuredClone(data);
+    }
+}
+
+// Problems of a value against a normalized shape, prefixed with its name
+function checkShape(name, value, shapeName) {
+    if (!value || typeof value !== 'object') {
+        return [`${name} is ${JSON.stringify(value)}, expected a ${shapeName}`];
+    }
+
+    return Object.entries(SHAPES[shapeName]).flatMap(([field, type]) => {
+        const optional = type.endsWith('?');
+        const baseType = type.replace('?', '');
+        const fieldValue = value[field];
+
+        if (optional && (fieldValue === undefined || fieldValue === null)) return [];
+
+        const valid = TYPES[baseType] ? TYPES[baseType](fieldValue) : typeof fieldValue === baseType;
+        return valid ? [] : [`${name}.${field} is ${JSON.stringify(fieldValue)}, expected ${type}`];
+    });
+}
+
+// Problems of a list of normalized values (non-empty unless allowEmpty)
+function checkList(name, list, shapeName, allowEmpty = false) {
+    if (!Array.isArray(list)) {
+        return [`${name} is ${JSON.stringify(list)}, expected a list`];
+    }
+    if (list.length === 0 && !allowEmpty) {
+        return [`${name} is empty`];
+    }
+
+    return list.flatMap((value, index) => checkShape(`${name}[${index}]`, value, shapeName));
+}
+
+// Problems of a successful Result
+function checkSuccess(name, result) {
+    return result?.success === true ? [] : [`${name} failed: ${JSON.stringify(result)}`];
+}
+
+// Checks of one adapter: name -> async (exchange, fixtures) => list of problems
+const CHECKS = {
+    async getBalance(exchange) {
+        const balance = await exchange.getBalance();
+        const problems = checkShape('balance', balance, 'balance');
+        return balance.total > 0 ? problems : [...problems, 'balance.total is 0, the fixture balance was lost'];
+    },
+
+    async getTickers(exchange, fixtures) {
+        const tickers = await exchange.getTickers();
+        const problems = checkList('tickers', tickers, 'ticker');
+        const ticker = tickers.find?.(t => t.symbol === fixtures.symbol);
+        return ticker?.lastPrice > 0 ? problems : [...problems, `no ticker with a price for ${fixtures.symbol}`];
+    },
+
+    async getTicker(exchange, fixtures) {
+        const ticker = await exchange.getTicker(fixtures.symbol);
+        const problems = checkShape('ticker', ticker, 'ticker');
+
+        if (!(ticker?.bidPrice > 0 && ticker.bidPrice <= ticker.askPrice)) {
+            problems.push(`ticker bid/ask ${ticker?.bidPrice}/${ticker?.askPrice} is not a valid quote`);
+        }
+        if (ticker && ticker.change24hPercent !== undefined && Math.abs(ticker.change24hPercent) < 0.1) {
+            problems.push(`ticker.change24hPercent ${ticker.change24hPercent} looks like a fraction, expected percent`);
+        }
+        return problems;
+    },
+
+    async getKlines(exchange, fixtures) {
+        const candles = await exchange.getKlines(fixtures.symbol, '30', 3);
+        const problems = checkList('candles', candles, 'candle');
+        const ordered = candles.every?.((candle, i) => i === 0 || candle.time > candles[i - 1].time);
+        return ordered ? problems : [...problems, 'candles are not oldest first'];
+    },
+
+    async get30MinChange(exchange, fixtures) {
+        const change = await exchange.get30MinChange(fixtures.symbol);
+        return TYPES.number(change) ? [] : [`30min change is ${change}, expected a number`];
+    },
+
+    async getInstruments(exchange, fixtures) {
+        const instruments = await exchange.getInstruments();
+        const problems = checkList('instruments', instruments, 'instrument');
+
+        if (!instruments.some?.(instrument => instrument.symbol === fixtures.symbol && instrument.trading)) {
+            problems.push(`no tradable instrument ${fixtures.symbol}`);
+        }
+        if (instruments.some?.(instrument => !(parseFloat(instrument.qtyStep) > 0 && parseFloat(instrument.tickSize) > 0))) {
+            problems.push('an instrument has no qtyStep or tickSize');
+        }
+        return problems;
+    },
+
+    async getPositions(exchange) {
+        const positions = await exchange.getPositions();
+        const problems = checkList('positions', positions, 'position');
+        return positions?.every(position => position.size > 0 && position.side)
+            ? problems
+            : [...problems, 'positions include flat entries'];
+    },
+
+    async placeOrder(exchange, fixtures) {
+        const result = await exchange.placeOrder(fixtures.symbol, 'Buy', 0.01, { orderLinkId: 'fixture-open' });
+        const problems = checkSuccess('placeOrder', result);
+        return typeof result.orderId === 'string' ? problems : [...problems, `orderId is ${result.orderId}, expected a string`];
+    },
+
+    async placeOrderDuplicate(exchange, fixtures) {
+        const result = await exchange.placeOrder(fixtures.symbol, 'Buy', 0.01, { orderLinkId: 'fixture-duplicate' });
+        const problems = checkShape('duplicate order result', result, 'failure');
+        return result.duplicate && !result.transient && !result.success
+            ? problems
+            : [...problems, `duplicate order result is ${JSON.stringify(result)}`];
+    },
+
+    async placeOrderTransient(exchange, fixtures) {
+        const result = await exchange.placeOrder(fixtures.symbol, 'Buy', 0.01, { orderLinkId: 'fixture-timeout' });
+        const problems = checkShape('timed out order result', result, 'failure');
+        return result.transient && !result.duplicate && !result.success
+            ? problems
+            : [...problems, `timed out order result is ${JSON.stringify(result)}`];
+    },
+
+    async cancelOrder(exchange, fixtures) {
+        const { orderId } = await exchange.placeOrder(fixtures.symbol, 'Buy', 0.01, { orderLinkId: 'fixture-open' });
+        return checkSuccess('cancelOrder', await exchange.cancelOrder(fixtures.symbol, orderId));
+    },
+
+    async getOrder(exchange, fixtures) {
+        const { orderId } = await exchange.placeOrder(fixtures.symbol, 'Buy', 0.01, { orderLinkId: 'fixture-open' });
+        const order = await exchange.getOrder(fixtures.symbol, orderId);
+        const problems = checkShape('order', order, 'order');
+        return order?.status === ORDER_STATES.FILLED && order.filledQty > 0
+            ? problems
+            : [...problems, `order ${JSON.stringify(order)} is not the filled fixture order`];
+    },
+
+    async getOrderByLinkId(exchange, fixtures) {
+        const order = await exchange.getOrderByLinkId(fixtures.symbol, 'fixture-open');
+        const missing = await exchange.getOrderByLinkId(fixtures.symbol, 'fixture-unknown');
+        const problems = checkShape('order', order, 'order');
+        return missing === null ? problems : [...problems, `unknown order is ${JSON.stringify(missing)}, expected null`];
+    },
+
+    async getExecutions(exchange, fixtures) {
+        const { orderId } = await exchange.placeOrder(fixtures.symbol, 'Buy', 0.01, { orderLinkId: 'fixture-open' });
+        return checkList('executions', await exchange.getExecutions(fixtures.symbol, orderId), 'execution');
+    },
+
+    async setLeverage(exchange, fixtures) {
+        // One of the two is answered with "not modified", which counts as success
+        return [
+            ...checkSuccess('setLeverage(5)', await exchange.setLeverage(fixtures.symbol, 5)),
+            ...checkSuccess('setLeverage(10)', await exchange.setLeverage(fixtures.symbol, 10)),
+        ];
+    },
+
+    async setMarginMode(exchange, fixtures) {
+        return [
+            ...checkSuccess('setMarginMode(isolated)', await exchange.setMarginMode('isolated', fixtures.symbol)),
+            ...checkSuccess('setMarginMode(cross)', await exchange.setMarginMode('cross', fixtures.symbol)),
+            ...(['account', 'symbol'].includes(exchange.marginModeScope) ? [] : [`marginModeScope is ${exchange.marginModeScope}`]),
+        ];
+    },
+
+    async setTradingStop(exchange, fixtures) {
+        const result = await exchange.setTradingStop(fixtures.symbol, { stopLoss: '65900', takeProfit: '0' });
+        return checkSuccess('setTradingStop', result);
+    },
+
+    async publicStream(exchange, fixtures) {
+        const updates = [];
+        fixtures.publicMessages.forEach(message => {
+            exchange.handlePublicMessage(message, (symbol, price, ticker) => updates.push({ symbol, price, ticker }));
+        });
+
+        if (updates.length === 0) {
+            return ['no price update from the public stream messages'];
+        }
+
+        return updates.flatMap((update, index) => [
+            ...checkShape(`streamed ticker[${index}]`, update.ticker, 'ticker'),
+            ...(update.symbol === fixtures.symbol && update.price > 0 && update.price === update.ticker.lastPrice
+                ? []
+                : [`price update[${index}] ${update.symbol} ${update.price} does not match its ticker`]),
+        ]);
+    },
+
+    async privateStream(exchange, fixtures) {
+        const received = { order: [], execution: [], position: [], wallet: [] };
+        const handlers = {
+            order: orders => received.order.push(...orders),
+            execution: executions => received.execution.push(...executions),
+            position: positions => received.position.push(...positions),
+            wallet: balance => received.wallet.push(balance),
+        };
+
+        fixtures.privateMessages.forEach(message => exchange.handlePrivateMessage(message, handlers));
+
+        return [
+            ...checkList('streamed orders', received.order, 'order'),
+            ...checkList('streamed executions', received.execution, 'execution'),
+            ...checkList('streamed positions', received.position, 'position'),
+            ...checkList('streamed balances', received.wallet, 'balance'),
+        ];
+    },
+};
+
+// Run all checks against an adapter, REST calls are answered from the fixtures
+// Returns { passed: [names], failed: [{ name, problems }] }
+export async function checkExchangeContract(exchange, fixtures) {
+    const result = { passed: [], failed: [] };
+
+    exchange.scheduler = new FixtureScheduler(fixtures.rest);
+    exchange.setCredentials('fixture-key', 'fixture-secret');
+
+    for (const [name, check] of Object.entries(CHECKS)) {
+        let problems;
+        try {
+            problems = await check(exchange, fixtures);
+        } catch (error) {
+            problems = [`threw ${error.message}`];
+        }
+
+        if (problems.length === 0) {
+            result.passed.push(name);
+        } else {
+            result.failed.push({ name, problems });
+        }
+    }
+
+    return result;
+}
+
+// Check every registered adapter against its fixtures and log a summary, true when all pass
+export async function runContractChecks() {
+    let allPassed = true;
+
+    for (const id of Object.keys(EXCHANGES)) {
+        if (!FIXTURES[id]) {
+            console.warn(`⚠️ No fixtures for ${id}, contract not checked`);
+            allPassed = false;
+            continue;
+        }
+
+        const { passed, failed } = await checkExchangeContract(createExchange(id), FIXTURES[id]);
+
+        console.log(`${failed.length === 0 ? '✅' : '❌'} ${EXCHANGES[id].label}: ${passed.length}/${passed.length + failed.length} checks passed`);
+        failed.forEach(({ name, problems }) => {
+            problems.forEach(problem => console.log(`   ${name}: ${problem}`));
+        });
+
+        allPassed = allPassed && failed.length === 0;
+    }
+
+    // Let scripts fail on broken contracts
+    if (!allPassed && globalThis.process) {
+        globalThis.process.exitCode = 1;
+    }
+
+    return allPassed;
+}
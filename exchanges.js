@@ -0,0 +1,21 @@
+// Exchanges - Available exchange adapters (see exchange.js for the interface they implement)
+
+import { BybitAPI } from './bybitAPI.js';
+import { BinanceAPI } from './binanceAPI.js';
+
+// Available exchange adapters by id
+export const EXCHANGES = {
+    [BybitAPI.id]: BybitAPI,
+    [BinanceAPI.id]: BinanceAPI,
+};
+
+// Create an exchange adapter by id for an environment ('testnet', 'demo' or 'mainnet')
+export function createExchange(id, environment = 'testnet') {
+    const ExchangeClass = EXCHANGES[id];
+
+    if (!ExchangeClass) {
+        throw new Error(`Unknown exchange: ${id}`);
+    }
+
+    return new ExchangeClass(environment);
+}
@@ -0,0 +1,55 @@
+// File State Store - Persists bot state to JSON files for the headless runner (Node.js only)
+
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { CONFIG } from './config.js';
+
+export class FileStateStore {
+    constructor(dir = CONFIG.HEADLESS.STATE_DIR) {
+        this.dir = dir;
+        this.schemaVersion = CONFIG.STORAGE.SCHEMA_VERSION;
+    }
+
+    // File of a key, e.g. bybit:testnet -> bybit-testnet.json
+    path(key) {
+        return join(this.dir, `${key.replace(/[^a-zA-Z0-9_-]/g, '-')}.json`);
+    }
+
+    // Save state under a key, stamped with the schema version
+    async save(key, state) {
+        const record = {
+            schemaVersion: this.schemaVersion,
+            savedAt: new Date(),
+            state,
+        };
+
+        // Write a temporary file first, so a crash never leaves half a state behind
+        const file = this.path(key);
+        await mkdir(this.dir, { recursive: true });
+        await writeFile(`${file}.tmp`, JSON.stringify(record));
+        await rename(`${file}.tmp`, file);
+    }
+
+    // Load state for a key, null if missing or saved with another schema version
+    async load(key) {
+        let record;
+        try {
+            record = JSON.parse(await readFile(this.path(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        if (record.schemaVersion !== this.schemaVersion) {
+            console.warn(`Ignoring saved state with schema version ${record.schemaVersion} (expected ${this.schemaVersion})`);
+            return null;
+        }
+
+        return { ...record.state, savedAt: new Date(record.savedAt) };
+    }
+
+    // Remove saved state for a key
+    async clear(key) {
+        await rm(this.path(key), { force: true });
+    }
+}
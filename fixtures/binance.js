@@ -0,0 +1,386 @@
+// Recorded Binance USDⓈ-M futures testnet responses and stream messages for the exchange contract checks
+// (see exchangeContract.js). Trimmed to a few entries. REST responses are keyed by 'METHOD path', a function
+// gets the request ({ url, method, body }) for responses that depend on it. Stream messages are as passed to onMessage.
+
+const error = (code, msg) => ({ code, msg });
+
+// Answer with the entry of the requested symbol, or all of them
+const bySymbol = (list) => ({ url }) => {
+    const symbol = url.searchParams.get('symbol');
+    return symbol ? list.find(entry => entry.symbol === symbol) : list;
+};
+
+const STATS = [
+    {
+        symbol: 'BTCUSDT',
+        priceChange: '1360.10',
+        priceChangePercent: '2.064',
+        weightedAvgPrice: '66712.33',
+        lastPrice: '67250.10',
+        lastQty: '0.003',
+        openPrice: '65890.00',
+        highPrice: '67500.00',
+        lowPrice: '65700.00',
+        volume: '27521.043',
+        quoteVolume: '1836524391.22',
+        openTime: 1717993800000,
+        closeTime: 1718080199999,
+        firstId: 4583112094,
+        lastId: 4584301775,
+        count: 1189682,
+    },
+    {
+        symbol: 'ETHUSDT',
+        priceChange: '-17.59',
+        priceChangePercent: '-0.475',
+        weightedAvgPrice: '3690.12',
+        lastPrice: '3684.52',
+        lastQty: '0.120',
+        openPrice: '3702.11',
+        highPrice: '3731.90',
+        lowPrice: '3652.00',
+        volume: '244862.910',
+        quoteVolume: '902114823.56',
+        openTime: 1717993800000,
+        closeTime: 1718080199999,
+        firstId: 3190022811,
+        lastId: 3190931004,
+        count: 908194,
+    },
+];
+
+const BOOKS = [
+    { symbol: 'BTCUSDT', bidPrice: '67250.00', bidQty: '3.512', askPrice: '67250.10', askQty: '1.204', time: 1718080199000 },
+    { symbol: 'ETHUSDT', bidPrice: '3684.51', bidQty: '18.020', askPrice: '3684.52', askQty: '25.610', time: 1718080199000 },
+];
+
+const PREMIUMS = [
+    {
+        symbol: 'BTCUSDT',
+        markPrice: '67249.80000000',
+        indexPrice: '67262.37021739',
+        estimatedSettlePrice: '67255.10352178',
+        lastFundingRate: '0.00010000',
+        interestRate: '0.00010000',
+        nextFundingTime: 1718092800000,
+        time: 1718080199000,
+    },
+    {
+        symbol: 'ETHUSDT',
+        markPrice: '3684.60000000',
+        indexPrice: '3685.10391304',
+        estimatedSettlePrice: '3685.00240011',
+        lastFundingRate: '0.00008200',
+        interestRate: '0.00010000',
+        nextFundingTime: 1718092800000,
+        time: 1718080199000,
+    },
+];
+
+// exchangeInfo symbol with the filters the adapter reads
+const symbolInfo = (symbol, contractType, tickSize, stepSize, maxQty, maxMarketQty) => ({
+    symbol,
+    pair: symbol.split('_')[0],
+    contractType,
+    deliveryDate: contractType === 'PERPETUAL' ? 4133404800000 : 1719561600000,
+    onboardDate: 1569398400000,
+    status: 'TRADING',
+    baseAsset: symbol.replace(/USDT.*/, ''),
+    quoteAsset: 'USDT',
+    marginAsset: 'USDT',
+    pricePrecision: 2,
+    quantityPrecision: 3,
+    underlyingType: 'COIN',
+    filters: [
+        { filterType: 'PRICE_FILTER', minPrice: '0.10', maxPrice: '4529764', tickSize },
+        { filterType: 'LOT_SIZE', minQty: stepSize, maxQty, stepSize },
+        { filterType: 'MARKET_LOT_SIZE', minQty: stepSize, maxQty: maxMarketQty, stepSize },
+        { filterType: 'MAX_NUM_ORDERS', limit: 200 },
+        { filterType: 'MAX_NUM_ALGO_ORDERS', limit: 10 },
+        { filterType: 'MIN_NOTIONAL', notional: '100' },
+        { filterType: 'PERCENT_PRICE', multiplierUp: '1.0500', multiplierDown: '0.9500', multiplierDecimal: '4' },
+    ],
+    orderTypes: ['LIMIT', 'MARKET', 'STOP', 'STOP_MARKET', 'TAKE_PROFIT', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET'],
+    timeInForce: ['GTC', 'IOC', 'FOK', 'GTX', 'GTD'],
+});
+
+const ORDER = {
+    orderId: 4079584612,
+    symbol: 'BTCUSDT',
+    status: 'FILLED',
+    clientOrderId: 'fixture-open',
+    price: '0.00',
+    avgPrice: '67250.10',
+    origQty: '0.010',
+    executedQty: '0.010',
+    cumQuote: '672.50100',
+    timeInForce: 'GTC',
+    type: 'MARKET',
+    reduceOnly: false,
+    closePosition: false,
+    side: 'BUY',
+    positionSide: 'BOTH',
+    stopPrice: '0.00',
+    workingType: 'CONTRACT_PRICE',
+    priceProtect: false,
+    origType: 'MARKET',
+    priceMatch: 'NONE',
+    selfTradePreventionMode: 'NONE',
+    goodTillDate: 0,
+    updateTime: 1718080200114,
+};
+
+const POSITIONS = [
+    {
+        symbol: 'BTCUSDT',
+        positionAmt: '0.010',
+        entryPrice: '67250.1',
+        breakEvenPrice: '67287.08755',
+        markPrice: '67249.80000000',
+        unRealizedProfit: '-0.00300000',
+        liquidationPrice: '0',
+        leverage: '10',
+        maxNotionalValue: '40000000',
+        marginType: 'cross',
+        isolatedMargin: '0.00000000',
+        isAutoAddMargin: 'false',
+        positionSide: 'BOTH',
+        notional: '672.49800000',
+        isolatedWallet: '0',
+        updateTime: 1718080200114,
+    },
+    {
+        symbol: 'ETHUSDT',
+        positionAmt: '0.000',
+        entryPrice: '0.0',
+        breakEvenPrice: '0.0',
+        markPrice: '3684.60000000',
+        unRealizedProfit: '0.00000000',
+        liquidationPrice: '0',
+        leverage: '20',
+        maxNotionalValue: '25000000',
+        marginType: 'cross',
+        isolatedMargin: '0.00000000',
+        isAutoAddMargin: 'false',
+        positionSide: 'BOTH',
+        notional: '0',
+        isolatedWallet: '0',
+        updateTime: 0,
+    },
+];
+
+export const BINANCE_FIXTURES = {
+    symbol: 'BTCUSDT',
+
+    rest: {
+        'GET /fapi/v2/balance': [
+            {
+                accountAlias: 'SgsRmYFzXqAuSg',
+                asset: 'USDT',
+                balance: '10000.00000000',
+                crossWalletBalance: '10000.00000000',
+                crossUnPnl: '12.50000000',
+                availableBalance: '9500.25000000',
+                maxWithdrawAmount: '9500.25000000',
+                marginAvailable: true,
+                updateTime: 1718080200114,
+            },
+            {
+                accountAlias: 'SgsRmYFzXqAuSg',
+                asset: 'BNB',
+                balance: '0.00000000',
+                crossWalletBalance: '0.00000000',
+                crossUnPnl: '0.00000000',
+                availableBalance: '0.00000000',
+                maxWithdrawAmount: '0.00000000',
+                marginAvailable: true,
+                updateTime: 0,
+            },
+        ],
+
+        'GET /fapi/v1/ticker/24hr': bySymbol(STATS),
+        'GET /fapi/v1/ticker/bookTicker': bySymbol(BOOKS),
+        'GET /fapi/v1/premiumIndex': bySymbol(PREMIUMS),
+
+        'GET /fapi/v1/exchangeInfo': {
+            timezone: 'UTC',
+            serverTime: 1718080200123,
+            futuresType: 'U_MARGINED',
+            rateLimits: [],
+            exchangeFilters: [],
+            assets: [],
+            symbols: [
+                symbolInfo('BTCUSDT', 'PERPETUAL', '0.10', '0.001', '1000', '120'),
+                symbolInfo('ETHUSDT', 'PERPETUAL', '0.01', '0.001', '10000', '2000'),
+                symbolInfo('BTCUSDT_240628', 'CURRENT_QUARTER', '0.10', '0.001', '500', '50'), // Not a perpetual
+            ],
+        },
+
+        'GET /fapi/v1/leverageBracket': [
+            { symbol: 'BTCUSDT', brackets: [{ bracket: 1, initialLeverage: 125, notionalCap: 50000, notionalFloor: 0, maintMarginRatio: 0.004, cum: 0 }] },
+            { symbol: 'ETHUSDT', brackets: [{ bracket: 1, initialLeverage: 100, notionalCap: 10000, notionalFloor: 0, maintMarginRatio: 0.005, cum: 0 }] },
+        ],
+
+        // Oldest first
+        'GET /fapi/v1/klines': [
+            [1718076600000, '67010.50', '67188.00', '66950.00', '67100.00', '120.512', 1718078399999, '8081234.50', 1520, '60.204', '4040102.77', '0'],
+            [1718078400000, '67100.00', '67240.50', '67052.10', '67180.00', '131.204', 1718080199999, '8812344.10', 1694, '70.118', '4709823.31', '0'],
+            [1718080200000, '67180.00', '67262.00', '67150.20', '67250.10', '42.318', 1718081999999, '2845124.77', 488, '22.906', '1540032.08', '0'],
+        ],
+
+        'POST /fapi/v1/order': ({ url }) => {
+            const params = url.searchParams;
+            if (params.get('newClientOrderId') === 'fixture-duplicate') return error(-4116, 'ClientOrderId is duplicated.');
+            if (params.get('newClientOrderId') === 'fixture-timeout') {
+                return error(-1007, 'Timeout waiting for response from backend server. Send status unknown; execution status unknown.');
+            }
+
+            // Close-position stop orders wait for their trigger
+            if (params.get('closePosition') === 'true') {
+                return {
+                    ...ORDER,
+                    orderId: 4079590128,
+                    status: 'NEW',
+                    clientOrderId: 'web_KxGq1fYzeZbXKGb8r1Tb',
+                    avgPrice: '0.00',
+                    origQty: '0.000',
+                    executedQty: '0.000',
+                    cumQuote: '0.00000',
+                    type: params.get('type'),
+                    origType: params.get('type'),
+                    closePosition: true,
+                    side: params.get('side'),
+                    stopPrice: params.get('stopPrice'),
+                };
+            }
+
+            return { ...ORDER, clientOrderId: params.get('newClientOrderId') || ORDER.clientOrderId };
+        },
+
+        'DELETE /fapi/v1/order': { ...ORDER, status: 'CANCELED', executedQty: '0.000', avgPrice: '0.00', cumQuote: '0.00000' },
+
+        'GET /fapi/v1/order': ({ url }) => {
+            const found = url.searchParams.get('orderId') === String(ORDER.orderId) ||
+                url.searchParams.get('origClientOrderId') === ORDER.clientOrderId;
+            return found ? ORDER : error(-2013, 'Order does not exist.');
+        },
+
+        'GET /fapi/v1/userTrades': [{
+            buyer: true,
+            commission: '0.33625050',
+            commissionAsset: 'USDT',
+            id: 298834120,
+            maker: false,
+            orderId: 4079584612,
+            price: '67250.10',
+            qty: '0.010',
+            quoteQty: '672.50100',
+            realizedPnl: '0',
+            side: 'BUY',
+            positionSide: 'BOTH',
+            symbol: 'BTCUSDT',
+            time: 1718080200114,
+        }],
+
+        // A list even for one symbol
+        'GET /fapi/v2/positionRisk': ({ url }) => POSITIONS.filter(position =>
+            !url.searchParams.has('symbol') || position.symbol === url.searchParams.get('symbol')),
+
+        'POST /fapi/v1/leverage': ({ url }) => ({
+            leverage: parseInt(url.searchParams.get('leverage'), 10),
+            maxNotionalValue: '40000000',
+            symbol: url.searchParams.get('symbol'),
+        }),
+
+        'POST /fapi/v1/marginType': ({ url }) => url.searchParams.get('marginType') === 'CROSSED'
+            ? error(-4046, 'No need to change margin type.')
+            : { code: 200, msg: 'success' },
+    },
+
+    publicMessages: [
+        {
+            topic: 'btcusdt@markPrice',
+            data: { e: 'markPriceUpdate', E: 1718080201000, s: 'BTCUSDT', p: '67249.80000000', P: '67255.10352178', i: '67262.37021739', r: '0.00010000', T: 1718092800000 },
+        },
+        {
+            topic: 'btcusdt@ticker',
+            data: {
+                e: '24hrTicker',
+                E: 1718080201013,
+                s: 'BTCUSDT',
+                p: '1360.10',
+                P: '2.064',
+                w: '66712.33',
+                c: '67250.10',
+                Q: '0.003',
+                o: '65890.00',
+                h: '67500.00',
+                l: '65700.00',
+                v: '27521.043',
+                q: '1836524391.22',
+                O: 1717993800000,
+                C: 1718080201012,
+                F: 4583112094,
+                L: 4584301775,
+                n: 1189682,
+            },
+        },
+    ],
+
+    privateMessages: [
+        {
+            topic: 'ORDER_TRADE_UPDATE',
+            data: {
+                e: 'ORDER_TRADE_UPDATE',
+                E: 1718080200112,
+                T: 1718080200110,
+                o: {
+                    s: 'BTCUSDT', c: 'fixture-open', S: 'BUY', o: 'MARKET', f: 'GTC', q: '0.010', p: '0', ap: '0',
+                    sp: '0', x: 'NEW', X: 'NEW', i: 4079584612, l: '0', z: '0', L: '0', n: '0', N: 'USDT',
+                    T: 1718080200110, t: 0, b: '672.50100', a: '0', m: false, R: false, wt: 'CONTRACT_PRICE',
+                    ot: 'MARKET', ps: 'BOTH', cp: false, rp: '0', pP: false, si: 0, ss: 0, V: 'NONE', pm: 'NONE', gtd: 0,
+                },
+            },
+        },
+        {
+            topic: 'ORDER_TRADE_UPDATE',
+            data: {
+                e: 'ORDER_TRADE_UPDATE',
+                E: 1718080200116,
+                T: 1718080200114,
+                o: {
+                    s: 'BTCUSDT', c: 'fixture-open', S: 'BUY', o: 'MARKET', f: 'GTC', q: '0.010', p: '0', ap: '67250.10',
+                    sp: '0', x: 'TRADE', X: 'FILLED', i: 4079584612, l: '0.010', z: '0.010', L: '67250.10', n: '0.33625050',
+                    N: 'USDT', T: 1718080200114, t: 298834120, b: '0', a: '0', m: false, R: false, wt: 'CONTRACT_PRICE',
+                    ot: 'MARKET', ps: 'BOTH', cp: false, rp: '0', pP: false, si: 0, ss: 0, V: 'NONE', pm: 'NONE', gtd: 0,
+                },
+            },
+        },
+        {
+            topic: 'ACCOUNT_UPDATE',
+            data: {
+                e: 'ACCOUNT_UPDATE',
+                E: 1718080200117,
+                T: 1718080200114,
+                a: {
+                    m: 'ORDER',
+                    B: [{ a: 'USDT', wb: '9999.66374950', cw: '9999.66374950', bc: '0' }],
+                    P: [{ s: 'BTCUSDT', pa: '0.010', ep: '67250.10000', bep: '67287.08755', cr: '0', up: '-0.00300000', mt: 'cross', iw: '0', ps: 'BOTH' }],
+                },
+            },
+        },
+        {
+            topic: 'ACCOUNT_UPDATE',
+            data: {
+                e: 'ACCOUNT_UPDATE',
+                E: 1718083800021,
+                T: 1718083800019,
+                a: {
+                    m: 'ORDER',
+                    B: [{ a: 'USDT', wb: '10004.93151012', cw: '10004.93151012', bc: '0' }],
+                    P: [{ s: 'BTCUSDT', pa: '0', ep: '0.00000', bep: '0', cr: '5.60400000', up: '0', mt: 'cross', iw: '0', ps: 'BOTH' }], // Closed
+                },
+            },
+        },
+    ],
+};
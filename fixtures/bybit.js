@@ -0,0 +1,334 @@
+// Recorded Bybit v5 testnet responses and stream messages for the exchange contract checks (see exchangeContract.js)
+// Trimmed to a few entries. REST responses are keyed by 'METHOD path', a function gets the request
+// ({ url, method, body }) for responses that depend on it. Stream messages are as passed to onMessage.
+
+const ok = (result) => ({ retCode: 0, retMsg: 'OK', result, retExtInfo: {}, time: 1718080200123 });
+const error = (retCode, retMsg) => ({ retCode, retMsg, result: {}, retExtInfo: {}, time: 1718080200123 });
+
+const TICKERS = [
+    {
+        symbol: 'BTCUSDT',
+        lastPrice: '67250.10',
+        indexPrice: '67262.37',
+        markPrice: '67249.80',
+        prevPrice24h: '65890.00',
+        price24hPcnt: '0.020642',
+        highPrice24h: '67500.00',
+        lowPrice24h: '65700.00',
+        prevPrice1h: '67010.50',
+        openInterest: '52341.204',
+        openInterestValue: '3519976345.12',
+        turnover24h: '1836524391.2249',
+        volume24h: '27521.0430',
+        fundingRate: '0.0001',
+        nextFundingTime: '1718092800000',
+        predictedDeliveryPrice: '',
+        basisRate: '',
+        deliveryFeeRate: '',
+        deliveryTime: '0',
+        ask1Size: '1.204',
+        bid1Price: '67250.00',
+        ask1Price: '67250.10',
+        bid1Size: '3.512',
+        basis: '',
+    },
+    {
+        symbol: 'ETHUSDT',
+        lastPrice: '3684.52',
+        indexPrice: '3685.10',
+        markPrice: '3684.60',
+        prevPrice24h: '3702.11',
+        price24hPcnt: '-0.004751',
+        highPrice24h: '3731.90',
+        lowPrice24h: '3652.00',
+        prevPrice1h: '3690.25',
+        openInterest: '412093.51',
+        openInterestValue: '1518418812.94',
+        turnover24h: '902114823.5611',
+        volume24h: '244862.9100',
+        fundingRate: '0.000082',
+        nextFundingTime: '1718092800000',
+        predictedDeliveryPrice: '',
+        basisRate: '',
+        deliveryFeeRate: '',
+        deliveryTime: '0',
+        ask1Size: '25.61',
+        bid1Price: '3684.51',
+        ask1Price: '3684.52',
+        bid1Size: '18.02',
+        basis: '',
+    },
+];
+
+const INSTRUMENT_PAGES = [
+    {
+        list: [{
+            symbol: 'BTCUSDT',
+            contractType: 'LinearPerpetual',
+            status: 'Trading',
+            baseCoin: 'BTC',
+            quoteCoin: 'USDT',
+            launchTime: '1584230400000',
+            deliveryTime: '0',
+            deliveryFeeRate: '',
+            priceScale: '2',
+            leverageFilter: { minLeverage: '1', maxLeverage: '100.00', leverageStep: '0.01' },
+            priceFilter: { minPrice: '0.10', maxPrice: '199999.80', tickSize: '0.10' },
+            lotSizeFilter: {
+                maxOrderQty: '1190.000',
+                minOrderQty: '0.001',
+                qtyStep: '0.001',
+                postOnlyMaxOrderQty: '1190.000',
+                maxMktOrderQty: '119.000',
+                minNotionalValue: '5',
+            },
+            unifiedMarginTrade: true,
+            fundingInterval: 480,
+            settleCoin: 'USDT',
+        }],
+        nextPageCursor: 'first%3D1%26last%3D1',
+    },
+    {
+        list: [{
+            symbol: 'ETHUSDT',
+            contractType: 'LinearPerpetual',
+            status: 'Trading',
+            baseCoin: 'ETH',
+            quoteCoin: 'USDT',
+            launchTime: '1615766400000',
+            deliveryTime: '0',
+            deliveryFeeRate: '',
+            priceScale: '2',
+            leverageFilter: { minLeverage: '1', maxLeverage: '100.00', leverageStep: '0.01' },
+            priceFilter: { minPrice: '0.01', maxPrice: '19999.98', tickSize: '0.01' },
+            lotSizeFilter: {
+                maxOrderQty: '7240.00',
+                minOrderQty: '0.01',
+                qtyStep: '0.01',
+                postOnlyMaxOrderQty: '7240.00',
+                maxMktOrderQty: '724.00',
+                minNotionalValue: '5',
+            },
+            unifiedMarginTrade: true,
+            fundingInterval: 480,
+            settleCoin: 'USDT',
+        }],
+        nextPageCursor: '',
+    },
+];
+
+const ORDER = {
+    orderId: '1321003749386327552',
+    orderLinkId: 'fixture-open',
+    blockTradeId: '',
+    symbol: 'BTCUSDT',
+    price: '70612.60', // Slippage cap of the market order
+    qty: '0.010',
+    side: 'Buy',
+    isLeverage: '',
+    positionIdx: 0,
+    orderStatus: 'Filled',
+    cancelType: 'UNKNOWN',
+    rejectReason: 'EC_NoError',
+    avgPrice: '67250.10',
+    leavesQty: '0.000',
+    leavesValue: '0',
+    cumExecQty: '0.010',
+    cumExecValue: '672.501',
+    cumExecFee: '0.36987555',
+    timeInForce: 'IOC',
+    orderType: 'Market',
+    stopOrderType: '',
+    triggerPrice: '',
+    takeProfit: '',
+    stopLoss: '',
+    reduceOnly: false,
+    closeOnTrigger: false,
+    createdTime: '1718080200110',
+    updatedTime: '1718080200114',
+};
+
+const EXECUTION = {
+    symbol: 'BTCUSDT',
+    orderType: 'Market',
+    underlyingPrice: '',
+    orderLinkId: 'fixture-open',
+    side: 'Buy',
+    indexPrice: '',
+    orderId: '1321003749386327552',
+    stopOrderType: 'UNKNOWN',
+    leavesQty: '0',
+    execTime: '1718080200114',
+    feeCurrency: '',
+    isMaker: false,
+    execFee: '0.36987555',
+    feeRate: '0.00055',
+    execId: 'e0cbe81d-0f18-5866-9415-cf319b5dab3b',
+    tradeIv: '',
+    blockTradeId: '',
+    markPrice: '67249.80',
+    execPrice: '67250.10',
+    markIv: '',
+    orderQty: '0.010',
+    orderPrice: '70612.60',
+    execValue: '672.501',
+    execType: 'Trade',
+    execQty: '0.010',
+    closedSize: '0.000',
+};
+
+const POSITIONS = [
+    {
+        positionIdx: 0,
+        riskId: 1,
+        riskLimitValue: '2000000',
+        symbol: 'BTCUSDT',
+        side: 'Buy',
+        size: '0.010',
+        avgPrice: '67250.1',
+        positionValue: '672.501',
+        tradeMode: 0,
+        positionStatus: 'Normal',
+        autoAddMargin: 0,
+        adlRankIndicator: 2,
+        leverage: '10',
+        positionBalance: '0',
+        markPrice: '67249.80',
+        liqPrice: '',
+        bustPrice: '',
+        positionMM: '3.3625',
+        positionIM: '67.6199',
+        tpslMode: 'Full',
+        takeProfit: '0.00',
+        stopLoss: '65900.00',
+        trailingStop: '0.00',
+        unrealisedPnl: '-0.003',
+        cumRealisedPnl: '-0.36987555',
+        createdTime: '1718080200114',
+        updatedTime: '1718080200114',
+    },
+    {
+        positionIdx: 0,
+        riskId: 11,
+        riskLimitValue: '900000',
+        symbol: 'ETHUSDT',
+        side: '',
+        size: '0',
+        avgPrice: '0',
+        positionValue: '0',
+        tradeMode: 0,
+        positionStatus: 'Normal',
+        autoAddMargin: 0,
+        adlRankIndicator: 0,
+        leverage: '10',
+        positionBalance: '0',
+        markPrice: '3684.60',
+        liqPrice: '',
+        bustPrice: '',
+        positionMM: '0',
+        positionIM: '0',
+        tpslMode: 'Full',
+        takeProfit: '0.00',
+        stopLoss: '0.00',
+        trailingStop: '0.00',
+        unrealisedPnl: '0',
+        cumRealisedPnl: '-1.2043',
+        createdTime: '1717408211063',
+        updatedTime: '1717991402188',
+    },
+];
+
+export const BYBIT_FIXTURES = {
+    symbol: 'BTCUSDT',
+
+    rest: {
+        'GET /v5/account/wallet-balance': ok({
+            list: [{
+                accountType: 'UNIFIED',
+                totalEquity: '10012.50',
+                totalWalletBalance: '10000.00',
+                totalAvailableBalance: '9500.25',
+                coin: [{
+                    coin: 'USDT',
+                    equity: '10012.50',
+                    walletBalance: '10000.00',
+                    availableToWithdraw: '9500.25',
+                    unrealisedPnl: '12.50',
+                    cumRealisedPnl: '-3.20',
+                }],
+            }],
+        }),
+
+        'GET /v5/market/tickers': ({ url }) => {
+            const symbol = url.searchParams.get('symbol');
+            return ok({
+                category: 'linear',
+                list: symbol ? TICKERS.filter(ticker => ticker.symbol === symbol) : TICKERS,
+            });
+        },
+
+        'GET /v5/market/instruments-info': ({ url }) => ok({
+            category: 'linear',
+            ...INSTRUMENT_PAGES[url.searchParams.get('cursor') ? 1 : 0],
+        }),
+
+        // Newest first
+        'GET /v5/market/kline': ok({
+            category: 'linear',
+            symbol: 'BTCUSDT',
+            list: [
+                ['1718080200000', '67180.00', '67262.00', '67150.20', '67250.10', '42.318', '2845124.77'],
+                ['1718078400000', '67100.00', '67240.50', '67052.10', '67180.00', '131.204', '8812344.10'],
+                ['1718076600000', '67010.50', '67188.00', '66950.00', '67100.00', '120.512', '8081234.50'],
+            ],
+        }),
+
+        'POST /v5/order/create': ({ body }) => {
+            if (body.orderLinkId === 'fixture-duplicate') return error(110072, 'OrderLinkedID is duplicate');
+            if (body.orderLinkId === 'fixture-timeout') return error(10000, 'Server Timeout');
+            return ok({ orderId: ORDER.orderId, orderLinkId: body.orderLinkId || '' });
+        },
+
+        'POST /v5/order/cancel': ok({ orderId: ORDER.orderId, orderLinkId: ORDER.orderLinkId }),
+
+        'GET /v5/order/realtime': ({ url }) => {
+            const found = url.searchParams.get('orderId') === ORDER.orderId ||
+                url.searchParams.get('orderLinkId') === ORDER.orderLinkId;
+            return ok({ category: 'linear', list: found ? [ORDER] : [], nextPageCursor: '' });
+        },
+
+        'GET /v5/execution/list': ok({ category: 'linear', list: [EXECUTION], nextPageCursor: '' }),
+
+        'GET /v5/position/list': ok({ category: 'linear', list: POSITIONS, nextPageCursor: '' }),
+
+        'POST /v5/position/set-leverage': ({ body }) => body.buyLeverage === '10'
+            ? error(110043, 'Set leverage not modified')
+            : ok({}),
+
+        'POST /v5/account/set-margin-mode': { retCode: 0, retMsg: 'Request accepted', result: { reasons: [] } },
+
+        'POST /v5/position/trading-stop': ok({}),
+    },
+
+    publicMessages: [
+        { topic: 'tickers.BTCUSDT', data: TICKERS[0] },
+        // Deltas only carry the fields that changed
+        { topic: 'tickers.BTCUSDT', data: { symbol: 'BTCUSDT', bid1Price: '67251.00', bid1Size: '0.812' } },
+        { topic: 'tickers.BTCUSDT', data: { symbol: 'BTCUSDT', lastPrice: '67251.40', markPrice: '67251.02' } },
+    ],
+
+    privateMessages: [
+        { topic: 'order', data: [{ ...ORDER, orderStatus: 'New', avgPrice: '', cumExecQty: '0', cumExecFee: '0' }] },
+        { topic: 'execution', data: [EXECUTION] },
+        { topic: 'order', data: [ORDER] },
+        { topic: 'position', data: [POSITIONS[0]] },
+        { topic: 'position', data: [POSITIONS[1]] }, // Flat position after a close
+        {
+            topic: 'wallet',
+            data: [{
+                accountType: 'UNIFIED',
+                coin: [{ coin: 'USDT', walletBalance: '9999.63012445', availableToWithdraw: '9932.01' }],
+            }],
+        },
+    ],
+};
@@ -0,0 +1,249 @@
+// Headless Runner - Runs the App without a browser and answers CLI commands on a Unix socket (Node.js only)
+
+import { createServer, createConnection } from 'node:net';
+import { mkdir, rm } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { CONFIG } from './config.js';
+import { App } from './app.js';
+import { ConsoleView } from './consoleView.js';
+import { FileStateStore } from './fileStateStore.js';
+
+// Commands of the control socket, in the order the CLI help lists them
+export const COMMANDS = {
+    start: 'Start trading',
+    stop: 'Stop trading (open positions stay open)',
+    pause: 'Pause trading',
+    resume: 'Resume trading, accepting a tripped risk limit',
+    status: 'Bot state, connections, risk status and P/L',
+    positions: 'Open positions with their current value',
+    orders: 'Open orders',
+    'close-all': 'Close all positions and stop',
+    history: 'Recent trades, newest first (history [count])',
+    shutdown: 'Stop trading, save state and exit the runner',
+};
+
+export class HeadlessRunner {
+    constructor(logger) {
+        this.logger = logger;
+        this.app = new App(new FileStateStore());
+        this.view = new ConsoleView(this.app, logger);
+        this.server = null;
+        this.closing = null;
+        this.closed = new Promise(resolve => {
+            this.resolveClosed = resolve;
+        });
+    }
+
+    // Initialize the app with the configured exchange, profile and credentials, then listen for commands
+    async run(autoStart = CONFIG.HEADLESS.AUTO_START) {
+        if (typeof WebSocket === 'undefined') {
+            this.logger.error('This Node.js version has no global WebSocket, use Node.js 22 or newer');
+            return false;
+        }
+
+        await this.loadPlugins(CONFIG.HEADLESS.PLUGINS);
+
+        const credentials = CONFIG[CONFIG.EXCHANGE.toUpperCase()] || {};
+        const initialized = await this.app.initialize(
+            credentials.API_KEY,
+            credentials.API_SECRET,
+            CONFIG.PROFILE,
+            CONFIG.EXCHANGE,
+            CONFIG.HEADLESS.CONFIRMATION
+        );
+
+        if (!initialized) {
+            await this.app.shutdown();
+            return false;
+        }
+
+        await this.listen(CONFIG.HEADLESS.CONTROL_SOCKET);
+
+        if (autoStart) {
+            await this.app.start();
+        }
+
+        return true;
+    }
+
+    // Register the default export of each plugin module (paths relative to the working directory)
+    async loadPlugins(paths) {
+        for (const path of paths) {
+            const module = await import(pathToFileURL(resolve(path)).href);
+            this.app.use(module.default);
+        }
+    }
+
+    // Listen on the control socket, replacing a stale socket file of a runner that is gone
+    async listen(path) {
+        await mkdir(dirname(path), { recursive: true });
+
+        if (await isListening(path)) {
+            throw new Error(`Another runner is listening on ${path}`);
+        }
+        await rm(path, { force: true });
+
+        this.server = createServer(socket => this.handleConnection(socket));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(path, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.logger.info(`Listening for commands on ${path}`);
+    }
+
+    // Read one JSON request line ({ command, args }) and reply with one JSON line
+    handleConnection(socket) {
+        let buffer = '';
+
+        socket.setEncoding('utf8');
+        socket.on('error', error => this.logger.warn(`Control connection error: ${error.message}`));
+        socket.on('data', async chunk => {
+            buffer += chunk;
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) return;
+
+            socket.removeAllListeners('data');
+
+            let reply;
+            try {
+                const request = JSON.parse(buffer.slice(0, newline));
+                reply = await this.execute(request.command, request.args || []);
+            } catch (error) {
+                reply = { success: false, error: error.message };
+            }
+
+            socket.end(`${JSON.stringify(reply)}\n`);
+
+            if (reply.success && reply.command === 'shutdown') {
+                this.shutdown('shutdown command');
+            }
+        });
+    }
+
+    // Run a command, returns { success, command, data } or { success: false, error }
+    async execute(command, args = []) {
+        if (!COMMANDS[command]) {
+            return { success: false, error: `Unknown command: ${command}` };
+        }
+
+        this.logger.info(`Command: ${[command, ...args].join(' ')}`);
+
+        try {
+            return { success: true, command, data: await this.runCommand(command, args) };
+        } catch (error) {
+            this.logger.error(`Command ${command} failed: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Command implementations, return plain data for the reply
+    async runCommand(command, args) {
+        const app = this.app;
+        const tokensData = app.marketData.getAllTokensData();
+
+        switch (command) {
+            case 'start':
+                await app.start();
+                return app.getState();
+            case 'stop':
+                app.stop();
+                return app.getState();
+            case 'pause':
+                app.pause();
+                return app.getState();
+            case 'resume':
+                app.resume();
+                return app.getState();
+            case 'status':
+                return {
+                    ...app.getState(),
+                    connections: { ...this.view.connectionStates },
+                    risk: this.view.riskStatus,
+                    totalValue: app.tradingBot.getTotalValue(tokensData),
+                    profitLoss: app.tradingBot.getProfitLossBreakdown(tokensData),
+                    roi: app.tradingBot.getROI(tokensData),
+                    winRate: app.tradingBot.getWinRate(),
+                };
+            case 'positions':
+                return app.tradingBot.getPositionsWithValue(tokensData);
+            case 'orders':
+                return app.orderExecutor.orderTracker.getOpenOrders();
+            case 'close-all':
+                await app.emergencyStop();
+                return app.getState();
+            case 'history': {
+                const count = parseInt(args[0], 10) || CONFIG.HEADLESS.HISTORY_LIMIT;
+                return app.tradingBot.tradeHistory.slice(0, count);
+            }
+            case 'shutdown':
+                return app.getState();
+        }
+    }
+
+    // Stop trading, save state, close the streams and the control socket (resolves closed)
+    shutdown(reason) {
+        if (!this.closing) {
+            this.closing = (async () => {
+                this.logger.info(`Shutting down (${reason})`);
+
+                if (this.server) {
+                    this.server.close();
+                }
+
+                try {
+                    await this.app.shutdown();
+                } catch (error) {
+                    this.logger.error(`Shutdown error: ${error.message}`);
+                }
+
+                this.resolveClosed();
+            })();
+        }
+
+        return this.closing;
+    }
+}
+
+// True if a runner answers on the socket path
+function isListening(path) {
+    return new Promise(resolve => {
+        const socket = createConnection(path);
+        socket.once('connect', () => {
+            socket.end();
+            resolve(true);
+        });
+        socket.once('error', () => resolve(false));
+    });
+}
+
+// Send a command to the runner on the control socket, resolves with its reply
+export function sendCommand(path, command, args = []) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        const socket = createConnection(path);
+
+        socket.setEncoding('utf8');
+        socket.once('connect', () => socket.write(`${JSON.stringify({ command, args })}\n`));
+        socket.on('data', chunk => {
+            buffer += chunk;
+        });
+        socket.once('end', () => {
+            try {
+                resolve(JSON.parse(buffer));
+            } catch (error) {
+                reject(new Error('Invalid reply from the runner'));
+            }
+        });
+        socket.once('error', error => {
+            reject(error.code === 'ENOENT' || error.code === 'ECONNREFUSED'
+                ? new Error(`No runner is listening on ${path}`)
+                : error);
+        });
+    });
+}
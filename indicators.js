@@ -0,0 +1,254 @@
+// Indicators - Technical indicators updated incrementally on every candle close
+// Each indicator keeps just enough state to take the next value, nothing is recomputed from scratch.
+// Values are null until an indicator has seen enough candles.
+
+import { CONFIG } from './config.js';
+
+// Simple moving average
+export class SMA {
+    constructor(period) {
+        this.period = period;
+        this.window = [];
+        this.sum = 0;
+        this.value = null;
+    }
+
+    // Add a value, returns the average
+    update(value) {
+        this.window.push(value);
+        this.sum += value;
+
+        if (this.window.length > this.period) {
+            this.sum -= this.window.shift();
+        }
+
+        this.value = this.window.length === this.period ? this.sum / this.period : null;
+        return this.value;
+    }
+}
+
+// Exponential moving average, seeded with the SMA of the first period values
+export class EMA {
+    constructor(period) {
+        this.period = period;
+        this.multiplier = 2 / (period + 1);
+        this.seed = new SMA(period);
+        this.value = null;
+    }
+
+    // Add a value, returns the average
+    update(value) {
+        if (this.value === null) {
+            this.value = this.seed.update(value);
+        } else {
+            this.value = (value - this.value) * this.multiplier + this.value;
+        }
+
+        return this.value;
+    }
+}
+
+// Relative strength index with Wilder's smoothing
+export class RSI {
+    constructor(period) {
+        this.period = period;
+        this.previousClose = null;
+        this.count = 0;
+        this.avgGain = 0;
+        this.avgLoss = 0;
+        this.value = null;
+    }
+
+    // Add a close, returns the RSI (0-100)
+    update(close) {
+        if (this.previousClose === null) {
+            this.previousClose = close;
+            return this.value;
+        }
+
+        const change = close - this.previousClose;
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        this.previousClose = close;
+        this.count++;
+
+        if (this.count <= this.period) {
+            // Plain average of the first period changes
+            this.avgGain += gain / this.period;
+            this.avgLoss += loss / this.period;
+            if (this.count < this.period) return this.value;
+        } else {
+            this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+            this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+        }
+
+        this.value = this.avgLoss === 0 ? 100 : 100 - 100 / (1 + this.avgGain / this.avgLoss);
+        return this.value;
+    }
+}
+
+// Average true range with Wilder's smoothing
+export class ATR {
+    constructor(period) {
+        this.period = period;
+        this.previousClose = null;
+        this.count = 0;
+        this.sum = 0;
+        this.value = null;
+    }
+
+    // Add a candle, returns the ATR in price units
+    update(candle) {
+        const trueRange = this.previousClose === null
+            ? candle.high - candle.low
+            : Math.max(
+                candle.high - candle.low,
+                Math.abs(candle.high - this.previousClose),
+                Math.abs(candle.low - this.previousClose)
+            );
+        this.previousClose = candle.close;
+        this.count++;
+
+        if (this.count < this.period) {
+            this.sum += trueRange;
+        } else if (this.count === this.period) {
+            this.value = (this.sum + trueRange) / this.period;
+        } else {
+            this.value = (this.value * (this.period - 1) + trueRange) / this.period;
+        }
+
+        return this.value;
+    }
+}
+
+// Moving average convergence divergence
+export class MACD {
+    constructor(fastPeriod, slowPeriod, signalPeriod) {
+        this.fast = new EMA(fastPeriod);
+        this.slow = new EMA(slowPeriod);
+        this.signal = new EMA(signalPeriod);
+        this.value = null;
+    }
+
+    // Add a close, returns { macd, signal, histogram } (signal and histogram null while warming up)
+    update(close) {
+        const fast = this.fast.update(close);
+        const slow = this.slow.update(close);
+
+        if (fast === null || slow === null) return this.value;
+
+        const macd = fast - slow;
+        const signal = this.signal.update(macd);
+
+        this.value = {
+            macd,
+            signal,
+            histogram: signal === null ? null : macd - signal,
+        };
+        return this.value;
+    }
+}
+
+// Bollinger Bands (SMA plus/minus a number of standard deviations)
+export class BollingerBands {
+    constructor(period, stdDev) {
+        this.period = period;
+        this.stdDev = stdDev;
+        this.window = [];
+        this.sum = 0;
+        this.sumSquares = 0;
+        this.value = null;
+    }
+
+    // Add a close, returns { upper, middle, lower }
+    update(close) {
+        this.window.push(close);
+        this.sum += close;
+        this.sumSquares += close * close;
+
+        if (this.window.length > this.period) {
+            const removed = this.window.shift();
+            this.sum -= removed;
+            this.sumSquares -= removed * removed;
+        }
+
+        if (this.window.length < this.period) return this.value;
+
+        const middle = this.sum / this.period;
+        const variance = Math.max(this.sumSquares / this.period - middle * middle, 0);
+        const deviation = Math.sqrt(variance) * this.stdDev;
+
+        this.value = { upper: middle + deviation, middle, lower: middle - deviation };
+        return this.value;
+    }
+}
+
+// Volume weighted average price, restarted every UTC day
+export class VWAP {
+    constructor() {
+        this.session = null;
+        this.priceVolume = 0;
+        this.volume = 0;
+        this.value = null;
+    }
+
+    // Add a candle, returns the session VWAP
+    update(candle) {
+        const session = Math.floor(candle.time / (24 * 60 * 60 * 1000));
+        if (session !== this.session) {
+            this.session = session;
+            this.priceVolume = 0;
+            this.volume = 0;
+            this.value = null;
+        }
+
+        const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+        this.priceVolume += typicalPrice * candle.volume;
+        this.volume += candle.volume;
+
+        if (this.volume > 0) {
+            this.value = this.priceVolume / this.volume;
+        }
+
+        return this.value;
+    }
+}
+
+// All indicators of one token
+export class IndicatorSet {
+    constructor(settings = CONFIG.INDICATORS) {
+        this.sma = new SMA(settings.SMA_PERIOD);
+        this.ema = new EMA(settings.EMA_PERIOD);
+        this.rsi = new RSI(settings.RSI_PERIOD);
+        this.atr = new ATR(settings.ATR_PERIOD);
+        this.macd = new MACD(settings.MACD_FAST, settings.MACD_SLOW, settings.MACD_SIGNAL);
+        this.bollinger = new BollingerBands(settings.BOLLINGER_PERIOD, settings.BOLLINGER_STD_DEV);
+        this.vwap = new VWAP();
+    }
+
+    // Feed a closed candle to every indicator
+    update(candle) {
+        this.sma.update(candle.close);
+        this.ema.update(candle.close);
+        this.rsi.update(candle.close);
+        this.atr.update(candle);
+        this.macd.update(candle.close);
+        this.bollinger.update(candle.close);
+        this.vwap.update(candle);
+
+        return this.getValues();
+    }
+
+    // Current values of every indicator
+    getValues() {
+        return {
+            sma: this.sma.value,
+            ema: this.ema.value,
+            rsi: this.rsi.value,
+            atr: this.atr.value,
+            macd: this.macd.value,
+            bollinger: this.bollinger.value,
+            vwap: this.vwap.value,
+        };
+    }
+}
@@ -0,0 +1,134 @@
+// Instrument Registry - Lot size and order limits of the exchange's instruments
+
+import { CONFIG } from './config.js';
+
+// Number of decimals in a step string like "0.001"
+function stepDecimals(step) {
+    const [, decimals = ''] = step.split('.');
+    return decimals.replace(/0+$/, '').length;
+}
+
+export class InstrumentRegistry {
+    constructor(exchange) {
+        this.exchange = exchange;
+        this.instruments = new Map(); // symbol -> instrument spec
+        this.lastUpdate = null;
+    }
+
+    // Load (or reload) instrument specs
+    async load() {
+        const list = await this.exchange.getInstruments();
+
+        // Keep the previous specs if the request failed
+        if (list.length === 0) {
+            console.warn('Instrument specs not loaded, keeping previous specs');
+            return this.instruments.size;
+        }
+
+        this.instruments.clear();
+        list.forEach(instrument => this.instruments.set(instrument.symbol, instrument));
+
+        this.lastUpdate = new Date();
+        console.log(`Loaded ${this.instruments.size} instrument specs`);
+        return this.instruments.size;
+    }
+
+    // Check if specs need refresh
+    shouldRefresh() {
+        if (!this.lastUpdate) return true;
+        return Date.now() - this.lastUpdate.getTime() >= CONFIG.INSTRUMENTS.REFRESH_INTERVAL;
+    }
+
+    // Get instrument spec for a full symbol (e.g. BTCUSDT)
+    get(symbol) {
+        return this.instruments.get(symbol);
+    }
+
+    // Round a quantity down to the symbol's lot size, returned as a string for the API
+    roundQuantity(symbol, quantity) {
+        const instrument = this.get(symbol);
+
+        if (!instrument) {
+            return quantity.toFixed(4);
+        }
+
+        const step = parseFloat(instrument.qtyStep);
+        const steps = Math.floor(quantity / step + 1e-9); // Tolerate float error just below a step
+
+        return (steps * step).toFixed(stepDecimals(instrument.qtyStep));
+    }
+
+    // Round a price to the symbol's tick size, returned as a string for the API
+    roundPrice(symbol, price) {
+        const instrument = this.get(symbol);
+
+        if (!instrument) {
+            return price.toFixed(4);
+        }
+
+        const tick = parseFloat(instrument.tickSize);
+        const ticks = Math.round(price / tick);
+
+        return (ticks * tick).toFixed(stepDecimals(instrument.tickSize));
+    }
+
+    // Round a quantity to the lot size and check it against the order limits
+    // Closing orders (reduceOnly) are exempt from the minimum notional
+    // Returns { valid: true, quantity } or { valid: false, rule, message }
+    prepareQuantity(symbol, quantity, price, { orderType = 'Market', reduceOnly = false } = {}) {
+        const instrument = this.get(symbol);
+
+        if (!instrument) {
+            console.warn(`No instrument spec for ${symbol}, using unvalidated quantity`);
+            return { valid: true, quantity: quantity.toFixed(4) };
+        }
+
+        if (instrument.trading === false) {
+            return {
+                valid: false,
+                rule: 'status',
+                message: `${symbol} is not trading (status ${instrument.status})`,
+            };
+        }
+
+        const rounded = this.roundQuantity(symbol, quantity);
+        const qty = parseFloat(rounded);
+        const maxQty = orderType === 'Market' ? instrument.maxMktOrderQty : instrument.maxOrderQty;
+        const maxRule = orderType === 'Market' ? 'maxMktOrderQty' : 'maxOrderQty';
+
+        if (qty <= 0) {
+            return {
+                valid: false,
+                rule: 'qtyStep',
+                message: `Quantity ${quantity} rounds to 0 with qtyStep ${instrument.qtyStep}`,
+            };
+        }
+
+        if (qty < instrument.minOrderQty) {
+            return {
+                valid: false,
+                rule: 'minOrderQty',
+                message: `Quantity ${rounded} is below minOrderQty ${instrument.minOrderQty}`,
+            };
+        }
+
+        if (qty > maxQty) {
+            return {
+                valid: false,
+                rule: maxRule,
+                message: `Quantity ${rounded} is above ${maxRule} ${maxQty}`,
+            };
+        }
+
+        const notional = qty * price;
+        if (!reduceOnly && notional < instrument.minNotionalValue) {
+            return {
+                valid: false,
+                rule: 'minNotionalValue',
+                message: `Order value $${notional.toFixed(2)} is below minNotionalValue $${instrument.minNotionalValue}`,
+            };
+        }
+
+        return { valid: true, quantity: rounded };
+    }
+}
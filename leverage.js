@@ -0,0 +1,74 @@
+// Leverage Manager - Applies margin mode and per-symbol leverage before orders are placed
+
+import { getBaseToken } from './config.js';
+
+// marginModes key of an account wide margin mode
+const ACCOUNT = '*';
+
+export class LeverageManager {
+    constructor(exchange, tradingBot, instruments) {
+        this.exchange = exchange;
+        this.tradingBot = tradingBot;
+        this.instruments = instruments; // InstrumentRegistry for the leverage limits
+        this.leverage = new Map(); // symbol -> leverage applied on the exchange
+        this.marginModes = new Map(); // symbol (ACCOUNT for account wide modes) -> margin mode applied on the exchange
+        this.maxLeverage = 0; // Cap of the profile (0 = instrument limit only)
+    }
+
+    // Leverage to use for a full symbol, within the instrument's and the profile's limits
+    getLeverage(symbol) {
+        let leverage = this.tradingBot.getLeverage(getBaseToken(symbol));
+        const instrument = this.instruments.get(symbol);
+
+        if (this.maxLeverage > 0) {
+            leverage = Math.min(leverage, this.maxLeverage);
+        }
+
+        if (!instrument) return leverage;
+
+        return Math.min(Math.max(leverage, instrument.minLeverage), instrument.maxLeverage);
+    }
+
+    // Make sure margin mode and leverage are set for a symbol before ordering
+    // Returns { success, leverage } or { success: false, message }
+    async prepare(symbol) {
+        const marginMode = this.tradingBot.config.marginMode;
+
+        // Some exchanges apply the margin mode to the whole account, others per symbol
+        const accountWide = this.exchange.marginModeScope !== 'symbol';
+        const scope = accountWide ? ACCOUNT : symbol;
+
+        if (this.marginModes.get(scope) !== marginMode) {
+            const result = await this.exchange.setMarginMode(marginMode, symbol);
+
+            if (!result.success) {
+                return { success: false, message: `Could not set ${marginMode} margin: ${result.error}` };
+            }
+
+            this.marginModes.set(scope, marginMode);
+
+            // Switching margin mode can reset leverage
+            if (accountWide) {
+                this.leverage.clear();
+            } else {
+                this.leverage.delete(symbol);
+            }
+            console.log(`Margin mode${accountWide ? '' : ` for ${symbol}`} set to ${marginMode}`);
+        }
+
+        const leverage = this.getLeverage(symbol);
+
+        if (this.leverage.get(symbol) !== leverage) {
+            const result = await this.exchange.setLeverage(symbol, leverage);
+
+            if (!result.success) {
+                return { success: false, message: `Could not set ${leverage}x leverage: ${result.error}` };
+            }
+
+            this.leverage.set(symbol, leverage);
+            console.log(`Leverage for ${symbol} set to ${leverage}x`);
+        }
+
+        return { success: true, leverage };
+    }
+}
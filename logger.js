@@ -0,0 +1,64 @@
+// Logger - Structured terminal output for the headless runner (Node.js only)
+
+import { format } from 'node:util';
+import { CONFIG } from './config.js';
+
+// Levels by severity, entries below the configured level are dropped
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export class Logger {
+    // format: 'json' writes one object per line, 'text' a readable line with the fields as JSON
+    constructor(level = CONFIG.HEADLESS.LOG_LEVEL, outputFormat = CONFIG.HEADLESS.LOG_FORMAT, stream = process.stdout) {
+        if (!LOG_LEVELS[level]) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+
+        this.level = level;
+        this.format = outputFormat;
+        this.stream = stream;
+    }
+
+    // Write an entry with optional fields
+    log(level, message, fields = {}) {
+        if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) return;
+
+        const time = new Date().toISOString();
+
+        if (this.format === 'text') {
+            const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+            this.stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${message}${extra}\n`);
+            return;
+        }
+
+        this.stream.write(`${JSON.stringify({ time, level, message, ...fields })}\n`);
+    }
+
+    // Detail for troubleshooting
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    // Normal operation
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    // Something needs attention
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    // Something failed
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    // Route console output of the bot modules through the logger
+    captureConsole() {
+        console.debug = (...args) => this.debug(format(...args));
+        console.log = (...args) => this.info(format(...args));
+        console.info = (...args) => this.info(format(...args));
+        console.warn = (...args) => this.warn(format(...args));
+        console.error = (...args) => this.error(format(...args));
+    }
+}
@@ -1,9 +1,11 @@
 // Main entry point for the trading bot application
 
 import { App } from './app.js';
+import { UI } from './ui.js';
 
-// Initialize the application
+// Initialize the application, the UI renders its events
 const app = new App();
+new UI(app);
 
 // Make app available globally for debugging (optional)
 window.tradingBot = app;
@@ -15,5 +17,9 @@ console.log('- window.tradingBot.start() - Start the bot');
 console.log('- window.tradingBot.stop() - Stop the bot');
 console.log('- window.tradingBot.pause() - Pause the bot');
 console.log('- window.tradingBot.resume() - Resume the bot');
+console.log("- window.tradingBot.runBacktest({ symbols: ['BTC'], start: '2024-01-01', end: '2024-02-01', interval: '15' }) - Backtest the current config");
 
 
+console.log('- window.tradingBot.orderExecutor.dryRunOrders - Entries logged during a dry run');
+console.log("- window.tradingBot.events.on('position:closed', ({ trade }) => ...) - Subscribe to bot events (see eventBus.js)");
+console.log('- window.tradingBot.use({ id, setup(app) }) - Register a plugin with listeners and veto hooks');
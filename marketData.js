@@ -1,22 +1,40 @@
 // Market Data - Handles top gainers tracking and price monitoring
 
 import { CONFIG, getFullSymbol, getBaseToken } from './config.js';
+import { CandleBuilder } from './candles.js';
+import { IndicatorSet } from './indicators.js';
+import { EventBus } from './eventBus.js';
 
 export class MarketData {
-    constructor(bybitAPI) {
-        this.bybitAPI = bybitAPI;
+    // events: EventBus for gainers:refreshed
+    constructor(exchange, events = new EventBus()) {
+        this.exchange = exchange;
+        this.events = events;
         this.topGainers = [];
         this.staticTokens = CONFIG.STATIC_TOKENS;
+        this.extraTokens = []; // Tokens monitored for other reasons (e.g. restored positions)
         this.monitoredTokens = new Map(); // All tokens being monitored (top gainers + static)
         this.prices = new Map(); // Current prices for all monitored tokens
+        this.subscribedSymbols = new Set(); // Symbols with a live ticker subscription
+        this.streaming = false; // Price stream is up, subscriptions follow the monitored tokens
+        this.candles = new CandleBuilder(); // OHLCV candles per token and interval
+        this.volume24h = new Map(); // Last 24h volume per symbol, to derive per-tick volume
+        this.indicators = new Map(); // token -> IndicatorSet
         this.lastTopGainersUpdate = null;
+
+        // Indicators move on with every closed candle
+        this.candles.onCandleClose((token, interval, candle) => {
+            if (interval === CONFIG.INDICATORS.INTERVAL) {
+                this.updateIndicators(token, candle);
+            }
+        });
     }
 
-    // Get top gainers from Bybit (30min percentage change)
+    // Get top gainers from the exchange (30min percentage change)
     async fetchTopGainers() {
         try {
             console.log('Fetching top gainers...');
-            const tickers = await this.bybitAPI.getTickers();
+            const tickers = await this.exchange.getTickers();
             
             // Filter for USDT pairs only
             const usdtPairs = tickers.filter(ticker => 
@@ -24,20 +42,26 @@ export class MarketData {
                 !ticker.symbol.startsWith('USDT')
             );
 
-            // Calculate 30min change for each pair
-            const gainersWithChange = await Promise.all(
-                usdtPairs.map(async (ticker) => {
-                    const change = await this.bybitAPI.get30MinChange(ticker.symbol);
+            // Shortlist candidates from ticker fields, so klines are only fetched for a few pairs
+            const candidates = this.shortlistCandidates(usdtPairs);
+
+            // Calculate 30min change for each candidate (requests are rate limited by the adapter)
+            const results = await Promise.all(
+                candidates.map(async (ticker) => {
+                    const change = await this.exchange.get30MinChange(ticker.symbol);
                     return {
                         symbol: ticker.symbol,
                         baseToken: getBaseToken(ticker.symbol),
-                        currentPrice: parseFloat(ticker.lastPrice),
+                        currentPrice: ticker.lastPrice,
                         change30m: change,
-                        volume24h: parseFloat(ticker.volume24h),
+                        volume24h: ticker.volume24h,
                     };
                 })
             );
 
+            // Drop pairs whose klines could not be fetched instead of ranking them at 0%
+            const gainersWithChange = results.filter(gainer => gainer.change30m !== null);
+
             // Sort by 30min change and get top 10
             gainersWithChange.sort((a, b) => b.change30m - a.change30m);
             this.topGainers = gainersWithChange.slice(0, CONFIG.TOP_GAINERS.COUNT);
@@ -55,6 +79,27 @@ export class MarketData {
         }
     }
 
+    // Pre-filter tickers by 24h turnover and change, ranked by their 1h change
+    shortlistCandidates(tickers) {
+        const { MIN_TURNOVER_24H, MIN_CHANGE_24H, CANDIDATE_COUNT } = CONFIG.TOP_GAINERS;
+
+        // Change since prevPrice1h, falling back to the 24h change (where the exchange has no 1h price)
+        const recentChange = (ticker) => {
+            return ticker.prevPrice1h > 0
+                ? ((ticker.lastPrice - ticker.prevPrice1h) / ticker.prevPrice1h) * 100
+                : ticker.change24hPercent || 0;
+        };
+
+        return tickers
+            .filter(ticker =>
+                (ticker.turnover24h || 0) >= MIN_TURNOVER_24H &&
+                (ticker.change24hPercent || 0) >= MIN_CHANGE_24H &&
+                ticker.lastPrice > 0
+            )
+            .sort((a, b) => recentChange(b) - recentChange(a))
+            .slice(0, CANDIDATE_COUNT);
+    }
+
     // Get all tokens to monitor (top gainers + static tokens)
     getMonitoredTokens() {
         const tokens = new Set();
@@ -65,6 +110,9 @@ export class MarketData {
         // Add top gainers
         this.topGainers.forEach(gainer => tokens.add(gainer.baseToken));
 
+        // Add extra tokens
+        this.extraTokens.forEach(token => tokens.add(token));
+
         return Array.from(tokens);
     }
 
@@ -83,9 +131,19 @@ export class MarketData {
         const monitoredTokens = this.getMonitoredTokens();
         
         // Initialize monitored tokens map with current prices
-        const tickers = await this.bybitAPI.getTickers();
+        const tickers = await this.exchange.getTickers();
         
-        monitoredTokens.forEach(token => {
+        this.trackTokens(monitoredTokens, tickers);
+
+        // Fill candle buffers with recent history
+        await this.loadCandleHistory(Array.from(this.monitoredTokens.keys()));
+
+        console.log(`Initialized monitoring for ${monitoredTokens.length} tokens`);
+    }
+
+    // Start monitoring tokens at their current ticker prices
+    trackTokens(tokens, tickers) {
+        tokens.forEach(token => {
             const symbol = getFullSymbol(token);
             const ticker = tickers.find(t => t.symbol === symbol);
             
@@ -93,22 +151,93 @@ export class MarketData {
                 this.monitoredTokens.set(token, {
                     symbol: token,
                     fullSymbol: symbol,
-                    currentPrice: parseFloat(ticker.lastPrice),
-                    highestPrice: parseFloat(ticker.lastPrice),
-                    lowestPrice: parseFloat(ticker.lastPrice),
+                    currentPrice: ticker.lastPrice,
+                    highestPrice: ticker.lastPrice,
+                    lowestPrice: ticker.lastPrice,
                     change30m: 0,
+                    indicators: null,
+                    fundingRate: null,
+                    nextFundingTime: null,
                     lastUpdate: new Date(),
                 });
 
-                this.prices.set(symbol, parseFloat(ticker.lastPrice));
+                this.updateFunding(this.monitoredTokens.get(token), ticker);
+                this.prices.set(symbol, ticker.lastPrice);
             }
         });
+    }
 
-        console.log(`Initialized monitoring for ${monitoredTokens.length} tokens`);
+    // Monitor extra tokens (e.g. restored positions that are no longer top gainers)
+    async addTokens(tokens) {
+        const newTokens = tokens.filter(token => !this.monitoredTokens.has(token));
+        
+        if (newTokens.length === 0) return;
+
+        const tickers = await this.exchange.getTickers();
+        this.trackTokens(newTokens, tickers);
+        await this.loadCandleHistory(newTokens.filter(token => this.monitoredTokens.has(token)));
+
+        this.extraTokens = Array.from(new Set([...this.extraTokens, ...newTokens]));
+        this.syncSubscriptions();
+    }
+
+    // Load kline history into the candle buffers of tokens
+    async loadCandleHistory(tokens) {
+        const intervals = Object.entries(CONFIG.CANDLES.INTERVALS);
+
+        await Promise.all(tokens.flatMap(token => intervals.map(async ([interval, minutes]) => {
+            const candles = await this.exchange.getKlines(
+                getFullSymbol(token), String(minutes), CONFIG.CANDLES.HISTORY_LIMIT
+            );
+
+            this.candles.seed(token, interval, candles);
+
+            if (interval === CONFIG.INDICATORS.INTERVAL) {
+                this.rebuildIndicators(token);
+            }
+        })));
+    }
+
+    // Recompute a token's indicators from its closed candles (after loading history)
+    rebuildIndicators(token) {
+        const indicators = new IndicatorSet();
+        this.indicators.set(token, indicators);
+
+        this.candles.getCandles(token, CONFIG.INDICATORS.INTERVAL).forEach(candle => indicators.update(candle));
+        this.setIndicatorValues(token, indicators.getValues());
+    }
+
+    // Feed a closed candle to a token's indicators
+    updateIndicators(token, candle) {
+        if (!this.indicators.has(token)) {
+            this.indicators.set(token, new IndicatorSet());
+        }
+
+        this.setIndicatorValues(token, this.indicators.get(token).update(candle));
     }
 
-    // Update price from WebSocket
-    updatePrice(symbol, price) {
+    // Expose indicator values on the token data
+    setIndicatorValues(token, values) {
+        const tokenData = this.monitoredTokens.get(token);
+        if (tokenData) {
+            tokenData.indicators = values;
+        }
+    }
+
+    // Approximate volume traded since the last ticker from the rolling 24h volume
+    getVolumeDelta(symbol, ticker) {
+        const volume24h = ticker?.volume24h;
+        if (volume24h === undefined) return 0;
+
+        const previous = this.volume24h.get(symbol);
+        this.volume24h.set(symbol, volume24h);
+
+        // The rolling window also drops old trades, so negative deltas count as 0
+        return previous === undefined ? 0 : Math.max(volume24h - previous, 0);
+    }
+
+    // Update price from WebSocket (ticker carries volume24h for candle volume)
+    updatePrice(symbol, price, ticker = null) {
         const baseToken = getBaseToken(symbol);
         
         // Update price map
@@ -120,6 +249,11 @@ export class MarketData {
             
             tokenData.currentPrice = price;
             tokenData.lastUpdate = new Date();
+            this.updateFunding(tokenData, ticker);
+
+            // Update candles
+            const volume = this.getVolumeDelta(symbol, ticker);
+            this.candles.update(baseToken, price, tokenData.lastUpdate.getTime(), volume);
 
             // Update highest and lowest prices
             if (price > tokenData.highestPrice) {
@@ -131,6 +265,61 @@ export class MarketData {
         }
     }
 
+    // Record the funding rate and next funding time of a ticker (WebSocket deltas may omit them)
+    updateFunding(tokenData, ticker) {
+        if (!ticker) return;
+
+        if (ticker.fundingRate !== undefined) {
+            tokenData.fundingRate = ticker.fundingRate;
+        }
+        if (ticker.nextFundingTime) {
+            tokenData.nextFundingTime = ticker.nextFundingTime;
+        }
+    }
+
+    // Subscribe the monitored tokens once a new price stream is up (it starts without subscriptions),
+    // later changes follow with syncSubscriptions
+    startSubscriptions() {
+        this.streaming = true;
+        this.subscribedSymbols.clear();
+        this.syncSubscriptions();
+    }
+
+    // Forget the subscriptions when the price stream is closed
+    stopSubscriptions() {
+        this.streaming = false;
+        this.subscribedSymbols.clear();
+    }
+
+    // Subscribe to prices for newly monitored tokens and drop the ones no longer monitored
+    // Before the price stream is up there is nothing to subscribe to, startSubscriptions catches up
+    syncSubscriptions() {
+        if (!this.streaming) return;
+
+        const wanted = new Set(this.getAllTokensData().map(token => token.fullSymbol));
+        const added = Array.from(wanted).filter(symbol => !this.subscribedSymbols.has(symbol));
+        const removed = Array.from(this.subscribedSymbols).filter(symbol => !wanted.has(symbol));
+
+        if (added.length > 0) {
+            this.exchange.subscribeSymbols(added);
+        }
+        if (removed.length > 0) {
+            this.exchange.unsubscribeSymbols(removed);
+        }
+
+        this.subscribedSymbols = wanted;
+    }
+
+    // Get the last n closed candles of a token for an interval ('1m', '5m', '15m', '1h'), oldest first
+    getCandles(token, interval, n) {
+        return this.candles.getCandles(token, interval, n);
+    }
+
+    // Get the candle of a token that is still forming
+    getCurrentCandle(token, interval) {
+        return this.candles.getCurrentCandle(token, interval);
+    }
+
     // Get current price for a symbol
     getPrice(symbol) {
         return this.prices.get(symbol) || 0;
@@ -163,10 +352,13 @@ export class MarketData {
         const newGainers = new Set(this.topGainers.map(g => g.baseToken));
         
         // Add new gainers to monitoring
+        const addedTokens = [];
         newGainers.forEach(token => {
             if (!this.monitoredTokens.has(token)) {
+                addedTokens.push(token);
                 const symbol = getFullSymbol(token);
-                const price = this.prices.get(symbol) || 0;
+                const gainer = this.topGainers.find(g => g.baseToken === token);
+                const price = this.prices.get(symbol) || gainer.currentPrice;
                 
                 this.monitoredTokens.set(token, {
                     symbol: token,
@@ -175,15 +367,24 @@ export class MarketData {
                     highestPrice: price,
                     lowestPrice: price,
                     change30m: 0,
+                    indicators: null,
+                    fundingRate: null,
+                    nextFundingTime: null,
                     lastUpdate: new Date(),
                 });
             }
         });
 
+        // Fill candle buffers of the new gainers
+        await this.loadCandleHistory(addedTokens);
+
         // Note: We don't remove old gainers from monitoring
         // because we might have open positions on them
+
+        this.syncSubscriptions();
         
         console.log('Top gainers refreshed');
+        this.events.emit('gainers:refreshed', { gainers: this.topGainers, added: addedTokens });
     }
 
     // Reset monitoring data for a specific token (after trade)
@@ -205,6 +406,7 @@ export class MarketData {
             change: ((token.currentPrice - token.lowestPrice) / token.lowestPrice * 100).toFixed(2),
             isStatic: this.staticTokens.includes(token.symbol),
             isTopGainer: this.topGainers.some(g => g.baseToken === token.symbol),
+            indicators: token.indicators,
         }));
     }
 }
@@ -1,16 +1,640 @@
-// Order Executor - Handles order execution on Bybit
+// Order Executor - Handles order execution on the exchange
 
-import { getFullSymbol } from './config.js';
+import { CONFIG, getFullSymbol, getBaseToken } from './config.js';
+import { sideDirection } from './tradingBot.js';
+import { OrderTracker, ORDER_STATES } from './orderTracker.js';
+import { EventBus } from './eventBus.js';
+
+// Order statuses after which the fill will not change
+const FINAL_ORDER_STATUSES = [ORDER_STATES.FILLED, ORDER_STATES.CANCELLED, ORDER_STATES.REJECTED];
+
+// Pushed order updates kept while waiting to be matched with a placed order
+const MAX_PUSHED_ORDERS = 200;
+
+// Entries kept in the dry run log
+const MAX_DRY_RUN_ORDERS = 100;
+
+// A repeated dry run entry for the same symbol and side within this time (ms) is counted, not logged again
+const DRY_RUN_REPEAT_WINDOW = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 export class OrderExecutor {
-    constructor(bybitAPI, tradingBot) {
-        this.bybitAPI = bybitAPI;
+    // events: EventBus for order:submitted, order:filled and order:rejected
+    constructor(exchange, tradingBot, instruments, leverage, events = new EventBus()) {
+        this.exchange = exchange;
+        this.events = events;
         this.tradingBot = tradingBot;
+        this.instruments = instruments; // InstrumentRegistry for lot size and order limits
+        this.leverage = leverage; // LeverageManager, sets margin mode and leverage before entries
         this.executingOrders = new Set(); // Track orders being executed to prevent duplicates
+        this.pushedOrders = new Map(); // orderId -> latest order update from the private stream
+        this.pushedExecutions = new Map(); // orderId -> executions from the private stream
+        this.fillWaiters = new Map(); // orderId -> resolve of a getFill waiting for pushed data
+        this.protection = new Map(); // symbol -> { stopLoss, takeProfit } set on the exchange
+        this.externalFills = new Map(); // symbol -> latest filled order the bot did not place (e.g. a fired stop)
+        this.orderTracker = new OrderTracker(); // Lifecycle of the bot's own orders
+        this.maxOrderNotional = 0; // Largest entry notional in USDT (0 = no limit), set from the profile
+        this.dryRunUntil = 0; // Entries are only logged until this time (ms, 0 = no dry run)
+        this.dryRunOrders = []; // Entries logged instead of sent, oldest first
+    }
+
+    // Check whether entries are still only logged
+    isDryRun() {
+        return Date.now() < this.dryRunUntil;
+    }
+
+    // Log an entry that the dry run keeps from being sent
+    // Signals repeat while their condition holds, so repeats within DRY_RUN_REPEAT_WINDOW are only counted
+    recordDryRun(entry) {
+        const now = Date.now();
+        const last = this.dryRunOrders.findLast(order => order.symbol === entry.symbol);
+
+        if (last && last.side === entry.side && now - last.time < DRY_RUN_REPEAT_WINDOW) {
+            last.repeats++;
+        } else {
+            this.dryRunOrders.push({ ...entry, time: now, repeats: 0 });
+            this.dryRunOrders.splice(0, Math.max(this.dryRunOrders.length - MAX_DRY_RUN_ORDERS, 0));
+            console.log(`🧪 Dry run, not sent: ${entry.orderType} ${entry.side} ${entry.symbol} ${entry.qty} @ ~$${entry.price} ($${entry.notional.toFixed(2)} at ${entry.leverage}x) - ${entry.reason}`);
+        }
+
+        return {
+            success: false,
+            message: `Dry run until ${new Date(this.dryRunUntil).toLocaleTimeString()}, order not sent`,
+        };
+    }
+
+    // Handle order updates pushed by the private stream
+    handleOrderUpdates(orders) {
+        orders.forEach(order => {
+            this.pushedOrders.set(order.orderId, order);
+            this.checkPushedFill(order.orderId);
+
+            // Book partial fills of our own orders as soon as they are pushed
+            const tracked = this.orderTracker.get(order.orderLinkId);
+            if (tracked) {
+                this.trackFill(tracked, this.toReport(order));
+            } else if (FINAL_ORDER_STATUSES.includes(order.status) && order.filledQty > 0 &&
+                this.tradingBot.positions.has(getBaseToken(order.symbol))) {
+                // A protective stop or a manual order on a bot position, the reconciler books it
+                this.externalFills.set(order.symbol, order);
+            }
+        });
+
+        // Forget the oldest updates for orders nobody waits for (e.g. placed by hand)
+        while (this.pushedOrders.size > MAX_PUSHED_ORDERS) {
+            const oldest = this.pushedOrders.keys().next().value;
+            this.pushedOrders.delete(oldest);
+            this.pushedExecutions.delete(oldest);
+        }
+    }
+
+    // Handle executions pushed by the private stream
+    handleExecutions(executions) {
+        executions.forEach(execution => {
+            const list = this.pushedExecutions.get(execution.orderId) || [];
+            list.push(execution);
+            this.pushedExecutions.set(execution.orderId, list);
+            this.checkPushedFill(execution.orderId);
+        });
     }
 
-    // Execute a buy order on Bybit
-    async executeBuy(token, reason) {
+    // Resolve a waiting getFill once the pushed order is final and all its executions arrived
+    checkPushedFill(orderId) {
+        const resolve = this.fillWaiters.get(orderId);
+        if (!resolve) return; // Kept until getFill asks for it
+
+        const fill = this.getPushedFill(orderId);
+        if (fill) {
+            this.fillWaiters.delete(orderId);
+            resolve(fill);
+        }
+    }
+
+    // Get a fill from pushed data, null until the order is final and fully executed
+    getPushedFill(orderId) {
+        const order = this.pushedOrders.get(orderId);
+
+        if (!order || !FINAL_ORDER_STATUSES.includes(order.status)) {
+            return null;
+        }
+
+        const executions = this.pushedExecutions.get(orderId) || [];
+        const executedQty = executions.reduce((sum, execution) => sum + execution.qty, 0);
+
+        if (executedQty + 1e-12 < order.filledQty) {
+            return null;
+        }
+
+        this.pushedOrders.delete(orderId);
+        this.pushedExecutions.delete(orderId);
+        return this.summarizeFill(orderId, order, executions);
+    }
+
+    // Wait for the private stream to push the final order, null on timeout
+    waitForPushedFill(orderId, timeout) {
+        const fill = this.getPushedFill(orderId);
+        if (fill) {
+            return Promise.resolve(fill);
+        }
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.fillWaiters.delete(orderId);
+                resolve(null);
+            }, timeout);
+
+            this.fillWaiters.set(orderId, (pushedFill) => {
+                clearTimeout(timer);
+                resolve(pushedFill);
+            });
+        });
+    }
+
+    // Combine an order and its executions into { orderId, amount, price, fee, status, estimated }
+    summarizeFill(orderId, order, executions) {
+        let amount = 0;
+        let value = 0;
+        let fee = 0;
+        executions.forEach(execution => {
+            amount += execution.qty;
+            value += execution.value;
+            fee += execution.fee;
+        });
+
+        // Executions can lag behind the order, fall back to its cumulative fill
+        if (amount === 0) {
+            amount = order.filledQty;
+            value = amount * order.avgPrice;
+            fee = order.fee;
+        }
+
+        return {
+            orderId,
+            amount,
+            price: amount > 0 ? value / amount : 0,
+            fee,
+            status: order.status,
+            estimated: false,
+        };
+    }
+
+    // Wait for an order to finish and get its actual fill from the order and its executions
+    // Uses the private stream when connected, REST polling otherwise
+    // Returns { orderId, amount, price, fee, status, estimated }, estimated when the exchange could not be queried
+    async getFill(symbol, orderId, quantity, signalPrice) {
+        if (this.exchange.privateConnected) {
+            const pushed = await this.waitForPushedFill(orderId, CONFIG.FILLS.PUSH_TIMEOUT);
+            if (pushed) {
+                return pushed;
+            }
+        }
+
+        for (let attempt = 0; attempt < CONFIG.FILLS.POLL_ATTEMPTS; attempt++) {
+            const order = await this.exchange.getOrder(symbol, orderId);
+
+            if (order && FINAL_ORDER_STATUSES.includes(order.status)) {
+                const executions = await this.exchange.getExecutions(symbol, orderId) || [];
+                return this.summarizeFill(orderId, order, executions);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, CONFIG.FILLS.POLL_DELAY));
+        }
+
+        console.warn(`Could not confirm fill for ${symbol} order ${orderId}, estimating it at the signal price and tier fee`);
+        return {
+            orderId,
+            amount: parseFloat(quantity),
+            price: signalPrice,
+            fee: parseFloat(quantity) * signalPrice * this.tradingBot.getFeeRate(),
+            status: null,
+            estimated: true,
+        };
+    }
+
+    // Wait up to timeout for an order to become final, null if it is still open
+    async waitForOrder(symbol, orderId, timeout) {
+        if (this.exchange.privateConnected) {
+            return this.waitForPushedFill(orderId, timeout);
+        }
+
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, CONFIG.FILLS.POLL_DELAY));
+            const order = await this.exchange.getOrder(symbol, orderId);
+
+            if (order && FINAL_ORDER_STATUSES.includes(order.status)) {
+                const executions = await this.exchange.getExecutions(symbol, orderId) || [];
+                return this.summarizeFill(orderId, order, executions);
+            }
+        }
+
+        return null;
+    }
+
+    // Cumulative fill report of an exchange order for the OrderTracker
+    toReport(order) {
+        return {
+            orderId: order.orderId,
+            status: order.status,
+            amount: order.filledQty,
+            price: order.avgPrice,
+            fee: order.fee,
+        };
+    }
+
+    // Move a tracked order to submitted and report it, once, whether the REST reply or a pushed update came first
+    acceptOrder(order) {
+        if (this.orderTracker.transition(order, ORDER_STATES.SUBMITTED)) {
+            this.events.emit('order:submitted', { order });
+        }
+    }
+
+    // Record the exchange's view of a tracked order and book its new fills
+    trackFill(order, report) {
+        if (order.state === ORDER_STATES.PENDING && report.status !== ORDER_STATES.REJECTED) {
+            order.orderId = report.orderId || order.orderId; // Pushed before the REST reply
+            this.acceptOrder(order);
+        }
+
+        const delta = this.orderTracker.update(order, report);
+
+        if (delta.amount > 0) {
+            this.applyFill(order, { ...delta, orderId: order.orderId });
+            this.events.emit('order:filled', { order, fill: delta });
+        }
+    }
+
+    // Book a (partial) fill of a tracked order in the TradingBot
+    // The first entry fill opens the position, later ones add to it; close fills reduce it
+    applyFill(order, fill) {
+        const context = order.context;
+        const { token } = context;
+        let result;
+
+        if (order.purpose === 'close') {
+            result = this.tradingBot.close(token, context.reason, fill, context.exitRule);
+        } else if (this.tradingBot.positions.has(token.symbol)) {
+            result = this.tradingBot.increasePosition(token.symbol, fill);
+        } else {
+            result = this.tradingBot.open(token, context.positionSide, context.reason, { ...fill, leverage: context.leverage });
+        }
+
+        if (!result.success) {
+            console.error(`Could not book fill of order ${order.orderLinkId}:`, result.message);
+            context.error = result.message;
+            return;
+        }
+
+        if (!context.trades.includes(result.trade)) {
+            context.trades.push(result.trade);
+        }
+    }
+
+    // Send a tracked order, retrying transient failures with the same orderLinkId
+    // Before a retry the exchange is asked for the orderLinkId, so an order that did arrive is never sent twice
+    // Returns { success: true } or { success: false, message } (the order is then rejected)
+    async submitOrder(order, options = {}) {
+        const { SUBMIT_RETRIES, SUBMIT_RETRY_DELAY } = CONFIG.ORDER;
+
+        for (let attempt = 0; ; attempt++) {
+            const result = await this.exchange.placeOrder(order.symbol, order.side, order.qty, {
+                ...options,
+                orderLinkId: order.orderLinkId,
+            });
+
+            if (result.success) {
+                order.orderId = result.orderId;
+                this.acceptOrder(order);
+                return { success: true };
+            }
+
+            if (!result.duplicate && !result.transient) {
+                this.orderTracker.transition(order, ORDER_STATES.REJECTED, { error: result.error });
+                this.events.emit('order:rejected', { order, error: result.error });
+                return { success: false, message: `Order failed: ${result.error}` };
+            }
+
+            // Outcome unknown: look for the order before sending it again
+            await sleep(SUBMIT_RETRY_DELAY * 2 ** attempt);
+            const existing = await this.exchange.getOrderByLinkId(order.symbol, order.orderLinkId);
+
+            if (existing) {
+                console.log(`Order ${order.orderLinkId} reached the exchange despite: ${result.error}`);
+                order.orderId = existing.orderId;
+                this.acceptOrder(order);
+                this.trackFill(order, this.toReport(existing));
+                return { success: true };
+            }
+
+            if (result.duplicate || attempt >= SUBMIT_RETRIES) {
+                this.orderTracker.transition(order, ORDER_STATES.REJECTED, { error: result.error });
+                this.events.emit('order:rejected', { order, error: result.error });
+                return { success: false, message: `Order failed after ${attempt + 1} attempts: ${result.error}` };
+            }
+
+            console.warn(`Order ${order.orderLinkId} failed (${result.error}), retry ${attempt + 1}/${SUBMIT_RETRIES}`);
+        }
+    }
+
+    // Submit a tracked order and wait until it is final, booking its fills on the way
+    // timeout: ms a resting order may work before it is cancelled (null = wait for the fill)
+    // referencePrice: booked when the fill cannot be confirmed
+    // Returns { success: true } or { success: false, message }
+    async executeTrackedOrder(order, options, referencePrice, timeout = null) {
+        const submitted = await this.submitOrder(order, options);
+        if (!submitted.success) {
+            return submitted;
+        }
+
+        if (this.orderTracker.isFinal(order)) {
+            return { success: true };
+        }
+
+        let fill = timeout === null ? null : await this.waitForOrder(order.symbol, order.orderId, timeout);
+        if (!fill) {
+            if (timeout !== null) {
+                await this.exchange.cancelOrder(order.symbol, order.orderId); // Fails if it filled meanwhile
+            }
+            fill = await this.getFill(order.symbol, order.orderId, order.qty, referencePrice);
+        }
+
+        // Ask once more by orderLinkId before booking an estimate
+        if (fill.estimated) {
+            const existing = await this.exchange.getOrderByLinkId(order.symbol, order.orderLinkId);
+            if (existing) {
+                fill = { ...this.toReport(existing), estimated: false };
+            }
+        }
+
+        // A cancelled resting order may have filled fully, partly or not at all: nothing is booked and the
+        // order stays open, a pushed update books its fill or the reconciler adopts the position
+        if (fill.estimated && timeout !== null) {
+            console.warn(`Could not confirm fill of cancelled order ${order.orderLinkId}, nothing booked`);
+            return { success: false, message: `Fill of order ${order.orderLinkId} could not be confirmed` };
+        }
+
+        // An unconfirmed market fill is booked as filled, the reconciler corrects it later
+        this.trackFill(order, { ...fill, status: fill.estimated ? ORDER_STATES.FILLED : fill.status });
+        return { success: true };
+    }
+
+    // Limit price for an entry, offset from the best bid/ask and rounded to the tick size
+    // Limit/PostOnly orders wait behind the touch, IOC orders reach through it
+    getLimitPrice(symbol, orderSide, ticker) {
+        const offset = CONFIG.ORDER.LIMIT_OFFSET_PERCENT / 100;
+        const bid = ticker.bidPrice || ticker.lastPrice;
+        const ask = ticker.askPrice || ticker.lastPrice;
+        const aggressive = CONFIG.ORDER.TYPE === 'IOC';
+
+        const price = orderSide === 'Buy'
+            ? (aggressive ? ask * (1 + offset) : bid * (1 - offset))
+            : (aggressive ? bid * (1 - offset) : ask * (1 + offset));
+
+        return this.instruments.roundPrice(symbol, price);
+    }
+
+    // Check that the last price has not moved more than MAX_SLIPPAGE_PERCENT against the signal price
+    // Returns { success: true } or { success: false, message }
+    async checkSlippage(symbol, orderSide, signalPrice) {
+        const maxSlippage = CONFIG.ORDER.MAX_SLIPPAGE_PERCENT;
+        if (!(maxSlippage > 0)) {
+            return { success: true };
+        }
+
+        const ticker = await this.exchange.getTicker(symbol);
+        const lastPrice = ticker?.lastPrice;
+
+        if (!(lastPrice > 0)) {
+            console.warn(`No last price for ${symbol}, skipping slippage check`);
+            return { success: true };
+        }
+
+        const slippage = ((lastPrice - signalPrice) / signalPrice) * 100 * (orderSide === 'Buy' ? 1 : -1);
+
+        if (slippage > maxSlippage) {
+            return {
+                success: false,
+                message: `Price moved ${slippage.toFixed(2)}% from signal price $${signalPrice} to $${lastPrice} (max ${maxSlippage}%), market order aborted`,
+            };
+        }
+
+        return { success: true };
+    }
+
+    // Place a market entry after the slippage check and wait for its fill
+    // Returns { success: true, filled, status, orderId } or { success: false, message }
+    async placeMarketEntry(context, symbol, orderSide, quantity, signalPrice) {
+        const guard = await this.checkSlippage(symbol, orderSide, signalPrice);
+        if (!guard.success) {
+            return guard;
+        }
+
+        const order = this.orderTracker.create({
+            symbol,
+            side: orderSide,
+            qty: quantity,
+            orderType: 'Market',
+            price: 0,
+            purpose: 'open',
+            context,
+        });
+
+        const result = await this.executeTrackedOrder(order, {}, signalPrice);
+        if (!result.success) {
+            return result;
+        }
+
+        return { success: true, filled: order.filledQty, status: order.state, orderId: order.orderId };
+    }
+
+    // Place an entry with the configured order type (CONFIG.ORDER.TYPE)
+    // Limit and PostOnly orders that do not fill within LIMIT_TIMEOUT are cancelled and re-placed at a
+    // fresh price up to MAX_REPLACES times, then the rest goes out as a market order if MARKET_FALLBACK is set
+    // Fills are booked as they arrive (see applyFill)
+    // Returns { success: true, filled, status, orderId } or { success: false, message }
+    async placeEntryOrder(context, symbol, orderSide, quantity, signalPrice) {
+        const { TYPE, LIMIT_TIMEOUT, MAX_REPLACES, MARKET_FALLBACK } = CONFIG.ORDER;
+
+        if (TYPE === 'Market') {
+            return this.placeMarketEntry(context, symbol, orderSide, quantity, signalPrice);
+        }
+
+        const timeInForce = TYPE === 'Limit' ? 'GTC' : TYPE;
+        const attempts = TYPE === 'IOC' ? 1 : MAX_REPLACES + 1;
+        let remaining = parseFloat(quantity);
+        let filled = 0;
+        let lastStatus = ORDER_STATES.CANCELLED;
+        let lastOrderId = null;
+        let unconfirmed = false; // An order with an unknown fill, nothing more is sent
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const check = this.instruments.prepareQuantity(symbol, remaining, signalPrice, { orderType: 'Limit' });
+            if (!check.valid) break; // Rest too small to order
+
+            const ticker = await this.exchange.getTicker(symbol);
+            if (!ticker) {
+                console.error(`No best bid/ask for ${symbol}, cannot price the limit order`);
+                break;
+            }
+
+            const price = this.getLimitPrice(symbol, orderSide, ticker);
+            const order = this.orderTracker.create({
+                symbol,
+                side: orderSide,
+                qty: check.quantity,
+                orderType: TYPE,
+                price: parseFloat(price),
+                purpose: 'open',
+                context,
+            });
+
+            console.log(`${TYPE} ${orderSide} ${symbol} ${check.quantity} @ $${price} (attempt ${attempt + 1}/${attempts})`);
+
+            // IOC orders are final at once, resting orders get LIMIT_TIMEOUT before they are cancelled
+            const result = await this.executeTrackedOrder(
+                order,
+                { orderType: 'Limit', price, timeInForce },
+                parseFloat(price),
+                TYPE === 'IOC' ? null : LIMIT_TIMEOUT
+            );
+
+            if (!result.success) {
+                if (filled === 0) {
+                    return result;
+                }
+                unconfirmed = !this.orderTracker.isFinal(order);
+                break;
+            }
+
+            lastStatus = order.state;
+            lastOrderId = order.orderId;
+            filled += order.filledQty;
+            remaining -= order.filledQty;
+
+            if (remaining <= parseFloat(quantity) * 1e-9) break;
+        }
+
+        // Fill the rest at market
+        if (TYPE !== 'IOC' && MARKET_FALLBACK && !unconfirmed && remaining > parseFloat(quantity) * 1e-9) {
+            const check = this.instruments.prepareQuantity(symbol, remaining, signalPrice);
+
+            if (check.valid) {
+                console.log(`Limit entry for ${symbol} not fully filled, sending ${check.quantity} at market`);
+                const market = await this.placeMarketEntry(context, symbol, orderSide, check.quantity, signalPrice);
+
+                if (market.success) {
+                    filled += market.filled;
+                    lastStatus = market.status;
+                    lastOrderId = market.orderId;
+                } else if (filled === 0) {
+                    return market;
+                } else {
+                    console.warn(`Market fallback for ${symbol} failed: ${market.message}`);
+                }
+            }
+        }
+
+        return { success: true, filled, status: lastStatus, orderId: lastOrderId };
+    }
+
+    // Exchange-side stop-loss / take-profit prices for a position (0 = none)
+    // The stop-loss is the tighter of the fixed stop and the trailing stop behind peakPrice
+    getProtectionPrices(position) {
+        const { stopLossPercent, takeProfitPercent } = this.tradingBot.config;
+        const trailingPercent = CONFIG.PROTECTION.TRAILING_PERCENT;
+        const direction = sideDirection(position.side);
+
+        const stops = [];
+        if (stopLossPercent > 0) stops.push(position.buyPrice * (1 - direction * stopLossPercent / 100));
+        if (trailingPercent > 0) stops.push(position.peakPrice * (1 - direction * trailingPercent / 100));
+
+        return {
+            stopLoss: stops.length === 0 ? 0 : (direction > 0 ? Math.max(...stops) : Math.min(...stops)),
+            takeProfit: takeProfitPercent > 0 ? position.buyPrice * (1 + direction * takeProfitPercent / 100) : 0,
+        };
+    }
+
+    // Set or amend the protective orders of a position through the exchange's trading stop
+    // The stop-loss only moves in the position's favour (up for longs, down for shorts),
+    // and only by at least AMEND_MIN_CHANGE_PERCENT
+    async protectPosition(token) {
+        if (!CONFIG.PROTECTION.ENABLED) return { success: true };
+
+        const symbol = getFullSymbol(token);
+        const position = this.tradingBot.positions.get(token);
+        if (!position) return { success: false, message: 'No position found' };
+
+        const wanted = this.getProtectionPrices(position);
+        const current = this.protection.get(symbol);
+
+        if (current) {
+            const direction = sideDirection(position.side);
+            const minStep = current.stopLoss * (CONFIG.PROTECTION.AMEND_MIN_CHANGE_PERCENT / 100);
+            const stopTightened = current.stopLoss === 0
+                ? wanted.stopLoss > 0
+                : (wanted.stopLoss - current.stopLoss) * direction > minStep;
+            const takeProfitChanged = wanted.takeProfit !== current.takeProfit;
+
+            if (!stopTightened && !takeProfitChanged) return { success: true };
+
+            if (!stopTightened) {
+                wanted.stopLoss = current.stopLoss;
+            }
+        } else if (wanted.stopLoss === 0 && wanted.takeProfit === 0) {
+            return { success: true };
+        }
+
+        const result = await this.exchange.setTradingStop(symbol, {
+            stopLoss: wanted.stopLoss > 0 ? this.instruments.roundPrice(symbol, wanted.stopLoss) : '0',
+            takeProfit: wanted.takeProfit > 0 ? this.instruments.roundPrice(symbol, wanted.takeProfit) : '0',
+        });
+
+        if (result.success) {
+            this.protection.set(symbol, wanted);
+            console.log(`🛡️ Protection for ${symbol}: SL $${wanted.stopLoss.toFixed(4)}, TP ${wanted.takeProfit > 0 ? `$${wanted.takeProfit.toFixed(4)}` : 'none'}`);
+        } else {
+            console.error(`Could not set protection for ${symbol}:`, result.error);
+        }
+
+        return result;
+    }
+
+    // Set or amend protective orders of all positions as their peaks move
+    // Also re-protects positions left open by a failed or partial sell
+    async updateProtection() {
+        for (const token of Array.from(this.tradingBot.positions.keys())) {
+            if (this.executingOrders.has(getFullSymbol(token))) continue;
+            await this.protectPosition(token);
+        }
+    }
+
+    // Take the pushed fill of an order the bot did not place that closed a position on symbol
+    // orderSide: side that closes the position ('Sell' for longs). Returns { orderId, price, fee } or null
+    takeExternalFill(symbol, orderSide) {
+        const order = this.externalFills.get(symbol);
+        this.externalFills.delete(symbol);
+
+        if (!order || order.side !== orderSide) return null;
+
+        return { orderId: order.orderId, price: order.avgPrice, fee: order.fee };
+    }
+
+    // Cancel the protective orders of a position, so they don't fire after the bot sold
+    async cancelProtection(symbol) {
+        if (!this.protection.has(symbol)) return { success: true };
+
+        const result = await this.exchange.setTradingStop(symbol, { stopLoss: '0', takeProfit: '0' });
+
+        if (result.success) {
+            this.protection.delete(symbol);
+        }
+
+        return result;
+    }
+
+    // Open a long (Buy order) or short (Sell order) position on the exchange
+    async executeOpen(token, side, reason) {
         const symbol = getFullSymbol(token.symbol);
         
         // Check if already executing order for this symbol
@@ -22,50 +646,101 @@ export class OrderExecutor {
         this.executingOrders.add(symbol);
 
         try {
-            // Calculate trade amount
-            const tradeAmount = this.tradingBot.balance * 
-                (this.tradingBot.config.tradeAmountPercent / 100);
+            // Margin mode and leverage must be in place before the first order on a symbol,
+            // a dry run sizes the entry with the leverage it would set and sends nothing
+            const prepared = this.isDryRun()
+                ? { success: true, leverage: this.leverage.getLeverage(symbol) }
+                : await this.leverage.prepare(symbol);
+
+            if (!prepared.success) {
+                console.error(prepared.message);
+                this.executingOrders.delete(symbol);
+                return { success: false, message: prepared.message };
+            }
+
+            // Calculate trade amount (margin) with the configured sizing model
+            const tradeAmount = this.tradingBot.getTradeAmount(token, prepared.leverage);
             
             if (tradeAmount < this.tradingBot.config.minTradeAmount) {
                 this.executingOrders.delete(symbol);
                 return { success: false, message: 'Trade amount below minimum' };
             }
 
-            // Calculate quantity (amount of token to buy)
-            const quantity = (tradeAmount / token.currentPrice).toFixed(4);
+            // Calculate quantity (margin x leverage in tokens), rounded to the exchange lot size
+            let notional = tradeAmount * prepared.leverage;
+
+            if (this.maxOrderNotional > 0 && notional > this.maxOrderNotional) {
+                console.warn(`Entry for ${symbol} scaled down from $${notional.toFixed(2)} to the profile's max order notional $${this.maxOrderNotional}`);
+                notional = this.maxOrderNotional;
+            }
+
+            const check = this.instruments.prepareQuantity(symbol, notional / token.currentPrice, token.currentPrice, {
+                orderType: CONFIG.ORDER.TYPE === 'Market' ? 'Market' : 'Limit',
+            });
+            
+            if (!check.valid) {
+                console.error(`Order rejected by ${check.rule}: ${check.message}`);
+                this.executingOrders.delete(symbol);
+                return { success: false, message: `Order rejected by ${check.rule}: ${check.message}` };
+            }
 
-            console.log(`Executing BUY order: ${symbol}, Qty: ${quantity}, Price: ~${token.currentPrice}`);
+            const quantity = check.quantity;
 
-            // Place market buy order on Bybit
-            const orderResult = await this.bybitAPI.placeOrder(symbol, 'Buy', quantity);
+            const orderSide = side === 'short' ? 'Sell' : 'Buy';
 
-            if (orderResult.success) {
-                // Execute buy in trading bot
-                const botResult = this.tradingBot.buy(token, reason);
-                
-                if (botResult.success) {
-                    console.log(`✅ BUY executed: ${symbol} at $${token.currentPrice}`);
-                    this.executingOrders.delete(symbol);
-                    return {
-                        success: true,
-                        trade: botResult.trade,
-                        orderId: orderResult.orderId,
-                    };
-                } else {
-                    console.error('Bot buy failed:', botResult.message);
+            // Only entries are held back, closes always reduce real exposure
+            if (this.isDryRun()) {
+                this.executingOrders.delete(symbol);
+                return this.recordDryRun({
+                    symbol,
+                    side: orderSide,
+                    qty: quantity,
+                    price: token.currentPrice,
+                    notional: parseFloat(quantity) * token.currentPrice,
+                    leverage: prepared.leverage,
+                    orderType: CONFIG.ORDER.TYPE,
+                    reason,
+                });
+            }
+
+            console.log(`Executing ${orderSide.toUpperCase()} order (open ${side} ${prepared.leverage}x): ${symbol}, Qty: ${quantity}, Price: ~${token.currentPrice}`);
+
+            // Place the entry order(s) on the exchange, fills open the position in the trading bot as they arrive
+            const context = { token, positionSide: side, reason, leverage: prepared.leverage, trades: [], error: null };
+            const entry = await this.placeEntryOrder(context, symbol, orderSide, quantity, token.currentPrice);
+
+            if (entry.success) {
+                const position = this.tradingBot.positions.get(token.symbol);
+
+                if (context.trades.length === 0 || !position) {
+                    const message = context.error ? `Bot open failed: ${context.error}` : `Order not filled: ${entry.status}`;
+                    console.error(`Entry for ${symbol}: ${message}`);
                     this.executingOrders.delete(symbol);
-                    return botResult;
+                    return { success: false, message };
                 }
+
+                console.log(`✅ ${side.toUpperCase()} opened: ${symbol} ${position.amount} at $${position.buyPrice} (fee $${position.entryFee.toFixed(4)})`);
+
+                // Protect the new position on the exchange
+                this.protection.delete(symbol);
+                await this.protectPosition(token.symbol);
+
+                this.executingOrders.delete(symbol);
+                return {
+                    success: true,
+                    trade: context.trades[0],
+                    orderId: entry.orderId,
+                };
             } else {
-                console.error('Bybit order failed:', orderResult.error);
+                console.error('Entry order failed:', entry.message);
                 this.executingOrders.delete(symbol);
                 return {
                     success: false,
-                    message: `Bybit order failed: ${orderResult.error}`,
+                    message: entry.message,
                 };
             }
         } catch (error) {
-            console.error('Error executing buy order:', error);
+            console.error('Error executing open order:', error);
             this.executingOrders.delete(symbol);
             return {
                 success: false,
@@ -74,8 +749,8 @@ export class OrderExecutor {
         }
     }
 
-    // Execute a sell order on Bybit
-    async executeSell(token, reason) {
+    // Close a position on the exchange with a reduce-only order on the opposite side
+    async executeClose(token, reason, exitRule = 'strategy') {
         const symbol = getFullSymbol(token.symbol);
         
         // Check if already executing order for this symbol
@@ -95,42 +770,70 @@ export class OrderExecutor {
                 return { success: false, message: 'No position found' };
             }
 
-            const quantity = position.amount.toFixed(4);
+            const check = this.instruments.prepareQuantity(symbol, position.amount, token.currentPrice, { reduceOnly: true });
+            
+            if (!check.valid) {
+                console.error(`Order rejected by ${check.rule}: ${check.message}`);
+                this.executingOrders.delete(symbol);
+                return { success: false, message: `Order rejected by ${check.rule}: ${check.message}` };
+            }
+
+            const quantity = check.quantity;
+
+            // Exchange-side stops must not fire after the bot has sold
+            const cancelResult = await this.cancelProtection(symbol);
+
+            if (!cancelResult.success) {
+                console.error(`Could not cancel protection for ${symbol}:`, cancelResult.error);
+                this.executingOrders.delete(symbol);
+                return { success: false, message: `Could not cancel protective orders: ${cancelResult.error}` };
+            }
+
+            const orderSide = position.side === 'short' ? 'Buy' : 'Sell';
+            console.log(`Executing ${orderSide.toUpperCase()} order (close ${position.side}): ${symbol}, Qty: ${quantity}, Price: ~${token.currentPrice}`);
 
-            console.log(`Executing SELL order: ${symbol}, Qty: ${quantity}, Price: ~${token.currentPrice}`);
+            // Place reduce-only market order on the exchange, so it can never open the opposite side
+            // Fills close the position in the trading bot as they arrive, a partial fill keeps the rest open
+            const context = { token, reason, exitRule, trades: [], error: null };
+            const order = this.orderTracker.create({
+                symbol,
+                side: orderSide,
+                qty: quantity,
+                orderType: 'Market',
+                price: 0,
+                purpose: 'close',
+                context,
+            });
 
-            // Place market sell order on Bybit
-            const orderResult = await this.bybitAPI.placeOrder(symbol, 'Sell', quantity);
+            const orderResult = await this.executeTrackedOrder(order, { reduceOnly: true }, token.currentPrice);
 
             if (orderResult.success) {
-                // Execute sell in trading bot
-                const botResult = this.tradingBot.sell(token, reason);
-                
-                if (botResult.success) {
-                    const profit = botResult.trade.profit;
-                    const profitSymbol = profit >= 0 ? '📈' : '📉';
-                    console.log(`✅ SELL executed: ${symbol} at $${token.currentPrice} ${profitSymbol} P/L: $${profit.toFixed(2)}`);
-                    this.executingOrders.delete(symbol);
-                    return {
-                        success: true,
-                        trade: botResult.trade,
-                        orderId: orderResult.orderId,
-                    };
-                } else {
-                    console.error('Bot sell failed:', botResult.message);
+                if (context.trades.length === 0) {
+                    const message = context.error ? `Bot close failed: ${context.error}` : `Order not filled: ${order.state}`;
+                    console.error(`Close of ${symbol}: ${message}`);
                     this.executingOrders.delete(symbol);
-                    return botResult;
+                    return { success: false, message };
                 }
+
+                const profit = context.trades.reduce((sum, trade) => sum + trade.profit, 0);
+                const profitSymbol = profit >= 0 ? '📈' : '📉';
+                console.log(`✅ ${position.side.toUpperCase()} closed: ${symbol} ${order.filledQty} at $${order.avgPrice} ${profitSymbol} P/L: $${profit.toFixed(2)}`);
+                this.executingOrders.delete(symbol);
+                return {
+                    success: true,
+                    trade: context.trades[context.trades.length - 1],
+                    orderId: order.orderId,
+                };
             } else {
-                console.error('Bybit order failed:', orderResult.error);
+                console.error('Close order failed:', orderResult.message);
                 this.executingOrders.delete(symbol);
                 return {
                     success: false,
-                    message: `Bybit order failed: ${orderResult.error}`,
+                    message: orderResult.message,
                 };
             }
         } catch (error) {
-            console.error('Error executing sell order:', error);
+            console.error('Error executing close order:', error);
             this.executingOrders.delete(symbol);
             return {
                 success: false,
@@ -141,10 +844,10 @@ export class OrderExecutor {
 
     // Execute a trade signal
     async executeSignal(signal) {
-        if (signal.type === 'buy') {
-            return await this.executeBuy(signal.token, signal.reason);
-        } else if (signal.type === 'sell') {
-            return await this.executeSell(signal.token, signal.reason);
+        if (signal.type === 'buy' || signal.type === 'short') {
+            return await this.executeOpen(signal.token, signal.type === 'short' ? 'short' : 'long', signal.reason);
+        } else if (signal.type === 'sell' || signal.type === 'cover') {
+            return await this.executeClose(signal.token, signal.reason, signal.exitRule);
         }
         
         return { success: false, message: 'Invalid signal type' };
@@ -174,7 +877,7 @@ export class OrderExecutor {
             const token = tokens.find(t => t.symbol === symbol);
             
             if (token) {
-                const result = await this.executeSell(token, 'Emergency close');
+                const result = await this.executeClose(token, 'Emergency close', 'manual');
                 results.push({
                     symbol,
                     result,
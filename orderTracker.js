@@ -0,0 +1,129 @@
+// Order Tracker - Lifecycle of the bot's own orders, keyed by the client orderLinkId
+//
+// pending -> submitted -> partiallyFilled -> filled
+//    |           |               |
+//    +-----------+---------------+--> cancelled (filled part stays booked)
+//    +-----------+------------------> rejected
+// Updates arrive from REST and the private stream in any order, so moves backwards are ignored.
+
+import { CONFIG } from './config.js';
+
+export const ORDER_STATES = {
+    PENDING: 'pending', // Created, not yet acknowledged by the exchange
+    SUBMITTED: 'submitted', // Accepted, nothing filled yet
+    PARTIALLY_FILLED: 'partiallyFilled',
+    FILLED: 'filled',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+};
+
+// Allowed moves from each state
+const TRANSITIONS = {
+    pending: ['submitted', 'partiallyFilled', 'filled', 'rejected', 'cancelled'],
+    submitted: ['partiallyFilled', 'filled', 'rejected', 'cancelled'],
+    partiallyFilled: ['partiallyFilled', 'filled', 'cancelled'],
+    filled: [],
+    rejected: [],
+    cancelled: [],
+};
+
+// Finished orders kept for display
+const MAX_FINISHED_ORDERS = 50;
+
+export class OrderTracker {
+    constructor() {
+        this.orders = new Map(); // orderLinkId -> order record
+        this.counter = 0;
+    }
+
+    // New client order ID, unique per bot session (exchanges allow up to 36 characters)
+    createLinkId() {
+        return `${CONFIG.ORDER.LINK_ID_PREFIX}-${Date.now().toString(36)}-${(++this.counter).toString(36)}`;
+    }
+
+    // Start tracking an order before it is sent
+    // details: { symbol, side, qty, orderType, price, purpose ('open' | 'close'), context }
+    create(details) {
+        const now = Date.now();
+        const order = {
+            ...details,
+            orderLinkId: this.createLinkId(),
+            orderId: null,
+            state: ORDER_STATES.PENDING,
+            filledQty: 0,
+            avgPrice: 0,
+            fee: 0,
+            error: null,
+            createdTime: now,
+            updatedTime: now,
+        };
+
+        this.orders.set(order.orderLinkId, order);
+        this.prune();
+        return order;
+    }
+
+    // Get a tracked order by orderLinkId
+    get(orderLinkId) {
+        return this.orders.get(orderLinkId);
+    }
+
+    // Check whether an order will not change any more
+    isFinal(order) {
+        return TRANSITIONS[order.state].length === 0;
+    }
+
+    // Move an order to a new state, returns false when the move is not allowed
+    transition(order, state, details = {}) {
+        if (!TRANSITIONS[order.state].includes(state)) {
+            return false;
+        }
+
+        Object.assign(order, details, { state, updatedTime: Date.now() });
+        return true;
+    }
+
+    // Apply the exchange's view of an order: { orderId, status, amount, price, fee } with cumulative fill,
+    // status is a normalized order status (see exchange.js)
+    // Returns the newly filled part { amount, price, fee } (amount 0 when nothing new)
+    update(order, report) {
+        const delta = { amount: 0, price: 0, fee: 0 };
+
+        if (report.orderId) {
+            order.orderId = report.orderId;
+        }
+
+        // Cumulative fills only grow, older reports are ignored
+        if (report.amount > order.filledQty + 1e-12) {
+            const value = report.amount * report.price - order.filledQty * order.avgPrice;
+            delta.amount = report.amount - order.filledQty;
+            delta.price = value / delta.amount;
+            delta.fee = Math.max(report.fee - order.fee, 0);
+
+            order.filledQty = report.amount;
+            order.avgPrice = report.price;
+            order.fee = Math.max(report.fee, order.fee);
+        }
+
+        if (report.status) {
+            this.transition(order, report.status);
+        }
+
+        order.updatedTime = Date.now();
+        return delta;
+    }
+
+    // Orders that are still working on the exchange, oldest first
+    getOpenOrders() {
+        return Array.from(this.orders.values()).filter(order => !this.isFinal(order));
+    }
+
+    // Forget the oldest finished orders
+    prune() {
+        const finished = Array.from(this.orders.values()).filter(order => this.isFinal(order));
+
+        finished.slice(0, Math.max(finished.length - MAX_FINISHED_ORDERS, 0)).forEach(order => {
+            this.orders.delete(order.orderLinkId);
+        });
+    }
+}
@@ -0,0 +1,481 @@
+// Paper Exchange - Simulated exchange implementing the Exchange interface (see exchange.js)
+// Market data comes from the public endpoints of a real adapter, orders are filled locally
+
+import { CONFIG } from './config.js';
+import { ORDER_STATES } from './orderTracker.js';
+import { failure } from './exchange.js';
+
+export class PaperExchange {
+    constructor(marketAPI, options = {}) {
+        this.marketAPI = marketAPI; // Exchange adapter, used for public market data only (no keys needed)
+        this.initialBalance = options.initialBalance ?? CONFIG.PAPER.INITIAL_BALANCE;
+        this.slippagePercent = options.slippagePercent ?? CONFIG.PAPER.SLIPPAGE_PERCENT;
+        this.feePercent = options.feePercent ?? CONFIG.PAPER.FEE_PERCENT;
+        this.makerFeePercent = options.makerFeePercent ?? CONFIG.PAPER.MAKER_FEE_PERCENT;
+
+        this.cash = this.initialBalance;
+        this.positions = new Map(); // symbol -> { size, avgPrice, leverage }, size is negative for shorts
+        this.leverage = new Map(); // symbol -> leverage for new positions
+        this.marginMode = 'cross';
+        this.marginModeScope = 'account';
+        this.tradingStops = new Map(); // symbol -> { stopLoss, takeProfit } (0 = not set)
+        this.funding = new Map(); // symbol -> { rate, nextTime } from the live ticker
+        this.prices = new Map(); // Last known price per symbol (live or recorded)
+        this.orders = [];
+        this.orderCounter = 0;
+        this.handlers = {}; // Private stream handlers (order, execution, position, wallet)
+        this.privateConnected = false;
+        this.onPrivateStateChange = null;
+    }
+
+    // Credentials are not needed for paper trading
+    setCredentials() {}
+
+    // Record a price (used by live feeds and recorded/replayed data)
+    setPrice(symbol, price) {
+        this.prices.set(symbol, price);
+        this.checkRestingOrders(symbol, price);
+        this.checkTradingStop(symbol, price);
+    }
+
+    // Margin held by a simulated position
+    getMargin(position) {
+        return Math.abs(position.size) * position.avgPrice / (position.leverage || 1);
+    }
+
+    // Set simulated leverage of a symbol (applies to its next position)
+    async setLeverage(symbol, leverage) {
+        if (this.positions.has(symbol)) {
+            return { success: false, error: 'Cannot change leverage of an open paper position' };
+        }
+
+        this.leverage.set(symbol, leverage);
+        return { success: true };
+    }
+
+    // Set simulated margin mode (liquidation is not simulated, so it is only recorded)
+    async setMarginMode(marginMode) {
+        this.marginMode = marginMode;
+        return { success: true };
+    }
+
+    // Set simulated stop-loss / take-profit of a position, '0' cancels a price
+    async setTradingStop(symbol, stops) {
+        if (!this.positions.has(symbol)) {
+            return { success: false, error: 'Cannot set trading stop for zero position' };
+        }
+
+        const current = this.tradingStops.get(symbol) || { stopLoss: 0, takeProfit: 0 };
+        const stopLoss = stops.stopLoss !== undefined ? parseFloat(stops.stopLoss) : current.stopLoss;
+        const takeProfit = stops.takeProfit !== undefined ? parseFloat(stops.takeProfit) : current.takeProfit;
+
+        if (stopLoss > 0 || takeProfit > 0) {
+            this.tradingStops.set(symbol, { stopLoss, takeProfit });
+        } else {
+            this.tradingStops.delete(symbol);
+        }
+
+        return { success: true };
+    }
+
+    // Close a position when its stop-loss or take-profit is hit, like the exchange would
+    checkTradingStop(symbol, price) {
+        const stops = this.tradingStops.get(symbol);
+        const position = this.positions.get(symbol);
+
+        if (!stops || !position) return;
+
+        const direction = Math.sign(position.size);
+        const hitStopLoss = stops.stopLoss > 0 && (price - stops.stopLoss) * direction <= 0;
+        const hitTakeProfit = stops.takeProfit > 0 && (price - stops.takeProfit) * direction >= 0;
+
+        if (hitStopLoss || hitTakeProfit) {
+            console.log(`📝 Paper ${hitStopLoss ? 'stop-loss' : 'take-profit'} triggered: ${symbol} @ $${price}`);
+            this.tradingStops.delete(symbol);
+            this.placeOrder(symbol, direction > 0 ? 'Sell' : 'Buy', Math.abs(position.size), { reduceOnly: true });
+        }
+    }
+
+    // Settle funding on a simulated position when a funding time passes, like the exchange would
+    // Positive rates are paid by longs to shorts
+    checkFunding(symbol, ticker) {
+        const funding = this.funding.get(symbol) || { rate: null, nextTime: null };
+        const position = this.positions.get(symbol);
+
+        if (position && funding.nextTime && Date.now() >= funding.nextTime && funding.rate !== null) {
+            const price = this.prices.get(symbol) || position.avgPrice;
+            const payment = -position.size * price * funding.rate;
+
+            this.cash += payment;
+            funding.nextTime = null;
+            console.log(`📝 Paper funding ${symbol}: ${payment >= 0 ? 'received' : 'paid'} $${Math.abs(payment).toFixed(4)}`);
+        }
+
+        if (ticker?.fundingRate !== undefined) {
+            funding.rate = ticker.fundingRate;
+        }
+        if (ticker?.nextFundingTime > Date.now()) {
+            funding.nextTime = ticker.nextFundingTime;
+        }
+
+        this.funding.set(symbol, funding);
+    }
+
+    // Get last known price for a symbol, fetching tickers if unknown
+    async getPrice(symbol) {
+        if (!this.prices.has(symbol)) {
+            await this.getTickers();
+        }
+        return this.prices.get(symbol) || 0;
+    }
+
+    // Get simulated account balance
+    async getBalance() {
+        let positionsValue = 0;
+
+        // Margin plus unrealized profit, for both sides
+        this.positions.forEach((position, symbol) => {
+            const price = this.prices.get(symbol) || position.avgPrice;
+            positionsValue += this.getMargin(position) + (price - position.avgPrice) * position.size;
+        });
+
+        return {
+            total: this.cash + positionsValue,
+            available: this.cash,
+        };
+    }
+
+    // Get ticker data for all symbols (live) and remember last prices
+    async getTickers() {
+        const tickers = await this.marketAPI.getTickers();
+
+        tickers.forEach(ticker => {
+            if (ticker.lastPrice > 0) {
+                this.prices.set(ticker.symbol, ticker.lastPrice);
+            }
+        });
+
+        return tickers;
+    }
+
+    // Get instrument specs (live)
+    async getInstruments() {
+        return this.marketAPI.getInstruments();
+    }
+
+    // Get kline data (live)
+    async getKlines(symbol, interval = '30', limit = 2, start = null, end = null) {
+        return this.marketAPI.getKlines(symbol, interval, limit, start, end);
+    }
+
+    // Calculate 30min percentage change for a symbol (live)
+    async get30MinChange(symbol) {
+        return this.marketAPI.get30MinChange(symbol);
+    }
+
+    // Place a simulated order
+    // Market orders fill at the last price plus slippage. Limit orders fill at once when marketable
+    // (never worse than their price), otherwise they rest until the price reaches them (see setPrice).
+    // PostOnly orders that would fill at once and IOC orders that cannot are cancelled.
+    async placeOrder(symbol, side, quantity, options = {}) {
+        try {
+            const qty = parseFloat(quantity);
+            const lastPrice = await this.getPrice(symbol);
+            const orderType = options.orderType || 'Market';
+            const limitPrice = orderType === 'Limit' ? parseFloat(options.price) : 0;
+
+            if (!(qty > 0)) {
+                throw new Error(`Invalid quantity: ${quantity}`);
+            }
+            if (!(lastPrice > 0)) {
+                throw new Error(`No price available for ${symbol}`);
+            }
+            if (side !== 'Buy' && side !== 'Sell') {
+                throw new Error(`Invalid side: ${side}`);
+            }
+            if (orderType === 'Limit' && !(limitPrice > 0)) {
+                throw new Error(`Invalid limit price: ${options.price}`);
+            }
+            if (options.orderLinkId && this.orders.some(order => order.orderLinkId === options.orderLinkId)) {
+                const error = new Error('OrderLinkedID is duplicate');
+                error.duplicate = true;
+                throw error;
+            }
+
+            const slippage = this.slippagePercent / 100;
+            const marketPrice = side === 'Buy'
+                ? lastPrice * (1 + slippage)
+                : lastPrice * (1 - slippage);
+
+            const order = {
+                orderId: `paper-${Date.now()}-${++this.orderCounter}`,
+                symbol,
+                side,
+                orderLinkId: options.orderLinkId || '',
+                orderType,
+                price: limitPrice,
+                qty,
+                status: ORDER_STATES.SUBMITTED,
+                filledQty: 0,
+                avgPrice: 0,
+                fee: 0,
+                timeInForce: orderType === 'Limit' ? options.timeInForce || 'GTC' : 'IOC',
+                reduceOnly: !!options.reduceOnly,
+                createdTime: Date.now(),
+            };
+
+            const marketable = orderType === 'Market' ||
+                (side === 'Buy' ? limitPrice >= lastPrice : limitPrice <= lastPrice);
+
+            if (marketable && order.timeInForce === 'PostOnly') {
+                order.status = ORDER_STATES.CANCELLED;
+                console.log(`📝 Paper post-only ${side} cancelled: ${symbol} @ $${limitPrice} would take liquidity`);
+            } else if (marketable) {
+                // Limit orders never fill worse than their price
+                const fillPrice = orderType === 'Market'
+                    ? marketPrice
+                    : side === 'Buy' ? Math.min(limitPrice, marketPrice) : Math.max(limitPrice, marketPrice);
+                this.fillOrder(order, fillPrice);
+            } else if (order.timeInForce === 'IOC') {
+                order.status = ORDER_STATES.CANCELLED;
+                console.log(`📝 Paper IOC ${side} cancelled: ${symbol} @ $${limitPrice} not marketable`);
+            } else {
+                console.log(`📝 Paper limit ${side} resting: ${symbol} ${qty} @ $${limitPrice}`);
+            }
+
+            this.orders.push(order);
+            await this.pushFill(order);
+
+            return {
+                success: true,
+                orderId: order.orderId,
+            };
+        } catch (error) {
+            console.error('Error placing paper order:', error);
+            return failure(error); // Paper orders never fail transiently
+        }
+    }
+
+    // Fill a whole simulated order at a price, updating position and cash (throws if it cannot fill)
+    // Orders against the position reduce it, reduceOnly orders may not open or increase one
+    fillOrder(order, fillPrice, feePercent = this.feePercent) {
+        const { symbol, side, qty } = order;
+        const notional = qty * fillPrice;
+        const fee = notional * (feePercent / 100);
+
+        const position = this.positions.get(symbol) ||
+            { size: 0, avgPrice: 0, leverage: this.leverage.get(symbol) || 1 };
+        const direction = side === 'Buy' ? 1 : -1;
+        const size = Math.abs(position.size);
+        const leverage = position.leverage || 1;
+
+        if (position.size === 0 || Math.sign(position.size) === direction) {
+            // Open or increase a position, reserving its margin from cash
+            if (order.reduceOnly) {
+                throw new Error('Reduce-only order would open or increase a position');
+            }
+            if (notional / leverage + fee > this.cash) {
+                throw new Error('Insufficient paper balance');
+            }
+
+            position.avgPrice = (size * position.avgPrice + notional) / (size + qty);
+            position.size += direction * qty;
+            this.cash -= notional / leverage + fee;
+        } else {
+            // Reduce a position, returning its margin plus profit
+            if (qty > size + 1e-9) {
+                throw new Error(`${side} quantity ${qty} exceeds paper position ${size}`);
+            }
+
+            const profit = (fillPrice - position.avgPrice) * qty * Math.sign(position.size);
+            position.size += direction * qty;
+            this.cash += qty * position.avgPrice / leverage + profit - fee;
+        }
+
+        if (Math.abs(position.size) > 1e-9) {
+            this.positions.set(symbol, position);
+        } else {
+            this.positions.delete(symbol);
+            this.tradingStops.delete(symbol);
+        }
+
+        order.avgPrice = fillPrice;
+        order.fee = fee;
+        order.filledQty = qty;
+        order.status = ORDER_STATES.FILLED;
+
+        console.log(`📝 Paper ${side}: ${symbol} ${qty} @ $${fillPrice.toFixed(4)} (fee $${fee.toFixed(4)})`);
+    }
+
+    // Fill resting limit orders the price has reached, at their limit price
+    checkRestingOrders(symbol, price) {
+        this.orders.forEach(order => {
+            if (order.symbol !== symbol || order.status !== ORDER_STATES.SUBMITTED) return;
+
+            const reached = order.side === 'Buy' ? price <= order.price : price >= order.price;
+            if (!reached) return;
+
+            try {
+                this.fillOrder(order, order.price, this.makerFeePercent);
+            } catch (error) {
+                console.error(`Paper limit order ${order.orderId} cancelled:`, error.message);
+                order.status = ORDER_STATES.CANCELLED;
+            }
+
+            this.pushFill(order);
+        });
+    }
+
+    // Cancel a resting simulated order
+    async cancelOrder(symbol, orderId) {
+        const order = this.orders.find(o => o.orderId === orderId);
+
+        if (!order || order.status !== ORDER_STATES.SUBMITTED) {
+            return { success: false, error: 'Order does not exist or is already final' };
+        }
+
+        order.status = ORDER_STATES.CANCELLED;
+        await this.pushFill(order);
+        return { success: true };
+    }
+
+    // Get a simulated order
+    async getOrder(symbol, orderId) {
+        return this.orders.find(order => order.orderId === orderId) || null;
+    }
+
+    // Get a simulated order by its client orderLinkId
+    async getOrderByLinkId(symbol, orderLinkId) {
+        return this.orders.find(order => order.orderLinkId === orderLinkId) || null;
+    }
+
+    // Get the single simulated execution of an order (none until it fills)
+    async getExecutions(symbol, orderId) {
+        const order = this.orders.find(o => o.orderId === orderId);
+        return order && order.status === ORDER_STATES.FILLED ? [this.toExecution(order)] : [];
+    }
+
+    // Get the simulated ticker of a symbol, bid and ask are the last price
+    async getTicker(symbol) {
+        const price = await this.getPrice(symbol);
+        if (!(price > 0)) return null;
+
+        return {
+            symbol,
+            lastPrice: price,
+            bidPrice: price,
+            askPrice: price,
+        };
+    }
+
+    // Build the execution record of a filled simulated order
+    toExecution(order) {
+        return {
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side,
+            price: order.avgPrice,
+            qty: order.filledQty,
+            value: order.avgPrice * order.filledQty,
+            fee: order.fee,
+        };
+    }
+
+    // Push an order update to the private stream handlers, with execution, position and wallet when it filled
+    async pushFill(order) {
+        if (!this.privateConnected) return;
+
+        if (order.status !== ORDER_STATES.FILLED) {
+            this.handlers.order?.([{ ...order }]);
+            return;
+        }
+
+        const balance = await this.getBalance();
+        const positions = await this.getPositions();
+        const position = positions.find(p => p.symbol === order.symbol) ||
+            { symbol: order.symbol, side: null, size: 0 };
+
+        this.handlers.order?.([{ ...order }]);
+        this.handlers.execution?.([this.toExecution(order)]);
+        this.handlers.position?.([position]);
+        this.handlers.wallet?.(balance);
+    }
+
+    // Receive simulated order, execution, position and wallet updates
+    initPrivateWebSocket(handlers, onStateChange = () => {}) {
+        this.handlers = handlers;
+        this.privateConnected = true;
+        this.onPrivateStateChange = onStateChange;
+        onStateChange('connected');
+    }
+
+    // Stop simulated private updates
+    closePrivateWebSocket() {
+        this.handlers = {};
+        this.privateConnected = false;
+        this.onPrivateStateChange?.('disconnected');
+    }
+
+    // Subscribe to the live price feed, recording every price for fills
+    initWebSocket(symbols, onPriceUpdate, onStateChange = () => {}) {
+        this.marketAPI.initWebSocket(symbols, (symbol, price, ticker) => {
+            this.setPrice(symbol, price);
+            this.checkFunding(symbol, ticker);
+            onPriceUpdate(symbol, price, ticker);
+        }, onStateChange);
+    }
+
+    // Subscribe to ticker streams for more symbols (live)
+    subscribeSymbols(symbols) {
+        this.marketAPI.subscribeSymbols(symbols);
+    }
+
+    // Unsubscribe from ticker streams (live)
+    unsubscribeSymbols(symbols) {
+        this.marketAPI.unsubscribeSymbols(symbols);
+    }
+
+    // Close WebSocket connection
+    closeWebSocket() {
+        this.marketAPI.closeWebSocket();
+    }
+
+    // Get simulated account state as plain data (for persistence)
+    serialize() {
+        return {
+            cash: this.cash,
+            positions: Array.from(this.positions.entries()),
+            tradingStops: Array.from(this.tradingStops.entries()),
+            leverage: Array.from(this.leverage.entries()),
+        };
+    }
+
+    // Restore simulated account state saved by serialize()
+    restore(state) {
+        this.cash = state.cash;
+        this.positions = new Map(state.positions.map(([symbol, position]) => [symbol, { ...position }]));
+        this.tradingStops = new Map(state.tradingStops || []);
+        this.leverage = new Map(state.leverage || []);
+    }
+
+    // Get simulated positions
+    async getPositions() {
+        return Array.from(this.positions.entries()).map(([symbol, position]) => {
+            const markPrice = this.prices.get(symbol) || position.avgPrice;
+            const stops = this.tradingStops.get(symbol) || { stopLoss: 0, takeProfit: 0 };
+            return {
+                symbol,
+                side: position.size > 0 ? 'long' : 'short',
+                size: Math.abs(position.size),
+                avgPrice: position.avgPrice,
+                markPrice,
+                unrealisedPnl: (markPrice - position.avgPrice) * position.size,
+                leverage: position.leverage || 1,
+                margin: this.getMargin(position),
+                liqPrice: null, // Liquidation is not simulated
+                stopLoss: stops.stopLoss,
+                takeProfit: stops.takeProfit,
+            };
+        });
+    }
+}
@@ -0,0 +1,146 @@
+// Position Reconciler - Keeps TradingBot positions in line with the exchange
+
+import { CONFIG, getBaseToken, getFullSymbol } from './config.js';
+import { sideDirection } from './tradingBot.js';
+
+export class PositionReconciler {
+    constructor(exchange, tradingBot, marketData, orderExecutor) {
+        this.exchange = exchange;
+        this.tradingBot = tradingBot;
+        this.marketData = marketData;
+        this.orderExecutor = orderExecutor;
+        this.history = []; // Differences found, most recent first
+        this.lastRun = null;
+    }
+
+    // Record and log a difference
+    report(type, symbol, message) {
+        const difference = { type, symbol, message, time: new Date() };
+
+        console.warn(`Reconciliation [${type}] ${symbol}: ${message}`);
+        this.history.unshift(difference);
+        this.history = this.history.slice(0, CONFIG.RECONCILE.HISTORY_LIMIT);
+
+        return difference;
+    }
+
+    // Check if two sizes differ by more than the rounding tolerance
+    sizesDiffer(localSize, exchangeSize) {
+        const tolerance = Math.max(localSize, exchangeSize) * (CONFIG.RECONCILE.SIZE_TOLERANCE_PERCENT / 100);
+        return Math.abs(localSize - exchangeSize) > tolerance;
+    }
+
+    // How a local position that is gone from the exchange was closed: the pushed fill of the closing order,
+    // else the protective stop the last price crossed, else the last price
+    // Returns { fill: { price, fee, orderId }, exitRule, reason } for TradingBot.dropPosition
+    getExit(symbol, position) {
+        const fullSymbol = getFullSymbol(symbol);
+        const stops = this.orderExecutor.protection.get(fullSymbol);
+        const fill = this.orderExecutor.takeExternalFill(fullSymbol, position.side === 'short' ? 'Buy' : 'Sell');
+
+        if (fill) {
+            return stops
+                ? { fill, exitRule: 'exchangeStop', reason: 'Exchange stop filled' }
+                : { fill, exitRule: 'external', reason: 'Closed outside the bot' };
+        }
+
+        const price = this.marketData.getPrice(fullSymbol);
+        const direction = sideDirection(position.side);
+
+        if (price > 0 && stops?.stopLoss > 0 && (price - stops.stopLoss) * direction <= 0) {
+            return { fill: { price: stops.stopLoss }, exitRule: 'exchangeStop', reason: 'Exchange stop-loss passed' };
+        }
+        if (price > 0 && stops?.takeProfit > 0 && (price - stops.takeProfit) * direction >= 0) {
+            return { fill: { price: stops.takeProfit }, exitRule: 'exchangeStop', reason: 'Exchange take-profit passed' };
+        }
+
+        return { fill: { price }, exitRule: 'external', reason: 'Closed outside the bot' };
+    }
+
+    // Compare local positions with the exchange's, adopt, drop or resize as needed
+    // Returns the differences found in this pass
+    async reconcile() {
+        // Orders in flight and local positions before the fetch, positions can open or close while it runs
+        const busyBefore = new Set(this.orderExecutor.executingOrders);
+        const localBefore = new Map(Array.from(this.tradingBot.positions, ([symbol, position]) =>
+            [symbol, { position, amount: position.amount }]
+        ));
+
+        const exchangePositions = await this.exchange.getPositions();
+
+        if (exchangePositions === null) {
+            console.error('Reconciliation skipped: could not fetch exchange positions');
+            return [];
+        }
+
+        const differences = [];
+        const exchangeBySymbol = new Map();
+
+        exchangePositions
+            .filter(position => position.size > 0)
+            .forEach(position => exchangeBySymbol.set(getBaseToken(position.symbol), position));
+
+        // Symbols with an order in flight, or whose local position changed during the fetch (the exchange
+        // snapshot may predate the change), are reconciled on the next pass
+        const isBusy = symbol => {
+            const fullSymbol = getFullSymbol(symbol);
+            if (busyBefore.has(fullSymbol) || this.orderExecutor.executingOrders.has(fullSymbol)) return true;
+
+            const before = localBefore.get(symbol);
+            const current = this.tradingBot.positions.get(symbol);
+            return before?.position !== current || (current !== undefined && before.amount !== current.amount);
+        };
+
+        // Local positions missing or different on the exchange
+        for (const [symbol, local] of Array.from(this.tradingBot.positions)) {
+            if (isBusy(symbol)) continue;
+
+            const remote = exchangeBySymbol.get(symbol);
+
+            // Closed outside the bot (fired stop, liquidation, by hand): settled so its profit or loss is booked
+            if (!remote || remote.side !== local.side) {
+                const amount = local.amount;
+                const { fill, exitRule, reason } = this.getExit(symbol, local);
+                const { trade } = this.tradingBot.dropPosition(symbol, reason, fill, exitRule);
+                this.orderExecutor.protection.delete(getFullSymbol(symbol));
+                differences.push(this.report('dropped', symbol,
+                    `Local ${local.side} position of ${amount.toFixed(4)} not found on exchange, settled at $${trade.price} (P/L $${trade.profit.toFixed(2)})`));
+                continue;
+            }
+
+            this.tradingBot.setLiquidationPrice(symbol, remote.liqPrice);
+
+            const size = remote.size;
+            if (this.sizesDiffer(local.amount, size)) {
+                const localSize = local.amount;
+                this.tradingBot.resizePosition(symbol, size);
+                differences.push(this.report('resized', symbol,
+                    `Size ${localSize.toFixed(4)} corrected to exchange size ${size}`));
+            }
+        }
+
+        // Exchange positions the bot does not know about
+        const adopted = [];
+        for (const [symbol, remote] of exchangeBySymbol) {
+            if (this.tradingBot.positions.has(symbol) || isBusy(symbol)) continue;
+
+            const { side, size, avgPrice } = remote;
+            const markPrice = remote.markPrice || avgPrice;
+            const leverage = remote.leverage || 1;
+
+            this.tradingBot.adoptPosition(symbol, size, avgPrice, markPrice, side, leverage);
+            this.tradingBot.setLiquidationPrice(symbol, remote.liqPrice);
+            adopted.push(symbol);
+            differences.push(this.report('adopted', symbol,
+                `Exchange ${side} position of ${size} @ $${avgPrice} adopted`));
+        }
+
+        // Make sure adopted positions receive prices
+        if (adopted.length > 0) {
+            await this.marketData.addTokens(adopted);
+        }
+
+        this.lastRun = new Date();
+        return differences;
+    }
+}
@@ -0,0 +1,127 @@
+// Request Scheduler - Concurrency limit, token bucket and retries for exchange REST calls
+
+import { CONFIG } from './config.js';
+
+// Bybit retCode for "too many visits"
+const RATE_LIMIT_RET_CODE = 10006;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class RequestScheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency ?? CONFIG.RATE_LIMIT.CONCURRENCY;
+        this.ratePerSecond = options.ratePerSecond ?? CONFIG.RATE_LIMIT.REQUESTS_PER_SECOND;
+        this.burst = options.burst ?? CONFIG.RATE_LIMIT.BURST;
+        this.maxRetries = options.maxRetries ?? CONFIG.RATE_LIMIT.MAX_RETRIES;
+        this.timeout = options.timeout ?? CONFIG.RATE_LIMIT.REQUEST_TIMEOUT;
+
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.queue = []; // Resolvers waiting for a free slot
+        this.endpointLimits = new Map(); // path -> { remaining, resetAt } from Bybit's headers
+    }
+
+    // Refill the token bucket for the time passed
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    // Wait for a concurrency slot
+    async acquireSlot() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return;
+        }
+
+        // The releasing request hands its slot over directly
+        await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    // Free a concurrency slot, or hand it to the next queued request
+    releaseSlot() {
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    // Wait for a token and for the endpoint's own limit window
+    async acquireToken(path) {
+        const limit = this.endpointLimits.get(path);
+        if (limit && limit.remaining <= 0 && limit.resetAt > Date.now()) {
+            await sleep(limit.resetAt - Date.now());
+        }
+
+        this.refill();
+        while (this.tokens < 1) {
+            await sleep(((1 - this.tokens) / this.ratePerSecond) * 1000);
+            this.refill();
+        }
+        this.tokens--;
+    }
+
+    // Remember the endpoint's remaining quota from X-Bapi-Limit-* headers
+    updateLimits(path, response) {
+        const remaining = response.headers?.get('X-Bapi-Limit-Status');
+        const resetAt = response.headers?.get('X-Bapi-Limit-Reset-Timestamp');
+
+        if (remaining === null || remaining === undefined) return;
+
+        this.endpointLimits.set(path, {
+            remaining: parseInt(remaining, 10),
+            resetAt: resetAt ? parseInt(resetAt, 10) : Date.now() + 1000,
+        });
+    }
+
+    // Delay before retrying a rate limited request
+    getRetryDelay(path, attempt) {
+        const limit = this.endpointLimits.get(path);
+        if (limit && limit.resetAt > Date.now()) {
+            return limit.resetAt - Date.now();
+        }
+
+        const delay = CONFIG.RATE_LIMIT.RETRY_BASE_DELAY * 2 ** attempt;
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    // Fetch and parse JSON through the scheduler, retrying on HTTP 429 and retCode 10006
+    // options can be an async function, so signed requests get a fresh timestamp per attempt;
+    // it may return a url too, for exchanges that sign the query string
+    async fetchJSON(url, options = {}) {
+        const path = new URL(url).pathname;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquireSlot();
+
+            let response;
+            let data;
+            try {
+                await this.acquireToken(path);
+                const { url: requestUrl = url, ...requestOptions } = typeof options === 'function' ? await options() : options;
+                response = await fetch(requestUrl, { ...requestOptions, signal: AbortSignal.timeout(this.timeout) });
+                this.updateLimits(path, response);
+                data = response.status === 429 ? null : await response.json();
+            } finally {
+                this.releaseSlot();
+            }
+
+            const rateLimited = response.status === 429 || data?.retCode === RATE_LIMIT_RET_CODE;
+            if (!rateLimited) {
+                return data;
+            }
+
+            if (attempt >= this.maxRetries) {
+                throw new Error(`Rate limited on ${path} after ${attempt + 1} attempts`);
+            }
+
+            const delay = this.getRetryDelay(path, attempt);
+            console.warn(`Rate limited on ${path}, retrying in ${(delay / 1000).toFixed(1)}s`);
+            await sleep(delay);
+        }
+    }
+}
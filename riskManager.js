@@ -0,0 +1,192 @@
+// Risk Manager - Portfolio limits checked before every signal, with circuit breakers that pause the bot
+
+import { CONFIG } from './config.js';
+
+// Start of the UTC day containing a timestamp
+function utcDayStart(time) {
+    const day = 24 * 60 * 60 * 1000;
+    return Math.floor(time / day) * day;
+}
+
+export class RiskManager {
+    constructor(tradingBot, limits = CONFIG.RISK) {
+        this.tradingBot = tradingBot;
+        this.limits = limits;
+        this.highWaterMark = null; // Highest equity seen (rebased when a drawdown breaker is acknowledged)
+        this.tripped = null; // { breaker, reason } of the circuit breaker that paused the bot
+        this.acknowledged = new Set(); // Breakers the user resumed from, they only block entries now
+    }
+
+    // Closing trades, most recent first
+    getClosedTrades() {
+        return this.tradingBot.tradeHistory.filter(trade => trade.profit !== undefined);
+    }
+
+    // Realized profit/loss since the start of the UTC day
+    getDailyPnl() {
+        const dayStart = utcDayStart(this.tradingBot.clock());
+
+        return this.getClosedTrades()
+            .filter(trade => new Date(trade.time).getTime() >= dayStart)
+            .reduce((sum, trade) => sum + trade.profit, 0);
+    }
+
+    // Losing closing trades in a row, and the time of the last one
+    getLossStreak() {
+        let count = 0;
+        let lastLoss = null;
+
+        for (const trade of this.getClosedTrades()) {
+            if (trade.profit > 0) break;
+            count++;
+            lastLoss = lastLoss ?? new Date(trade.time).getTime();
+        }
+
+        return { count, lastLoss };
+    }
+
+    // Current drawdown from the high-water mark in %
+    getDrawdown(equity) {
+        if (!this.highWaterMark) return 0;
+        return ((this.highWaterMark - equity) / this.highWaterMark) * 100;
+    }
+
+    // Track equity and check the circuit breakers (daily loss limit, max drawdown)
+    // Returns { breaker, reason } the first time a breaker trips, null otherwise
+    checkBreakers(tokens) {
+        const equity = this.tradingBot.getTotalValue(tokens);
+        this.highWaterMark = Math.max(this.highWaterMark ?? equity, equity);
+
+        const breach = this.findBreach(equity);
+
+        // Breakers reset once their condition is gone (e.g. a new UTC day)
+        if (!breach) {
+            this.tripped = null;
+            this.acknowledged.clear();
+            return null;
+        }
+
+        if (this.acknowledged.has(breach.breaker) || this.tripped?.breaker === breach.breaker) {
+            return null;
+        }
+
+        this.tripped = breach;
+        console.warn(`Risk limit hit: ${breach.reason}`);
+        return breach;
+    }
+
+    // Find a breached circuit breaker, or null
+    findBreach(equity) {
+        const { DAILY_LOSS_LIMIT_PERCENT, MAX_DRAWDOWN_PERCENT } = this.limits;
+
+        const dailyPnl = this.getDailyPnl();
+        const dailyLimit = this.tradingBot.initialBalance * (DAILY_LOSS_LIMIT_PERCENT / 100);
+        if (DAILY_LOSS_LIMIT_PERCENT > 0 && -dailyPnl >= dailyLimit) {
+            return {
+                breaker: 'dailyLoss',
+                reason: `Daily loss $${(-dailyPnl).toFixed(2)} reached the limit of $${dailyLimit.toFixed(2)} (${DAILY_LOSS_LIMIT_PERCENT}%)`,
+            };
+        }
+
+        const drawdown = this.getDrawdown(equity);
+        if (MAX_DRAWDOWN_PERCENT > 0 && drawdown >= MAX_DRAWDOWN_PERCENT) {
+            return {
+                breaker: 'drawdown',
+                reason: `Drawdown ${drawdown.toFixed(2)}% from high-water mark $${this.highWaterMark.toFixed(2)} reached the limit of ${MAX_DRAWDOWN_PERCENT}%`,
+            };
+        }
+
+        return null;
+    }
+
+    // Accept the tripped breaker when the user resumes the bot
+    // A drawdown restarts from the current equity, a daily loss keeps blocking entries until the next day
+    acknowledge(tokens) {
+        if (!this.tripped) return;
+
+        if (this.tripped.breaker === 'drawdown') {
+            this.highWaterMark = this.tradingBot.getTotalValue(tokens);
+        } else {
+            this.acknowledged.add(this.tripped.breaker);
+        }
+
+        this.tripped = null;
+    }
+
+    // Check a signal before it is executed
+    // Closing signals always pass, entries must respect every limit
+    // Returns { allowed: true } or { allowed: false, reason }
+    checkSignal(signal, tokens) {
+        if (signal.type === 'sell' || signal.type === 'cover') {
+            return { allowed: true };
+        }
+
+        const { MAX_EXPOSURE_PERCENT, MAX_SYMBOL_PERCENT, MAX_CONSECUTIVE_LOSSES, COOLDOWN_MINUTES } = this.limits;
+        const bot = this.tradingBot;
+        const equity = bot.getTotalValue(tokens);
+
+        const breach = this.findBreach(equity);
+        if (breach) {
+            return { allowed: false, reason: breach.reason };
+        }
+
+        const streak = this.getLossStreak();
+        if (MAX_CONSECUTIVE_LOSSES > 0 && streak.count >= MAX_CONSECUTIVE_LOSSES) {
+            const cooldownEnd = streak.lastLoss + COOLDOWN_MINUTES * 60 * 1000;
+
+            if (bot.clock() < cooldownEnd) {
+                return {
+                    allowed: false,
+                    reason: `Cooldown after ${streak.count} consecutive losses until ${new Date(cooldownEnd).toLocaleTimeString()}`,
+                };
+            }
+        }
+
+        // Notional of the new entry and of the open positions
+        const leverage = bot.getLeverage(signal.token.symbol);
+        const entryNotional = bot.getTradeAmount(signal.token, leverage) * leverage;
+        let exposure = 0;
+
+        bot.positions.forEach(position => {
+            const token = tokens.find(t => t.symbol === position.symbol);
+            exposure += position.amount * (token ? token.currentPrice : position.buyPrice);
+        });
+
+        const maxExposure = equity * (MAX_EXPOSURE_PERCENT / 100);
+        if (MAX_EXPOSURE_PERCENT > 0 && exposure + entryNotional > maxExposure) {
+            return {
+                allowed: false,
+                reason: `Exposure $${(exposure + entryNotional).toFixed(2)} would exceed $${maxExposure.toFixed(2)} (${MAX_EXPOSURE_PERCENT}% of equity)`,
+            };
+        }
+
+        const maxSymbol = equity * (MAX_SYMBOL_PERCENT / 100);
+        if (MAX_SYMBOL_PERCENT > 0 && entryNotional > maxSymbol) {
+            return {
+                allowed: false,
+                reason: `${signal.token.symbol} position $${entryNotional.toFixed(2)} would exceed $${maxSymbol.toFixed(2)} (${MAX_SYMBOL_PERCENT}% of equity)`,
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    // Get persistent state as plain data
+    serialize() {
+        return {
+            highWaterMark: this.highWaterMark,
+        };
+    }
+
+    // Restore state saved by serialize()
+    restore(state) {
+        this.highWaterMark = state.highWaterMark ?? null;
+    }
+
+    // Clear all tracking (after a bot reset)
+    reset() {
+        this.highWaterMark = null;
+        this.tripped = null;
+        this.acknowledged.clear();
+    }
+}
@@ -0,0 +1,111 @@
+// Position Sizing - Models that decide the margin committed to a new position
+//
+// Sizing model contract:
+//   size({ bot, token, leverage, equity }) returns the margin in USD (before the balance cap)
+//   - bot:      TradingBot (config, balance, tradeHistory)
+//   - token:    market data for the token (currentPrice, indicators, ...)
+//   - leverage: leverage the position will be opened with
+//   - equity:   free balance plus margin and unrealized P/L of open positions
+// Models that need data they do not have yet (no stop, no ATR, too few trades)
+// fall back to tradeAmountPercent of the free balance.
+
+// Margin as a percentage of the free balance (the original sizing)
+function percentOfBalance(bot) {
+    return bot.balance * (bot.config.tradeAmountPercent / 100);
+}
+
+// Margin for a position that loses riskPerTradePercent of equity over a price move of movePercent
+function riskSizedMargin(bot, equity, movePercent, leverage) {
+    const risk = equity * (bot.config.riskPerTradePercent / 100);
+    return risk / (movePercent / 100) / leverage;
+}
+
+export const SIZING_MODELS = {
+    percentBalance: {
+        id: 'percentBalance',
+        label: '% of Free Balance',
+        size: ({ bot }) => percentOfBalance(bot),
+    },
+
+    fixedUsd: {
+        id: 'fixedUsd',
+        label: 'Fixed USD',
+        size: ({ bot }) => bot.config.fixedTradeAmount,
+    },
+
+    percentEquity: {
+        id: 'percentEquity',
+        label: '% of Equity',
+        size: ({ bot, equity }) => equity * (bot.config.tradeAmountPercent / 100),
+    },
+
+    // Lose riskPerTradePercent of equity when the stop-loss (or the ATR trailing stop) is hit
+    riskPerTrade: {
+        id: 'riskPerTrade',
+        label: 'Risk per Trade',
+        size: ({ bot, token, leverage, equity }) => {
+            const { stopLossPercent, atrTrailingMultiplier } = bot.config;
+            const atr = token.indicators?.atr;
+
+            if (stopLossPercent > 0) {
+                return riskSizedMargin(bot, equity, stopLossPercent, leverage);
+            }
+
+            if (atrTrailingMultiplier > 0 && atr > 0) {
+                const stopPercent = (atr * atrTrailingMultiplier / token.currentPrice) * 100;
+                return riskSizedMargin(bot, equity, stopPercent, leverage);
+            }
+
+            return percentOfBalance(bot);
+        },
+    },
+
+    // Lose riskPerTradePercent of equity on a move of one ATR, so volatile tokens get smaller positions
+    atrNormalized: {
+        id: 'atrNormalized',
+        label: 'ATR Normalized',
+        size: ({ bot, token, leverage, equity }) => {
+            const atr = token.indicators?.atr;
+
+            if (!(atr > 0)) {
+                return percentOfBalance(bot);
+            }
+
+            return riskSizedMargin(bot, equity, (atr / token.currentPrice) * 100, leverage);
+        },
+    },
+
+    // Fraction of the Kelly criterion from the bot's own closed trades
+    kelly: {
+        id: 'kelly',
+        label: 'Fractional Kelly',
+        size: ({ bot, equity }) => {
+            const trades = bot.tradeHistory.filter(trade => trade.profit !== undefined);
+            const wins = trades.filter(trade => trade.profit > 0);
+            const losses = trades.filter(trade => trade.profit <= 0);
+
+            if (trades.length < bot.config.kellyMinTrades || wins.length === 0 || losses.length === 0) {
+                return percentOfBalance(bot);
+            }
+
+            // Kelly on the return on margin: f = W - (1 - W) / R
+            const averageWin = wins.reduce((sum, trade) => sum + trade.profitPercent, 0) / wins.length;
+            const averageLoss = -losses.reduce((sum, trade) => sum + trade.profitPercent, 0) / losses.length;
+            const winRate = wins.length / trades.length;
+            const kelly = averageLoss > 0 ? winRate - (1 - winRate) / (averageWin / averageLoss) : winRate;
+
+            return Math.max(kelly, 0) * bot.config.kellyFraction * equity;
+        },
+    },
+};
+
+// Get a sizing model by id
+export function getSizingModel(id) {
+    const model = SIZING_MODELS[id];
+
+    if (!model) {
+        throw new Error(`Unknown sizing model: ${id}`);
+    }
+
+    return model;
+}
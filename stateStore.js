@@ -0,0 +1,95 @@
+// State Store - Persists bot state to IndexedDB so it survives page reloads
+// The headless runner uses FileStateStore (fileStateStore.js) with the same save/load/clear methods
+
+import { CONFIG } from './config.js';
+
+export class StateStore {
+    constructor(dbName = CONFIG.STORAGE.DB_NAME) {
+        this.dbName = dbName;
+        this.storeName = CONFIG.STORAGE.STORE_NAME;
+        this.schemaVersion = CONFIG.STORAGE.SCHEMA_VERSION;
+        this.db = null;
+    }
+
+    // Check if IndexedDB is available
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Open (and create/upgrade) the database
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.schemaVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run a single request in a transaction
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Save state under a key, stamped with the schema version
+    async save(key, state) {
+        if (!this.isAvailable()) return;
+
+        const record = {
+            schemaVersion: this.schemaVersion,
+            savedAt: new Date(),
+            state,
+        };
+
+        await this.run('readwrite', store => store.put(record, key));
+    }
+
+    // Load state for a key, null if missing or saved with another schema version
+    async load(key) {
+        if (!this.isAvailable()) return null;
+
+        const record = await this.run('readonly', store => store.get(key));
+
+        if (!record) {
+            return null;
+        }
+
+        if (record.schemaVersion !== this.schemaVersion) {
+            console.warn(`Ignoring saved state with schema version ${record.schemaVersion} (expected ${this.schemaVersion})`);
+            return null;
+        }
+
+        return { ...record.state, savedAt: record.savedAt };
+    }
+
+    // Remove saved state for a key
+    async clear(key) {
+        if (!this.isAvailable()) return;
+
+        await this.run('readwrite', store => store.delete(key));
+    }
+}
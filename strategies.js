@@ -0,0 +1,266 @@
+// Strategies - Pluggable entry/exit rules for the TradingBot
+//
+// Strategy contract:
+//   evaluate({ token, monitored, position, config, time }) returns a signal
+//   { type: 'buy' | 'sell' | 'short' | 'cover', reason } or null
+//   - token:     market data for the token (currentPrice, highestPrice, lowestPrice, ...)
+//   - monitored: bot monitoring state (monitorStartPrice, highestPrice, lowestPrice)
+//   - position:  open position (side, amount, buyPrice, peakPrice, buyTime) or undefined
+//                buyPrice is the entry price, peakPrice the trough for shorts
+//   - config:    TradingBot config
+//   - time:      current bot clock time in ms (simulated when backtesting)
+//   reset() clears any per-token state the strategy keeps.
+// 'buy' opens a long and 'sell' closes it, 'short' opens a short and 'cover' closes it.
+// The bot only opens without a position (shorts only if config.allowShorts) and only
+// closes a position of the matching side.
+
+// Base class for all strategies
+export class Strategy {
+    constructor(params = {}) {
+        const defaults = {};
+        (this.constructor.params || []).forEach(param => {
+            defaults[param.key] = param.default;
+        });
+
+        this.params = { ...defaults, ...params };
+    }
+
+    // Return a signal for the token or null
+    evaluate() {
+        return null;
+    }
+
+    // Clear per-token state
+    reset() {}
+}
+
+// Default strategy - buy after a rise from the low, sell after a drop from the peak
+// Mirrored for shorts: short after a drop from the high, cover after a bounce from the trough
+export class PeakTrailingStrategy extends Strategy {
+    static id = 'peakTrailing';
+    static label = 'Peak Trailing';
+    static params = []; // Uses the bot's buyThreshold and sellThreshold
+
+    // Check the trailing exit for open positions, the move from low/high otherwise
+    evaluate({ token, monitored, position, config }) {
+        if (position?.side === 'short') {
+            // Cover when price bounces sellThreshold % from the trough
+            const bounceFromTrough = ((token.currentPrice - position.peakPrice) / position.peakPrice) * 100;
+
+            if (bounceFromTrough >= config.sellThreshold) {
+                return {
+                    type: 'cover',
+                    reason: `Price bounced ${bounceFromTrough.toFixed(2)}% from trough $${position.peakPrice.toFixed(2)}`,
+                };
+            }
+        } else if (position) {
+            // Sell when price drops sellThreshold % from peak
+            const dropFromPeak = ((position.peakPrice - token.currentPrice) / position.peakPrice) * 100;
+
+            if (dropFromPeak >= config.sellThreshold) {
+                return {
+                    type: 'sell',
+                    reason: `Price dropped ${dropFromPeak.toFixed(2)}% from peak $${position.peakPrice.toFixed(2)}`,
+                };
+            }
+        } else {
+            // Buy when price increased buyThreshold % from lowest
+            const increaseFromLowest = ((token.currentPrice - monitored.lowestPrice) / monitored.lowestPrice) * 100;
+
+            if (increaseFromLowest >= config.buyThreshold) {
+                return {
+                    type: 'buy',
+                    reason: `Price increased ${increaseFromLowest.toFixed(2)}% from low`,
+                };
+            }
+
+            // Short when price dropped buyThreshold % from highest
+            const dropFromHighest = ((monitored.highestPrice - token.currentPrice) / monitored.highestPrice) * 100;
+
+            if (dropFromHighest >= config.buyThreshold) {
+                return {
+                    type: 'short',
+                    reason: `Price dropped ${dropFromHighest.toFixed(2)}% from high`,
+                };
+            }
+        }
+
+        return null;
+    }
+}
+
+// Base class for strategies that work on closed candles sampled from the price ticks
+class CandleStrategy extends Strategy {
+    constructor(params = {}) {
+        super(params);
+        this.state = new Map(); // Per token candle and indicator state
+    }
+
+    // Get (or create) per token state
+    getState(symbol) {
+        if (!this.state.has(symbol)) {
+            this.state.set(symbol, { bucket: null, close: null });
+        }
+        return this.state.get(symbol);
+    }
+
+    // Track the current candle, returns the close of a candle that just finished or null
+    sampleClose(state, price, time) {
+        const bucket = Math.floor(time / (this.params.candleMinutes * 60 * 1000));
+        let closed = null;
+
+        if (state.bucket !== null && bucket !== state.bucket) {
+            closed = state.close;
+        }
+
+        state.bucket = bucket;
+        state.close = price;
+        return closed;
+    }
+
+    // Evaluate only when a candle closes
+    evaluate({ token, position, time }) {
+        const state = this.getState(token.symbol);
+        const close = this.sampleClose(state, token.currentPrice, time);
+
+        if (close === null) {
+            return null;
+        }
+
+        return this.onCandleClose(state, close, position);
+    }
+
+    // Handle a closed candle, returns a signal or null
+    onCandleClose() {
+        return null;
+    }
+
+    // Clear per-token state
+    reset() {
+        this.state.clear();
+    }
+}
+
+// Buy when the fast EMA crosses above the slow EMA, sell when it crosses below
+// Mirrored for shorts: short on the cross below, cover on the cross above
+export class EmaCrossoverStrategy extends CandleStrategy {
+    static id = 'emaCrossover';
+    static label = 'EMA Crossover';
+    static params = [
+        { key: 'fastPeriod', label: 'Fast EMA', default: 9, step: 1, min: 2 },
+        { key: 'slowPeriod', label: 'Slow EMA', default: 21, step: 1, min: 3 },
+        { key: 'candleMinutes', label: 'Candle (min)', default: 1, step: 1, min: 1 },
+    ];
+
+    // Update both EMAs and check for a crossover
+    onCandleClose(state, close, position) {
+        const fastK = 2 / (this.params.fastPeriod + 1);
+        const slowK = 2 / (this.params.slowPeriod + 1);
+
+        state.count = (state.count || 0) + 1;
+        state.fast = state.fast === undefined ? close : close * fastK + state.fast * (1 - fastK);
+        state.slow = state.slow === undefined ? close : close * slowK + state.slow * (1 - slowK);
+
+        const diff = state.fast - state.slow;
+        const prevDiff = state.prevDiff;
+        state.prevDiff = diff;
+
+        // Wait until the slow EMA has seen enough candles
+        if (state.count <= this.params.slowPeriod || prevDiff === undefined) {
+            return null;
+        }
+
+        const crossedAbove = prevDiff <= 0 && diff > 0;
+        const crossedBelow = prevDiff >= 0 && diff < 0;
+        const above = `EMA${this.params.fastPeriod} crossed above EMA${this.params.slowPeriod}`;
+        const below = `EMA${this.params.fastPeriod} crossed below EMA${this.params.slowPeriod}`;
+
+        if (crossedAbove) {
+            if (!position) return { type: 'buy', reason: above };
+            if (position.side === 'short') return { type: 'cover', reason: above };
+        }
+
+        if (crossedBelow) {
+            if (!position) return { type: 'short', reason: below };
+            if (position.side === 'long') return { type: 'sell', reason: below };
+        }
+
+        return null;
+    }
+}
+
+// Buy when RSI is oversold, sell when it is overbought
+// Mirrored for shorts: short when overbought, cover when oversold
+export class RsiMeanReversionStrategy extends CandleStrategy {
+    static id = 'rsiMeanReversion';
+    static label = 'RSI Mean Reversion';
+    static params = [
+        { key: 'period', label: 'RSI Period', default: 14, step: 1, min: 2 },
+        { key: 'oversold', label: 'Oversold', default: 30, step: 1, min: 1, max: 99 },
+        { key: 'overbought', label: 'Overbought', default: 70, step: 1, min: 1, max: 99 },
+        { key: 'candleMinutes', label: 'Candle (min)', default: 1, step: 1, min: 1 },
+    ];
+
+    // Update RSI and check the oversold/overbought levels
+    onCandleClose(state, close, position) {
+        const period = this.params.period;
+
+        if (state.prevClose === undefined) {
+            state.prevClose = close;
+            state.count = 0;
+            state.avgGain = 0;
+            state.avgLoss = 0;
+            return null;
+        }
+
+        const change = close - state.prevClose;
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        state.prevClose = close;
+        state.count++;
+
+        // Wilder's smoothing, seeded with a simple average over the first period
+        if (state.count <= period) {
+            state.avgGain += gain / period;
+            state.avgLoss += loss / period;
+            if (state.count < period) return null;
+        } else {
+            state.avgGain = (state.avgGain * (period - 1) + gain) / period;
+            state.avgLoss = (state.avgLoss * (period - 1) + loss) / period;
+        }
+
+        const rsi = state.avgLoss === 0 ? 100 : 100 - 100 / (1 + state.avgGain / state.avgLoss);
+
+        if (rsi <= this.params.oversold) {
+            const reason = `RSI ${rsi.toFixed(1)} oversold`;
+            if (!position) return { type: 'buy', reason };
+            if (position.side === 'short') return { type: 'cover', reason };
+        }
+
+        if (rsi >= this.params.overbought) {
+            const reason = `RSI ${rsi.toFixed(1)} overbought`;
+            if (!position) return { type: 'short', reason };
+            if (position.side === 'long') return { type: 'sell', reason };
+        }
+
+        return null;
+    }
+}
+
+// Available strategies by id
+export const STRATEGIES = {
+    [PeakTrailingStrategy.id]: PeakTrailingStrategy,
+    [EmaCrossoverStrategy.id]: EmaCrossoverStrategy,
+    [RsiMeanReversionStrategy.id]: RsiMeanReversionStrategy,
+};
+
+// Create a strategy by id
+export function createStrategy(id, params = {}) {
+    const StrategyClass = STRATEGIES[id];
+
+    if (!StrategyClass) {
+        throw new Error(`Unknown strategy: ${id}`);
+    }
+
+    return new StrategyClass(params);
+}
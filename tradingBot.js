@@ -1,20 +1,93 @@
-// Trading Bot - Updated with peak-based profit taking logic
+// Trading Bot - Position and balance bookkeeping, entry/exit rules come from a Strategy
+
+import { CONFIG } from './config.js';
+import { createStrategy } from './strategies.js';
+import { getSizingModel } from './sizing.js';
+import { EventBus } from './eventBus.js';
+
+// +1 for long positions, -1 for short ones (price moves in the position's favour)
+export function sideDirection(side) {
+    return side === 'short' ? -1 : 1;
+}
+
+// Unrealized profit of a position at a price, before fees and funding
+export function positionPnl(position, price) {
+    return (price - position.buyPrice) * position.amount * sideDirection(position.side);
+}
+
+// TradingBot option names of CONFIG.TRADING keys, so CONFIG.TRADING can be passed as is
+const CONFIG_OPTION_NAMES = {
+    INITIAL_BALANCE: 'initialBalance',
+    BUY_THRESHOLD: 'buyThreshold',
+    SELL_THRESHOLD: 'sellThreshold',
+    TRADE_AMOUNT_PERCENT: 'tradeAmountPercent',
+    MIN_TRADE_AMOUNT: 'minTradeAmount',
+    MAX_POSITIONS: 'maxPositions',
+    ALLOW_SHORTS: 'allowShorts',
+    STRATEGY: 'strategy',
+    STRATEGY_PARAMS: 'strategyParams',
+    STOP_LOSS_PERCENT: 'stopLossPercent',
+    TAKE_PROFIT_PERCENT: 'takeProfitPercent',
+    MAX_HOLDING_MINUTES: 'maxHoldingMinutes',
+    ATR_TRAILING_MULTIPLIER: 'atrTrailingMultiplier',
+};
+
+// Rename CONFIG.TRADING keys to option names, an option given under its own name wins
+function toOptionNames(config) {
+    const options = { ...config };
+
+    Object.entries(CONFIG_OPTION_NAMES).forEach(([key, name]) => {
+        if (options[name] === undefined && config[key] !== undefined) {
+            options[name] = config[key];
+        }
+    });
+
+    return options;
+}
 
 export class TradingBot {
-    constructor(config = {}) {
+    // config: option names below, or CONFIG.TRADING keys (see CONFIG_OPTION_NAMES)
+    // events: EventBus for position:opened and position:closed
+    constructor(config = {}, events = new EventBus()) {
+        config = toOptionNames(config);
+        this.events = events;
         this.config = {
             initialBalance: config.initialBalance || 10000,
             buyThreshold: config.buyThreshold || 2, // Buy after 2% increase
             sellThreshold: config.sellThreshold || 3, // Sell after 3% drop from peak
             tradeAmountPercent: config.tradeAmountPercent || 25, // 25% of balance per trade
             minTradeAmount: config.minTradeAmount || 1, // Minimum $1 trade
+            // Position sizing (see sizing.js)
+            sizingModel: config.sizingModel ?? CONFIG.SIZING.MODEL,
+            fixedTradeAmount: config.fixedTradeAmount ?? CONFIG.SIZING.FIXED_AMOUNT, // USD margin per trade
+            riskPerTradePercent: config.riskPerTradePercent ?? CONFIG.SIZING.RISK_PER_TRADE_PERCENT, // % of equity at risk
+            kellyFraction: config.kellyFraction ?? CONFIG.SIZING.KELLY_FRACTION, // Share of the full Kelly size
+            kellyMinTrades: config.kellyMinTrades ?? CONFIG.SIZING.KELLY_MIN_TRADES, // Closed trades before Kelly applies
             maxPositions: config.maxPositions || 4, // Maximum concurrent positions
+            allowShorts: config.allowShorts ?? false, // Open short positions on mirrored signals
+            leverage: config.leverage ?? CONFIG.LEVERAGE.DEFAULT, // Position size = margin x leverage
+            symbolLeverage: config.symbolLeverage ?? CONFIG.LEVERAGE.SYMBOLS, // Per token overrides
+            marginMode: config.marginMode ?? CONFIG.LEVERAGE.MARGIN_MODE, // 'cross' or 'isolated'
+            strategy: config.strategy || 'peakTrailing', // Strategy id (see strategies.js)
+            strategyParams: config.strategyParams || {}, // Strategy specific parameters
+            // Exit rules checked before the strategy, 0 disables a rule
+            stopLossPercent: config.stopLossPercent ?? 5, // Sell 5% below buy price
+            takeProfitPercent: config.takeProfitPercent ?? 0, // Sell this % above buy price
+            maxHoldingMinutes: config.maxHoldingMinutes ?? 0, // Sell after holding this long
+            atrTrailingMultiplier: config.atrTrailingMultiplier ?? 0, // Sell this many ATRs below peak
         };
         
+        this.strategy = createStrategy(this.config.strategy, this.config.strategyParams);
+        
+        this.clock = () => Date.now(); // Replaced by a simulated clock when backtesting
+        this.onChange = null; // Called whenever persistent state changes
+        
         this.balance = this.config.initialBalance;
         this.initialBalance = this.config.initialBalance;
+        this.exchangeBalance = null; // Latest { total, available } pushed by the exchange wallet stream
         this.positions = new Map(); // Active positions
         this.monitoredTokens = new Map(); // Tokens being monitored
+        this.prices = new Map(); // symbol -> latest price seen while monitoring
         this.tradeHistory = [];
         this.stats = {
             totalTrades: 0,
@@ -23,8 +96,21 @@ export class TradingBot {
         };
     }
 
+    // Notify listener that persistent state changed
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
     updateConfig(config) {
         this.config = { ...this.config, ...config };
+        this.notifyChange();
+
+        // Recreate the strategy when it or its parameters change
+        if (config.strategy !== undefined || config.strategyParams !== undefined) {
+            this.strategy = createStrategy(this.config.strategy, this.config.strategyParams);
+        }
     }
 
     // Start monitoring a token
@@ -48,6 +134,7 @@ export class TradingBot {
             this.monitorToken(token);
             
             const monitored = this.monitoredTokens.get(token.symbol);
+            this.prices.set(token.symbol, token.currentPrice);
             
             // Update highest and lowest prices
             if (token.currentPrice > monitored.highestPrice) {
@@ -57,79 +144,209 @@ export class TradingBot {
                 monitored.lowestPrice = token.currentPrice;
             }
 
-            // Check if we already have a position
-            if (this.positions.has(token.symbol)) {
-                // Check for sell signal - sell when price drops from peak
-                const position = this.positions.get(token.symbol);
-                
-                // Update position peak if current price is higher
-                if (token.currentPrice > position.peakPrice) {
-                    position.peakPrice = token.currentPrice;
-                }
-                
-                // Calculate drop from peak
-                const dropFromPeak = ((position.peakPrice - token.currentPrice) / position.peakPrice) * 100;
-                
-                // Sell if dropped by sellThreshold % from peak
-                if (dropFromPeak >= this.config.sellThreshold) {
-                    signals.push({
-                        type: 'sell',
-                        token: token,
-                        reason: `Price dropped ${dropFromPeak.toFixed(2)}% from peak $${position.peakPrice.toFixed(2)}`,
-                    });
-                }
-            } else {
-                // Check for buy signal (price increased from lowest)
-                const increaseFromLowest = ((token.currentPrice - monitored.lowestPrice) / monitored.lowestPrice) * 100;
-                
-                // Only buy if we haven't reached max positions
-                if (increaseFromLowest >= this.config.buyThreshold && 
-                    this.positions.size < this.config.maxPositions) {
-                    signals.push({
-                        type: 'buy',
-                        token: token,
-                        reason: `Price increased ${increaseFromLowest.toFixed(2)}% from low`,
-                    });
-                }
+            const position = this.positions.get(token.symbol);
+
+            // Update position peak (the trough for shorts) when price moves in its favour
+            if (position && (token.currentPrice - position.peakPrice) * sideDirection(position.side) > 0) {
+                position.peakPrice = token.currentPrice;
+            }
+
+            if (position) {
+                this.accrueFunding(token, position);
+            }
+
+            // Fixed exit rules take precedence over the strategy
+            const signal = (position && this.checkExitRules(token, position)) || this.strategy.evaluate({
+                token,
+                monitored,
+                position,
+                config: this.config,
+                time: this.clock(),
+            });
+
+            if (!signal) return;
+
+            // Close only matching positions, open new ones only while below max positions
+            const closesPosition = (signal.type === 'sell' && position?.side === 'long') ||
+                (signal.type === 'cover' && position?.side === 'short');
+            const opensPosition = !position && this.positions.size < this.config.maxPositions &&
+                (signal.type === 'buy' || (signal.type === 'short' && this.config.allowShorts));
+
+            if (closesPosition) {
+                signals.push({
+                    type: signal.type,
+                    token: token,
+                    reason: signal.reason,
+                    exitRule: signal.exitRule || 'strategy',
+                });
+            } else if (opensPosition) {
+                signals.push({ type: signal.type, token: token, reason: signal.reason });
             }
         });
 
+        // Monitoring highs/lows and position peaks may have moved
+        this.notifyChange();
+
         return signals;
     }
 
-    // Execute buy order
-    buy(token, reason) {
+    // Check stop-loss, ATR trailing stop, take-profit and max holding time of a position
+    // Returns a sell (cover for shorts) signal with the exitRule that triggered, or null
+    checkExitRules(token, position) {
+        const price = token.currentPrice;
+        const direction = sideDirection(position.side);
+        const type = position.side === 'short' ? 'cover' : 'sell';
+        const { stopLossPercent, takeProfitPercent, maxHoldingMinutes, atrTrailingMultiplier } = this.config;
+        const gainPercent = ((price - position.buyPrice) / position.buyPrice) * 100 * direction;
+
+        if (stopLossPercent > 0 && gainPercent <= -stopLossPercent) {
+            return {
+                type,
+                exitRule: 'stopLoss',
+                reason: `Stop-loss: ${Math.abs(gainPercent).toFixed(2)}% loss from entry $${position.buyPrice.toFixed(2)}`,
+            };
+        }
+
+        const atr = token.indicators?.atr;
+        if (atrTrailingMultiplier > 0 && atr > 0 && (position.peakPrice - price) * direction >= atr * atrTrailingMultiplier) {
+            return {
+                type,
+                exitRule: 'atrTrailing',
+                reason: `ATR trailing stop: price moved ${atrTrailingMultiplier} ATR ($${atr.toFixed(4)}) from ${position.side === 'short' ? 'trough' : 'peak'} $${position.peakPrice.toFixed(2)}`,
+            };
+        }
+
+        if (takeProfitPercent > 0 && gainPercent >= takeProfitPercent) {
+            return {
+                type,
+                exitRule: 'takeProfit',
+                reason: `Take-profit: ${gainPercent.toFixed(2)}% gain from entry $${position.buyPrice.toFixed(2)}`,
+            };
+        }
+
+        const heldMinutes = (this.clock() - new Date(position.buyTime).getTime()) / 60000;
+        if (maxHoldingMinutes > 0 && heldMinutes >= maxHoldingMinutes) {
+            return {
+                type,
+                exitRule: 'maxHoldingTime',
+                reason: `Max holding time: held ${Math.floor(heldMinutes)} minutes`,
+            };
+        }
+
+        return null;
+    }
+
+    // Settle funding on a position when a funding time has passed, at the rate the ticker showed before it
+    // Positive rates are paid by longs to shorts, negative rates the other way round
+    accrueFunding(token, position) {
+        const now = this.clock();
+
+        if (position.nextFundingTime && now >= position.nextFundingTime && position.fundingRate !== null) {
+            const payment = -sideDirection(position.side) * position.amount * token.currentPrice * position.fundingRate;
+
+            position.funding += payment;
+            position.nextFundingTime = null;
+            this.balance += payment;
+            console.log(`Funding ${token.symbol}: ${payment >= 0 ? 'received' : 'paid'} $${Math.abs(payment).toFixed(4)} (rate ${(position.fundingRate * 100).toFixed(4)}%)`);
+        }
+
+        if (token.fundingRate !== null && token.fundingRate !== undefined) {
+            position.fundingRate = token.fundingRate;
+        }
+        if (token.nextFundingTime > now) {
+            position.nextFundingTime = token.nextFundingTime;
+        }
+    }
+
+    // Fee rate (fraction of notional) of the configured fee tier, for fills that do not report their fee
+    getFeeRate(maker = false) {
+        const tier = CONFIG.FEES.TIERS[CONFIG.FEES.TIER];
+        return (maker ? tier.MAKER : tier.TAKER) / 100;
+    }
+
+    // Get the margin to commit to the next trade on a token, from the configured sizing model
+    // Never more than the free balance
+    getTradeAmount(token, leverage = this.getLeverage(token.symbol)) {
+        const margin = getSizingModel(this.config.sizingModel).size({
+            bot: this,
+            token,
+            leverage,
+            equity: this.getEquity(),
+        });
+
+        return Math.min(Math.max(margin, 0), this.balance);
+    }
+
+    // Free balance plus margin and unrealized profit of open positions at the latest prices
+    getEquity() {
+        let equity = this.balance;
+
+        this.positions.forEach(position => {
+            const price = this.prices.get(position.symbol) ?? position.buyPrice;
+            equity += position.margin + positionPnl(position, price);
+        });
+
+        return equity;
+    }
+
+    // Get the leverage for a token
+    getLeverage(token) {
+        return this.config.symbolLeverage[token] ?? this.config.leverage;
+    }
+
+    // Open a long (side 'long', a buy) or short (side 'short', a sell) position
+    // fill: { amount, price, fee, maker, leverage } actually filled on the exchange, defaults to the
+    // configured margin x leverage at the token's current price with the fee tier's taker fee
+    // Only the margin (entry value / leverage) is taken from the balance, for both sides
+    open(token, side, reason, fill = {}) {
         // Check if max positions reached
         if (this.positions.size >= this.config.maxPositions) {
             return { success: false, message: 'Maximum positions reached' };
         }
 
-        const tradeAmount = this.balance * (this.config.tradeAmountPercent / 100);
+        const price = fill.price ?? token.currentPrice;
+        const leverage = fill.leverage ?? this.getLeverage(token.symbol);
+        const amount = fill.amount ?? this.getTradeAmount(token, leverage) * leverage / price;
+        const tradeAmount = amount * price;
+        const fee = fill.fee ?? tradeAmount * this.getFeeRate(fill.maker);
+        const margin = tradeAmount / leverage;
         
-        if (this.balance < tradeAmount || tradeAmount < this.config.minTradeAmount) {
+        if (this.balance < margin + fee || tradeAmount < this.config.minTradeAmount) {
             return { success: false, message: 'Insufficient balance' };
         }
-
-        const amount = tradeAmount / token.currentPrice;
         
         this.positions.set(token.symbol, {
             symbol: token.symbol,
+            side: side,
             amount: amount,
-            buyPrice: token.currentPrice,
-            peakPrice: token.currentPrice, // Initialize peak at buy price
-            buyTime: new Date(),
+            buyPrice: price, // Entry price (also for shorts)
+            peakPrice: price, // Best price since entry: peak for longs, trough for shorts
+            leverage: leverage,
+            margin: margin,
+            liqPrice: null, // Reported by the exchange, estimated until then
+            entryFee: fee,
+            funding: 0, // Funding received (negative when paid) while open
+            fundingRate: null, // Latest rate from the ticker, settled at nextFundingTime
+            nextFundingTime: null,
+            buyTime: new Date(this.clock()),
         });
 
-        this.balance -= tradeAmount;
+        this.balance -= margin + fee;
         
         const trade = {
-            id: Date.now(),
-            type: 'buy',
+            id: this.clock(),
+            type: side === 'short' ? 'sell' : 'buy',
+            side: side,
             symbol: token.symbol,
-            price: token.currentPrice,
+            price: price,
+            signalPrice: token.currentPrice,
             amount: amount,
             total: tradeAmount,
-            time: new Date(),
+            margin: margin,
+            leverage: leverage,
+            fee: fee,
+            orderId: fill.orderId,
+            time: new Date(this.clock()),
             reason: reason,
         };
 
@@ -143,37 +360,108 @@ export class TradingBot {
             monitored.highestPrice = token.currentPrice;
         }
 
+        this.notifyChange();
+        this.events.emit('position:opened', { position: this.positions.get(token.symbol), trade });
+
         return { success: true, trade };
     }
 
-    // Execute sell order
-    sell(token, reason) {
+    // Add a later fill of the entry order(s) to a position, averaging its entry price
+    // fill: { amount, price, fee, maker } of the new part
+    increasePosition(symbol, fill) {
+        const position = this.positions.get(symbol);
+
+        if (!position) {
+            return { success: false, message: 'No position found' };
+        }
+
+        const fee = fill.fee ?? fill.amount * fill.price * this.getFeeRate(fill.maker);
+        const margin = fill.amount * fill.price / position.leverage;
+
+        if (this.balance < margin + fee) {
+            return { success: false, message: 'Insufficient balance' };
+        }
+
+        position.buyPrice = (position.amount * position.buyPrice + fill.amount * fill.price) / (position.amount + fill.amount);
+        position.amount += fill.amount;
+        position.margin += margin;
+        position.entryFee = (position.entryFee || 0) + fee;
+        this.balance -= margin + fee;
+
+        // The opening trade shows the whole entry
+        const trade = this.tradeHistory.find(t => t.symbol === symbol && t.profit === undefined);
+        if (trade) {
+            trade.price = position.buyPrice;
+            trade.amount = position.amount;
+            trade.total = position.amount * position.buyPrice;
+            trade.margin = position.margin;
+            trade.fee += fee;
+        }
+
+        this.notifyChange();
+
+        return { success: true, trade };
+    }
+
+    // Close a position (a sell for longs, a buy for shorts)
+    // fill: { amount, price, fee, maker } actually filled on the exchange, defaults to the whole
+    // position at the token's current price with the fee tier's taker fee. A partial fill keeps the rest open.
+    // profit is net: price move (grossProfit) minus entry and exit fees (fees) plus funding
+    // exitRule: which rule closed the position ('strategy', 'stopLoss', 'takeProfit', ...)
+    close(token, reason, fill = {}, exitRule = 'strategy') {
         const position = this.positions.get(token.symbol);
         
         if (!position) {
             return { success: false, message: 'No position found' };
         }
 
-        const sellValue = position.amount * token.currentPrice;
-        const profit = sellValue - (position.amount * position.buyPrice);
-        const profitPercent = (profit / (position.amount * position.buyPrice)) * 100;
-
-        this.balance += sellValue;
-        this.positions.delete(token.symbol);
+        const price = fill.price ?? token.currentPrice;
+        const amount = Math.min(fill.amount ?? position.amount, position.amount);
+        const closeValue = amount * price;
+        const fee = fill.fee ?? closeValue * this.getFeeRate(fill.maker);
+        const share = amount / position.amount;
+        const entryFee = (position.entryFee || 0) * share;
+        const funding = (position.funding || 0) * share;
+
+        const margin = position.margin * share;
+        const pnl = positionPnl({ ...position, amount }, price);
+        const profit = pnl - fee - entryFee + funding;
+        const profitPercent = (profit / margin) * 100; // Return on margin
+
+        // Margin comes back plus the price move in the position's favour (funding was booked when settled)
+        this.balance += margin + pnl - fee;
+
+        const remaining = position.amount - amount;
+        if (remaining > position.amount * 1e-9) {
+            position.amount = remaining;
+            position.margin -= margin;
+            position.entryFee = (position.entryFee || 0) - entryFee;
+            position.funding = (position.funding || 0) - funding;
+        } else {
+            this.positions.delete(token.symbol);
+        }
 
         const trade = {
-            id: Date.now(),
-            type: 'sell',
+            id: this.clock(),
+            type: position.side === 'short' ? 'buy' : 'sell',
+            side: position.side,
             symbol: token.symbol,
-            price: token.currentPrice,
-            amount: position.amount,
-            total: sellValue,
+            price: price,
+            signalPrice: token.currentPrice,
+            amount: amount,
+            total: closeValue,
+            fee: fee,
+            orderId: fill.orderId,
             buyPrice: position.buyPrice,
             peakPrice: position.peakPrice,
+            grossProfit: pnl,
+            fees: fee + entryFee,
+            funding: funding,
             profit: profit,
             profitPercent: profitPercent,
-            time: new Date(),
+            time: new Date(this.clock()),
             reason: reason,
+            exitRule: exitRule,
         };
 
         this.tradeHistory.unshift(trade);
@@ -192,9 +480,79 @@ export class TradingBot {
             monitored.highestPrice = token.currentPrice;
         }
 
+        this.notifyChange();
+        this.events.emit('position:closed', { position, trade, remaining: this.positions.has(token.symbol) ? position.amount : 0 });
+
         return { success: true, trade };
     }
 
+    // Adopt a position opened outside the bot (found on the exchange)
+    // peakPrice: best known price, e.g. the mark price if it is in the position's favour
+    adoptPosition(symbol, amount, price, peakPrice = price, side = 'long', leverage = 1) {
+        const favourable = (peakPrice - price) * sideDirection(side) > 0;
+        const margin = amount * price / leverage;
+
+        this.positions.set(symbol, {
+            symbol: symbol,
+            side: side,
+            amount: amount,
+            buyPrice: price,
+            peakPrice: favourable ? peakPrice : price,
+            leverage: leverage,
+            margin: margin,
+            liqPrice: null,
+            funding: 0,
+            fundingRate: null,
+            nextFundingTime: null,
+            buyTime: new Date(this.clock()),
+        });
+
+        this.balance -= margin;
+        this.notifyChange();
+    }
+
+    // Settle a position that no longer exists on the exchange (closed by hand, liquidated, ...) like close()
+    // fill: { price, fee, orderId } of the closing fill when known, the price defaults to the last one seen
+    // Returns the close() result, its trade carries the realized profit or loss
+    dropPosition(symbol, reason, fill = {}, exitRule = 'external') {
+        const position = this.positions.get(symbol);
+
+        if (!position) {
+            return { success: false, message: 'No position found' };
+        }
+
+        const price = fill.price || this.prices.get(symbol) || position.buyPrice;
+        return this.close({ symbol, currentPrice: price }, reason, { ...fill, price, amount: position.amount }, exitRule);
+    }
+
+    // Correct a position's size to match the exchange
+    resizePosition(symbol, amount) {
+        const position = this.positions.get(symbol);
+        if (!position) return;
+
+        const margin = amount * position.buyPrice / position.leverage;
+        this.balance -= margin - position.margin;
+        position.amount = amount;
+        position.margin = margin;
+        this.notifyChange();
+    }
+
+    // Record the liquidation price reported by the exchange (null if unknown)
+    setLiquidationPrice(symbol, liqPrice) {
+        const position = this.positions.get(symbol);
+        if (position) {
+            position.liqPrice = liqPrice;
+        }
+    }
+
+    // Liquidation price of a position, estimated as if isolated when the exchange has not reported it
+    getLiquidationPrice(position) {
+        if (position.liqPrice) return position.liqPrice;
+
+        const maintenance = CONFIG.LEVERAGE.MAINTENANCE_MARGIN_PERCENT / 100;
+        return position.buyPrice * (1 - sideDirection(position.side) * (1 / position.leverage - maintenance));
+    }
+
     // Get current portfolio value
     getTotalValue(tokens) {
         let positionsValue = 0;
@@ -202,7 +560,7 @@ export class TradingBot {
         this.positions.forEach(position => {
             const token = tokens.find(t => t.symbol === position.symbol);
             if (token) {
-                positionsValue += position.amount * token.currentPrice;
+                positionsValue += position.margin + positionPnl(position, token.currentPrice);
             }
         });
 
@@ -214,15 +572,43 @@ export class TradingBot {
         return this.getTotalValue(tokens) - this.initialBalance;
     }
 
+    // Get profit/loss split into price move (gross), fees, funding and net, realized plus open positions
+    // net equals getProfitLoss() when every position has a price
+    getProfitLossBreakdown(tokens) {
+        const breakdown = { gross: 0, fees: 0, funding: 0, net: 0 };
+
+        this.tradeHistory.forEach(trade => {
+            if (trade.profit === undefined) return;
+
+            // Trades closed before the breakdown was recorded only have a net profit
+            breakdown.gross += trade.grossProfit ?? trade.profit;
+            breakdown.fees += trade.fees ?? 0;
+            breakdown.funding += trade.funding ?? 0;
+        });
+
+        this.positions.forEach(position => {
+            const token = tokens.find(t => t.symbol === position.symbol);
+            if (!token) return;
+
+            breakdown.gross += positionPnl(position, token.currentPrice);
+            breakdown.fees += position.entryFee || 0;
+            breakdown.funding += position.funding || 0;
+        });
+
+        breakdown.net = breakdown.gross - breakdown.fees + breakdown.funding;
+        return breakdown;
+    }
+
     // Get ROI
     getROI(tokens) {
         return ((this.getTotalValue(tokens) - this.initialBalance) / this.initialBalance) * 100;
     }
 
-    // Get win rate
+    // Get win rate in % of closing trades (totalTrades also counts entries)
     getWinRate() {
-        if (this.stats.totalTrades === 0) return 0;
-        return (this.stats.winningTrades / this.stats.totalTrades) * 100;
+        const closed = this.stats.winningTrades + this.stats.losingTrades;
+        if (closed === 0) return 0;
+        return (this.stats.winningTrades / closed) * 100;
     }
 
     // Reset bot
@@ -231,12 +617,47 @@ export class TradingBot {
         this.initialBalance = this.config.initialBalance;
         this.positions.clear();
         this.monitoredTokens.clear();
+        this.prices.clear();
+        this.strategy.reset();
         this.tradeHistory = [];
         this.stats = {
             totalTrades: 0,
             winningTrades: 0,
             losingTrades: 0,
         };
+        this.notifyChange();
+    }
+
+    // Get persistent state as plain data
+    serialize() {
+        return {
+            balance: this.balance,
+            initialBalance: this.initialBalance,
+            positions: Array.from(this.positions.values()),
+            monitoredTokens: Array.from(this.monitoredTokens.values()),
+            tradeHistory: this.tradeHistory,
+            stats: { ...this.stats },
+        };
+    }
+
+    // Restore state saved by serialize()
+    restore(state) {
+        this.balance = state.balance;
+        this.initialBalance = state.initialBalance;
+        this.positions = new Map(state.positions.map(position => [position.symbol, {
+            ...position,
+            side: position.side || 'long', // Saved before shorts were supported
+            leverage: position.leverage || 1, // Saved before leverage was supported
+            margin: position.margin ?? position.amount * position.buyPrice / (position.leverage || 1),
+            funding: position.funding ?? 0, // Saved before funding was tracked
+            fundingRate: position.fundingRate ?? null,
+            nextFundingTime: position.nextFundingTime ?? null,
+            buyTime: new Date(position.buyTime),
+        }]));
+        this.monitoredTokens = new Map(state.monitoredTokens.map(token => [token.symbol, { ...token }]));
+        this.tradeHistory = state.tradeHistory.map(trade => ({ ...trade, time: new Date(trade.time) }));
+        this.stats = { ...state.stats };
+        this.notifyChange();
     }
 
     // Get all positions with current values
@@ -247,14 +668,17 @@ export class TradingBot {
             const token = tokens.find(t => t.symbol === position.symbol);
             if (token) {
                 const currentValue = position.amount * token.currentPrice;
-                const profit = currentValue - (position.amount * position.buyPrice);
-                const profitPercent = (profit / (position.amount * position.buyPrice)) * 100;
-                const dropFromPeak = ((position.peakPrice - token.currentPrice) / position.peakPrice) * 100;
+                const profit = positionPnl(position, token.currentPrice) - (position.entryFee || 0) + (position.funding || 0);
+                const profitPercent = (profit / position.margin) * 100; // Return on margin
+                // Pullback from the best price, against the position's side
+                const dropFromPeak = ((position.peakPrice - token.currentPrice) / position.peakPrice) * 100 *
+                    sideDirection(position.side);
                 
                 positions.push({
                     ...position,
                     currentPrice: token.currentPrice,
                     currentValue: currentValue,
+                    liqPrice: this.getLiquidationPrice(position),
                     profit: profit,
                     profitPercent: profitPercent,
                     dropFromPeak: dropFromPeak,
@@ -265,6 +689,11 @@ export class TradingBot {
         return positions;
     }
 
+    // Update the exchange wallet balance (from the private stream)
+    setExchangeBalance(balance) {
+        this.exchangeBalance = balance;
+    }
+
     // Get available balance for trading
     getAvailableBalance() {
         return this.balance;
@@ -1,20 +1,244 @@
 // UI Module - Handles all UI rendering and updates
 
+import { STRATEGIES } from './strategies.js';
+import { SIZING_MODELS } from './sizing.js';
+import { EXCHANGES } from './exchanges.js';
+import { CONFIG } from './config.js';
+
+// Trade history labels for the rule that closed a position
+const EXIT_RULE_LABELS = {
+    strategy: 'Strategy',
+    stopLoss: 'Stop-Loss',
+    takeProfit: 'Take-Profit',
+    atrTrailing: 'ATR Trail',
+    maxHoldingTime: 'Max Hold',
+    manual: 'Manual',
+    exchangeStop: 'Exchange Stop',
+    external: 'External',
+};
+
+// Show prices with 6 significant digits, so cheap tokens keep their precision
+const formatPrice = (value) => `$${Number(value.toPrecision(6))}`;
+
+// Optional indicator columns of the token cards, format returns null while an indicator warms up
+const INDICATOR_COLUMNS = [
+    { key: 'ema', label: 'EMA', format: i => i.ema === null ? null : formatPrice(i.ema) },
+    { key: 'sma', label: 'SMA', format: i => i.sma === null ? null : formatPrice(i.sma) },
+    { key: 'rsi', label: 'RSI', format: i => i.rsi === null ? null : i.rsi.toFixed(1) },
+    { key: 'atr', label: 'ATR', format: i => i.atr === null ? null : formatPrice(i.atr) },
+    { key: 'macd', label: 'MACD', format: i => i.macd?.histogram == null ? null : Number(i.macd.histogram.toPrecision(4)) },
+    { key: 'bollinger', label: 'BB', format: i => i.bollinger === null ? null
+        : `${formatPrice(i.bollinger.lower)} – ${formatPrice(i.bollinger.upper)}` },
+    { key: 'vwap', label: 'VWAP', format: i => i.vwap === null ? null : formatPrice(i.vwap) },
+];
+
 export class UI {
     constructor(app) {
         this.app = app;
+        this.connectionStates = { price: 'disconnected', private: 'disconnected' };
+        this.visibleIndicators = new Set(['rsi']); // Indicator columns shown in the token cards
+        this.initializeExchangeSelect();
+        this.initializeProfileSelect();
+        this.initializeStrategySelect();
+        this.initializeSizingSelect();
+        this.initializeIndicatorToggles();
         this.initializeEventListeners();
+        this.subscribe(app.events);
+    }
+
+    // Render the app's events (see eventBus.js), and ask before a saved session is resumed
+    subscribe(events) {
+        events.on('status', ({ message, type }) => this.showStatus(message, type));
+        events.on('bot:status', ({ status }) => this.updateBotStatus(status));
+        events.on('connection', ({ stream, state }) => this.updateConnectionState(stream, state));
+        events.on('profile', ({ profile, dryRunUntil }) => this.updateProfile(profile, dryRunUntil));
+        events.on('balance', ({ balance }) => this.updateBalance(balance));
+        events.on('wallet', ({ balance }) => this.updateExchangeBalance(balance));
+        events.on('risk', ({ reason }) => this.updateRiskStatus(reason));
+        events.on('state', state => this.render(state));
+        events.on('reconciliation', ({ history }) => this.updateReconciliationLog(history));
+        events.on('reset', () => this.reset());
+        events.hook('resume', ({ saved }) => this.confirmResume(saved) ? null : 'Not resumed at setup');
+    }
+
+    // Render positions, orders, tokens, stats and trade history
+    render(state) {
+        this.updatePositions(state.positions);
+        this.updateOpenOrders(state.orders);
+        this.updateProfile(state.profile, state.dryRunUntil);
+        this.updateTokensList(state.tokenList);
+        this.updateStats(state.bot, state.tokens);
+        this.updateTradeHistory(state.trades);
+    }
+
+    // Fill the exchange dropdown of the setup form
+    initializeExchangeSelect() {
+        const select = document.getElementById('exchange');
+
+        select.innerHTML = Object.values(EXCHANGES).map(exchange => `
+            <option value="${exchange.id}">${exchange.label}</option>
+        `).join('');
+        select.value = this.app.exchangeId;
+    }
+
+    // Fill the environment profile dropdown of the setup form
+    initializeProfileSelect() {
+        const select = document.getElementById('profile');
+
+        select.innerHTML = Object.entries(CONFIG.PROFILES).map(([id, profile]) => `
+            <option value="${id}">${profile.LABEL}</option>
+        `).join('');
+        select.value = this.app.profileId;
+        this.updateSetupForProfile(select.value);
+    }
+
+    // API keys are only required for exchange profiles, real funds get a warning
+    updateSetupForProfile(profileId) {
+        const profile = CONFIG.PROFILES[profileId];
+
+        document.getElementById('apiKeyFields').style.display = profile.PAPER ? 'none' : 'block';
+        document.getElementById('apiKey').required = !profile.PAPER;
+        document.getElementById('apiSecret').required = !profile.PAPER;
+        document.getElementById('realFundsWarning').style.display = profile.REAL_FUNDS ? 'block' : 'none';
+    }
+
+    // Ask for the confirmation phrase of a profile, returns what was typed ('' when cancelled)
+    confirmProfile(profile) {
+        const limits = [
+            profile.MAX_ORDER_NOTIONAL > 0 ? `entries up to $${profile.MAX_ORDER_NOTIONAL} notional` : null,
+            profile.MAX_LEVERAGE > 0 ? `leverage up to ${profile.MAX_LEVERAGE}x` : null,
+            profile.DRY_RUN_MINUTES > 0 ? `a ${profile.DRY_RUN_MINUTES} minute dry run after start` : null,
+        ].filter(Boolean);
+
+        return prompt(
+            `${profile.LABEL} places orders with real funds.\n` +
+            (limits.length > 0 ? `Limits: ${limits.join(', ')}.\n\n` : '\n') +
+            `Type "${profile.CONFIRMATION}" to continue.`
+        ) || '';
+    }
+
+    // Show the active profile and a running dry run in the header
+    updateProfile(profile, dryRunUntil) {
+        const dryRun = dryRunUntil > Date.now()
+            ? ` · Dry run until ${new Date(dryRunUntil).toLocaleTimeString()}`
+            : '';
+
+        const statusEl = document.getElementById('profileStatus');
+        statusEl.textContent = `${profile.LABEL}${dryRun}`;
+        statusEl.className = `profile-status${profile.REAL_FUNDS ? ' real-funds' : ''}`;
+    }
+
+    // Fill the strategy dropdown and render the selected strategy's parameters
+    initializeStrategySelect() {
+        const select = document.getElementById('strategy');
+
+        select.innerHTML = Object.values(STRATEGIES).map(strategy => `
+            <option value="${strategy.id}">${strategy.label}</option>
+        `).join('');
+        select.value = this.app.tradingBot.config.strategy;
+
+        this.renderStrategyParams(select.value, this.app.tradingBot.config.strategyParams);
+        select.addEventListener('change', () => this.renderStrategyParams(select.value));
+    }
+
+    // Fill the position sizing dropdown
+    initializeSizingSelect() {
+        const select = document.getElementById('sizingModel');
+
+        select.innerHTML = Object.values(SIZING_MODELS).map(model => `
+            <option value="${model.id}">${model.label}</option>
+        `).join('');
+        select.value = this.app.tradingBot.config.sizingModel;
+    }
+
+    // Render parameter inputs for a strategy
+    renderStrategyParams(strategyId, values = {}) {
+        const container = document.getElementById('strategyParams');
+        const params = STRATEGIES[strategyId].params;
+
+        container.innerHTML = params.map(param => `
+            <label>
+                ${param.label}:
+                <input
+                    type="number"
+                    id="strategyParam-${param.key}"
+                    data-key="${param.key}"
+                    value="${values[param.key] ?? param.default}"
+                    step="${param.step}"
+                    ${param.min !== undefined ? `min="${param.min}"` : ''}
+                    ${param.max !== undefined ? `max="${param.max}"` : ''}
+                />
+            </label>
+        `).join('');
+    }
+
+    // Render checkboxes for the optional indicator columns
+    initializeIndicatorToggles() {
+        const container = document.getElementById('indicatorToggles');
+
+        container.innerHTML = INDICATOR_COLUMNS.map(column => `
+            <label>
+                <input type="checkbox" data-key="${column.key}" ${this.visibleIndicators.has(column.key) ? 'checked' : ''} />
+                ${column.label}
+            </label>
+        `).join('');
+
+        container.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.visibleIndicators.add(e.target.dataset.key);
+            } else {
+                this.visibleIndicators.delete(e.target.dataset.key);
+            }
+            this.updateTokensList(this.app.marketData.getFormattedTokenList());
+        });
+    }
+
+    // Render the selected indicator columns of a token card
+    renderIndicators(indicators) {
+        const columns = INDICATOR_COLUMNS.filter(column => this.visibleIndicators.has(column.key));
+        if (columns.length === 0) return '';
+
+        return `
+            <div class="token-indicators">
+                ${columns.map(column => `
+                    <div class="token-indicator">
+                        <span>${column.label}</span>
+                        <span>${(indicators && column.format(indicators)) ?? '—'}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Read parameter values for the selected strategy
+    getStrategyParams() {
+        const params = {};
+
+        document.querySelectorAll('#strategyParams input').forEach(input => {
+            params[input.dataset.key] = parseFloat(input.value);
+        });
+
+        return params;
     }
 
     // Initialize event listeners
     initializeEventListeners() {
+        // Environment profile
+        document.getElementById('profile').addEventListener('change', (e) => {
+            this.updateSetupForProfile(e.target.value);
+        });
+
         // Setup form
         document.getElementById('setupForm').addEventListener('submit', async (e) => {
             e.preventDefault();
+            const exchangeId = document.getElementById('exchange').value;
+            const profileId = document.getElementById('profile').value;
+            const profile = CONFIG.PROFILES[profileId];
             const apiKey = document.getElementById('apiKey').value;
             const apiSecret = document.getElementById('apiSecret').value;
+            const confirmation = profile.CONFIRMATION ? this.confirmProfile(profile) : '';
             
-            const success = await this.app.initialize(apiKey, apiSecret);
+            const success = await this.app.initialize(apiKey, apiSecret, profileId, exchangeId, confirmation);
             
             if (success) {
                 document.getElementById('setupSection').style.display = 'none';
@@ -45,6 +269,19 @@ export class UI {
                 buyThreshold: parseFloat(document.getElementById('buyThreshold').value),
                 sellThreshold: parseFloat(document.getElementById('sellThreshold').value),
                 tradeAmountPercent: parseFloat(document.getElementById('tradeAmount').value),
+                allowShorts: document.getElementById('allowShorts').value === 'true',
+                leverage: parseFloat(document.getElementById('leverage').value) || 1,
+                marginMode: document.getElementById('marginMode').value,
+                sizingModel: document.getElementById('sizingModel').value,
+                fixedTradeAmount: parseFloat(document.getElementById('fixedTradeAmount').value) || 0,
+                riskPerTradePercent: parseFloat(document.getElementById('riskPerTradePercent').value) || 0,
+                kellyFraction: parseFloat(document.getElementById('kellyFraction').value) || 0,
+                stopLossPercent: parseFloat(document.getElementById('stopLossPercent').value) || 0,
+                takeProfitPercent: parseFloat(document.getElementById('takeProfitPercent').value) || 0,
+                maxHoldingMinutes: parseFloat(document.getElementById('maxHoldingMinutes').value) || 0,
+                atrTrailingMultiplier: parseFloat(document.getElementById('atrTrailingMultiplier').value) || 0,
+                strategy: document.getElementById('strategy').value,
+                strategyParams: this.getStrategyParams(),
             };
             this.app.updateConfig(config);
         });
@@ -63,6 +300,20 @@ export class UI {
         }, 5000);
     }
 
+    // Ask whether to resume a saved session
+    confirmResume(saved) {
+        const positions = saved.bot.positions.map(position =>
+            `${position.symbol} (${position.side || 'long'} from $${position.buyPrice.toFixed(2)}, best $${position.peakPrice.toFixed(2)})`
+        );
+
+        return confirm(
+            `Found saved bot state from ${new Date(saved.savedAt).toLocaleString()}.\n` +
+            `Open positions: ${positions.length > 0 ? positions.join(', ') : 'none'}\n` +
+            `Trades: ${saved.bot.tradeHistory.length}\n\n` +
+            'Resume managing these positions?'
+        );
+    }
+
     // Update bot status indicator
     updateBotStatus(status) {
         const indicator = document.getElementById('botStatus');
@@ -95,21 +346,47 @@ export class UI {
         }
     }
 
+    // Update WebSocket connection state indicators
+    updateConnectionState(stream, state) {
+        this.connectionStates[stream] = state;
+
+        const labels = { price: 'Prices', private: 'Account' };
+        document.getElementById('connectionStatus').innerHTML = Object.entries(this.connectionStates)
+            .map(([name, value]) => `
+                <span class="connection-state ${value}">${labels[name]}: ${value}</span>
+            `).join('');
+    }
+
+    // Show why the risk manager paused the bot or blocked an entry (null clears it)
+    updateRiskStatus(reason) {
+        const statusEl = document.getElementById('riskStatus');
+        statusEl.textContent = reason ? `⚠️ ${reason}` : '';
+        statusEl.style.display = reason ? 'block' : 'none';
+    }
+
     // Update balance display
     updateBalance(balance) {
         document.getElementById('balance').textContent = `$${balance.toFixed(2)}`;
     }
 
+    // Update exchange wallet display (pushed by the private stream)
+    updateExchangeBalance(balance) {
+        document.getElementById('exchangeBalance').textContent = `$${balance.total.toFixed(2)}`;
+    }
+
     // Update statistics
     updateStats(bot, tokens) {
         const totalValue = bot.getTotalValue(tokens);
         const profitLoss = bot.getProfitLoss(tokens);
+        const breakdown = bot.getProfitLossBreakdown(tokens);
         const roi = bot.getROI(tokens);
         const winRate = bot.getWinRate();
 
         document.getElementById('totalValue').textContent = `$${totalValue.toFixed(2)}`;
         document.getElementById('profitLoss').textContent = `$${profitLoss.toFixed(2)}`;
         document.getElementById('profitLoss').className = profitLoss >= 0 ? 'profit' : 'loss';
+        document.getElementById('profitLossBreakdown').textContent =
+            `Gross $${breakdown.gross.toFixed(2)} · Fees $${breakdown.fees.toFixed(2)} · Funding $${breakdown.funding.toFixed(2)}`;
         document.getElementById('roi').textContent = `${roi.toFixed(2)}%`;
         document.getElementById('roi').className = roi >= 0 ? 'profit' : 'loss';
         document.getElementById('openPositions').textContent = bot.positions.size;
@@ -122,16 +399,20 @@ export class UI {
         const tbody = document.getElementById('positionsBody');
         
         if (positions.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" class="no-data">No open positions</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="11" class="no-data">No open positions</td></tr>';
             return;
         }
 
         tbody.innerHTML = positions.map(pos => `
             <tr>
                 <td><span class="token-badge">${pos.symbol}</span></td>
+                <td><span class="badge ${pos.side}">${pos.side.toUpperCase()}</span></td>
                 <td>$${pos.buyPrice.toFixed(2)}</td>
                 <td>$${pos.currentPrice.toFixed(2)}</td>
                 <td>$${pos.peakPrice.toFixed(2)}</td>
+                <td>${pos.leverage}x</td>
+                <td>$${pos.margin.toFixed(2)}</td>
+                <td>${pos.liqPrice > 0 ? `$${pos.liqPrice.toFixed(2)}` : '-'}</td>
                 <td class="${pos.profitPercent >= 0 ? 'profit' : 'loss'}">
                     ${pos.profitPercent >= 0 ? '+' : ''}${pos.profitPercent.toFixed(2)}%
                 </td>
@@ -143,6 +424,29 @@ export class UI {
         `).join('');
     }
 
+    // Update open orders table
+    updateOpenOrders(orders) {
+        const tbody = document.getElementById('ordersBody');
+
+        if (orders.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="no-data">No open orders</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = orders.map(order => `
+            <tr>
+                <td class="trade-time">${this.formatTime(order.createdTime)}</td>
+                <td><span class="token-badge">${order.symbol}</span></td>
+                <td><span class="badge ${order.side === 'Buy' ? 'buy' : 'sell'}">${order.side.toUpperCase()}</span></td>
+                <td>${order.orderType}${order.purpose === 'close' ? ' (close)' : ''}</td>
+                <td>${order.price > 0 ? formatPrice(order.price) : 'Market'}</td>
+                <td>${order.qty}</td>
+                <td>${order.filledQty > 0 ? `${order.filledQty} @ ${formatPrice(order.avgPrice)}` : '-'}</td>
+                <td><span class="badge order-state ${order.state}">${order.state}</span></td>
+            </tr>
+        `).join('');
+    }
+
     // Update monitored tokens list
     updateTokensList(tokens) {
         const container = document.getElementById('tokensList');
@@ -163,6 +467,7 @@ export class UI {
                 <div class="token-change ${parseFloat(token.change) >= 0 ? 'profit' : 'loss'}">
                     ${parseFloat(token.change) >= 0 ? '+' : ''}${token.change}%
                 </div>
+                ${this.renderIndicators(token.indicators)}
             </div>
         `).join('');
     }
@@ -172,7 +477,7 @@ export class UI {
         const tbody = document.getElementById('historyBody');
         
         if (trades.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" class="no-data">No trade history</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="8" class="no-data">No trade history</td></tr>';
             return;
         }
 
@@ -181,19 +486,51 @@ export class UI {
 
         tbody.innerHTML = recentTrades.map(trade => `
             <tr>
-                <td><span class="badge ${trade.type === 'buy' ? 'buy' : 'sell'}">${trade.type.toUpperCase()}</span></td>
+                <td>
+                    <span class="badge ${trade.type === 'buy' ? 'buy' : 'sell'}">${trade.type.toUpperCase()}</span>
+                    ${trade.side === 'short' ? '<span class="badge short">SHORT</span>' : ''}
+                </td>
                 <td><span class="token-badge">${trade.symbol}</span></td>
                 <td>$${trade.price.toFixed(2)}</td>
                 <td>${trade.amount.toFixed(4)}</td>
                 <td>$${trade.total.toFixed(2)}</td>
-                <td class="${trade.profit ? (trade.profit >= 0 ? 'profit' : 'loss') : ''}">
+                <td class="${trade.profit ? (trade.profit >= 0 ? 'profit' : 'loss') : ''}" title="${this.formatProfitBreakdown(trade)}">
                     ${trade.profit ? `$${trade.profit.toFixed(2)}` : '-'}
                 </td>
+                <td title="${trade.reason}">
+                    ${trade.profit !== undefined ? `<span class="badge exit">${EXIT_RULE_LABELS[trade.exitRule || 'strategy'] || trade.exitRule}</span>` : '-'}
+                </td>
                 <td class="trade-time">${this.formatTime(trade.time)}</td>
             </tr>
         `).join('');
     }
 
+    // Net profit of a closing trade split into price move, fees and funding (tooltip text)
+    formatProfitBreakdown(trade) {
+        if (trade.grossProfit === undefined) return '';
+
+        return `Gross $${trade.grossProfit.toFixed(2)}, fees $${trade.fees.toFixed(2)}, funding $${trade.funding.toFixed(2)}`;
+    }
+
+    // Update reconciliation log
+    updateReconciliationLog(differences) {
+        const tbody = document.getElementById('reconciliationBody');
+        
+        if (differences.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="no-data">No differences found</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = differences.map(difference => `
+            <tr>
+                <td class="trade-time">${this.formatTime(difference.time)}</td>
+                <td><span class="token-badge">${difference.symbol}</span></td>
+                <td><span class="badge ${difference.type}">${difference.type.toUpperCase()}</span></td>
+                <td>${difference.message}</td>
+            </tr>
+        `).join('');
+    }
+
     // Format time for display
     formatTime(date) {
         return new Date(date).toLocaleTimeString();
@@ -201,8 +538,10 @@ export class UI {
 
     // Reset UI
     reset() {
-        document.getElementById('positionsBody').innerHTML = '<tr><td colspan="7" class="no-data">No open positions</td></tr>';
-        document.getElementById('historyBody').innerHTML = '<tr><td colspan="7" class="no-data">No trade history</td></tr>';
+        document.getElementById('positionsBody').innerHTML = '<tr><td colspan="11" class="no-data">No open positions</td></tr>';
+        document.getElementById('historyBody').innerHTML = '<tr><td colspan="8" class="no-data">No trade history</td></tr>';
+        document.getElementById('ordersBody').innerHTML = '<tr><td colspan="8" class="no-data">No open orders</td></tr>';
+        this.updateRiskStatus(null);
         this.updateBotStatus('stopped');
     }
 }
@@ -0,0 +1,231 @@
+// WebSocket Manager - Stream connection with heartbeats, backoff and resubscription
+
+import { CONFIG } from './config.js';
+
+// Bybit v5 stream messages
+// A protocol builds the outgoing messages (auth and ping are optional) and classifies incoming ones as
+// { type: 'auth' | 'ack' | 'pong' | 'data', success, error, op, topic, data } (null to ignore)
+export const BYBIT_PROTOCOL = {
+    auth: args => ({ op: 'auth', args }),
+    subscription: (op, topics) => ({ op, args: topics }),
+    ping: () => ({ op: 'ping' }),
+    parse(message) {
+        if (message.op === 'auth') {
+            return { type: 'auth', success: message.success, error: message.ret_msg };
+        }
+        if (message.op === 'subscribe' || message.op === 'unsubscribe') {
+            return { type: 'ack', op: message.op, success: message.success, error: message.ret_msg };
+        }
+        if (message.op === 'ping' || message.op === 'pong' || message.ret_msg === 'pong') {
+            return { type: 'pong' };
+        }
+        if (message.topic) {
+            return { type: 'data', topic: message.topic, data: message.data };
+        }
+        return null;
+    },
+};
+
+export class WebSocketManager {
+    // options: {
+    //   name:          label for logs and the UI
+    //   protocol:      message format of the exchange (BYBIT_PROTOCOL by default)
+    //   onMessage:     called with { topic, data } of every data message
+    //   onStateChange: called with 'connecting' | 'connected' | 'reconnecting' | 'disconnected'
+    //   getAuthArgs:   async () => auth args, for private streams (subscribe after auth succeeds)
+    // }
+    constructor(url, options = {}) {
+        this.url = url;
+        this.name = options.name || 'WebSocket';
+        this.protocol = options.protocol || BYBIT_PROTOCOL;
+        this.onMessage = options.onMessage || (() => {});
+        this.onStateChange = options.onStateChange || (() => {});
+        this.getAuthArgs = options.getAuthArgs || null;
+
+        this.ws = null;
+        this.state = 'disconnected';
+        this.topics = new Set(); // Wanted subscriptions, restored after every reconnect
+        this.attempts = 0;
+        this.shouldRun = false;
+        this.pingTimer = null;
+        this.pongTimer = null;
+        this.reconnectTimer = null;
+    }
+
+    // Update and report connection state
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        console.log(`${this.name} stream ${state}`);
+        this.onStateChange(state);
+    }
+
+    // Check if the stream is open and (if private) authenticated
+    isConnected() {
+        return this.state === 'connected';
+    }
+
+    // Open the connection, reconnecting forever until close() is called
+    connect() {
+        this.shouldRun = true;
+        clearTimeout(this.reconnectTimer);
+        this.setState(this.attempts === 0 ? 'connecting' : 'reconnecting');
+
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.onopen = async () => {
+            if (this.getAuthArgs) {
+                try {
+                    const args = await this.getAuthArgs();
+                    this.send(this.protocol.auth(args));
+                } catch (error) {
+                    console.error(`${this.name} could not sign auth request:`, error);
+                    ws.close();
+                    return;
+                }
+            } else {
+                this.onReady();
+            }
+            this.startHeartbeat();
+        };
+
+        ws.onmessage = (event) => {
+            // Any message proves the connection is alive
+            clearTimeout(this.pongTimer);
+
+            try {
+                const message = this.protocol.parse(JSON.parse(event.data));
+
+                if (message?.type === 'auth') {
+                    if (message.success) {
+                        this.onReady();
+                    } else {
+                        console.error(`${this.name} authentication failed:`, message.error);
+                        ws.close();
+                    }
+                } else if (message?.type === 'ack') {
+                    if (!message.success) {
+                        console.error(`${this.name} ${message.op} failed:`, message.error);
+                    }
+                } else if (message?.type === 'pong') {
+                    // Heartbeat reply
+                } else if (message?.type === 'data') {
+                    this.onMessage({ topic: message.topic, data: message.data });
+                }
+            } catch (error) {
+                console.error(`${this.name} message error:`, error);
+            }
+        };
+
+        ws.onerror = (error) => {
+            console.error(`${this.name} stream error:`, error);
+        };
+
+        ws.onclose = () => {
+            // Ignore sockets that were already replaced
+            if (ws !== this.ws) return;
+
+            this.stopHeartbeat();
+            this.ws = null;
+
+            if (this.shouldRun) {
+                this.scheduleReconnect();
+            } else {
+                this.setState('disconnected');
+            }
+        };
+    }
+
+    // Connection is usable - restore all subscriptions
+    onReady() {
+        this.attempts = 0;
+        this.setState('connected');
+        this.sendSubscription('subscribe', Array.from(this.topics));
+    }
+
+    // Reconnect after an exponential backoff with jitter
+    scheduleReconnect() {
+        const { BACKOFF_BASE, BACKOFF_MAX } = CONFIG.WEBSOCKET;
+        const delay = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** this.attempts);
+        const jittered = delay / 2 + Math.random() * delay / 2;
+
+        this.attempts++;
+        this.setState('reconnecting');
+        console.log(`${this.name} reconnecting in ${(jittered / 1000).toFixed(1)}s (attempt ${this.attempts})`);
+
+        this.reconnectTimer = setTimeout(() => this.connect(), jittered);
+    }
+
+    // Send the protocol's ping and drop the connection if nothing comes back
+    // Protocols without a ping rely on the server's ping frames, which the WebSocket answers itself
+    startHeartbeat() {
+        this.stopHeartbeat();
+        if (!this.protocol.ping) return;
+
+        this.pingTimer = setInterval(() => {
+            this.send(this.protocol.ping());
+
+            clearTimeout(this.pongTimer);
+            this.pongTimer = setTimeout(() => {
+                console.warn(`${this.name} heartbeat timed out`);
+                this.ws?.close();
+            }, CONFIG.WEBSOCKET.PONG_TIMEOUT);
+        }, CONFIG.WEBSOCKET.PING_INTERVAL);
+    }
+
+    // Stop heartbeat timers
+    stopHeartbeat() {
+        clearInterval(this.pingTimer);
+        clearTimeout(this.pongTimer);
+        this.pingTimer = null;
+        this.pongTimer = null;
+    }
+
+    // Send a JSON message if the socket is open
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Send (un)subscribe requests in batches the exchange accepts
+    sendSubscription(op, topics) {
+        if (!this.isConnected()) return;
+
+        const batchSize = CONFIG.WEBSOCKET.SUBSCRIBE_BATCH;
+        for (let i = 0; i < topics.length; i += batchSize) {
+            this.send(this.protocol.subscription(op, topics.slice(i, i + batchSize)));
+        }
+    }
+
+    // Subscribe to topics now (if connected) and after every reconnect
+    subscribe(topics) {
+        const added = topics.filter(topic => !this.topics.has(topic));
+        added.forEach(topic => this.topics.add(topic));
+        this.sendSubscription('subscribe', added);
+    }
+
+    // Unsubscribe from topics
+    unsubscribe(topics) {
+        const removed = topics.filter(topic => this.topics.has(topic));
+        removed.forEach(topic => this.topics.delete(topic));
+        this.sendSubscription('unsubscribe', removed);
+    }
+
+    // Close for good (no reconnect)
+    close() {
+        this.shouldRun = false;
+        clearTimeout(this.reconnectTimer);
+        this.stopHeartbeat();
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.close();
+        }
+
+        this.attempts = 0;
+        this.setState('disconnected');
+    }
+}